@@ -23,6 +23,10 @@ export default function RootLayout() {
                 <Stack.Screen name="index" />
                 <Stack.Screen name="loading" />
                 <Stack.Screen name="results" />
+                <Stack.Screen name="quote" />
+                <Stack.Screen name="billing" />
+                <Stack.Screen name="confirm" options={{ gestureEnabled: false }} />
+                <Stack.Screen name="tracking" options={{ gestureEnabled: false }} />
             </Stack>
         </>
     );
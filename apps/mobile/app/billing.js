@@ -0,0 +1,352 @@
+/**
+ * Billing Screen
+ *
+ * Collects what /init needs before the order can be placed:
+ * - Sender (pickup) and receiver (drop) contact
+ * - Billing name, phone, email, address and optional GSTIN
+ *
+ * Validates locally, then hands everything to the confirm screen.
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    SafeAreaView,
+    ScrollView,
+    TouchableOpacity,
+    KeyboardAvoidingView,
+    Platform,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { theme } from '../theme';
+
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PINCODE_PATTERN = /^\d{6}$/;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/;
+
+const EMPTY_FORM = {
+    senderName: '',
+    senderPhone: '',
+    receiverName: '',
+    receiverPhone: '',
+    billingName: '',
+    billingPhone: '',
+    billingEmail: '',
+    address: '',
+    city: '',
+    state: '',
+    pincode: '',
+    gstin: '',
+};
+
+/**
+ * Check the form and return a map of field → error message
+ * @param {object} form
+ * @returns {object}
+ */
+function validateForm(form) {
+    const errors = {};
+    const required = ['senderName', 'receiverName', 'billingName', 'address', 'city', 'state'];
+
+    for (const field of required) {
+        if (!form[field].trim()) errors[field] = 'Required';
+    }
+    for (const field of ['senderPhone', 'receiverPhone', 'billingPhone']) {
+        if (!PHONE_PATTERN.test(form[field].trim())) errors[field] = 'Enter a 10-digit mobile number';
+    }
+    if (!EMAIL_PATTERN.test(form.billingEmail.trim())) {
+        errors.billingEmail = 'Enter a valid email';
+    }
+    if (!PINCODE_PATTERN.test(form.pincode.trim())) {
+        errors.pincode = 'Enter a 6-digit pincode';
+    }
+    if (form.gstin.trim() && !GSTIN_PATTERN.test(form.gstin.trim().toUpperCase())) {
+        errors.gstin = 'Enter a valid GSTIN';
+    }
+
+    return errors;
+}
+
+/**
+ * Build the ONDC billing object from the form
+ * @param {object} form
+ * @returns {object}
+ */
+function buildBilling(form) {
+    const now = new Date().toISOString();
+    return {
+        name: form.billingName.trim(),
+        phone: form.billingPhone.trim(),
+        email: form.billingEmail.trim(),
+        address: {
+            name: form.billingName.trim(),
+            building: form.address.trim(),
+            locality: form.address.trim(),
+            city: form.city.trim(),
+            state: form.state.trim(),
+            country: 'IND',
+            area_code: form.pincode.trim(),
+        },
+        ...(form.gstin.trim() && { tax_number: form.gstin.trim().toUpperCase() }),
+        created_at: now,
+        updated_at: now,
+    };
+}
+
+export default function BillingScreen() {
+    const router = useRouter();
+    const params = useLocalSearchParams();
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [errors, setErrors] = useState({});
+
+    const setField = (field) => (value) => {
+        setForm((prev) => ({ ...prev, [field]: value }));
+        if (errors[field]) {
+            setErrors((prev) => ({ ...prev, [field]: undefined }));
+        }
+    };
+
+    // Billing contact defaults to the sender
+    const fillBillingFromSender = () => {
+        setForm((prev) => ({
+            ...prev,
+            billingName: prev.senderName,
+            billingPhone: prev.senderPhone,
+        }));
+    };
+
+    const handleContinue = () => {
+        const found = validateForm(form);
+        setErrors(found);
+        if (Object.keys(found).length > 0) return;
+
+        const contacts = {
+            pickup: { name: form.senderName.trim(), phone: form.senderPhone.trim() },
+            drop: { name: form.receiverName.trim(), phone: form.receiverPhone.trim() },
+        };
+
+        router.push({
+            pathname: '/confirm',
+            params: {
+                ...params,
+                billing: JSON.stringify(buildBilling(form)),
+                contacts: JSON.stringify(contacts),
+            },
+        });
+    };
+
+    const renderInput = (field, label, options = {}) => (
+        <View style={styles.inputGroup}>
+            <Text style={styles.inputLabel}>{label}</Text>
+            <TextInput
+                style={[styles.input, errors[field] && styles.inputError]}
+                value={form[field]}
+                onChangeText={setField(field)}
+                placeholderTextColor={theme.colors.textMuted}
+                {...options}
+            />
+            {errors[field] && <Text style={styles.errorText}>{errors[field]}</Text>}
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => router.back()}
+                    activeOpacity={0.7}
+                >
+                    <Text style={styles.backArrow}>←</Text>
+                </TouchableOpacity>
+                <View>
+                    <Text style={styles.headerTitle}>Contact & Billing</Text>
+                    <Text style={styles.headerSubtitle}>
+                        {params.providerName || 'Delivery'} • ₹{params.total}
+                    </Text>
+                </View>
+            </View>
+
+            <KeyboardAvoidingView
+                style={styles.flex}
+                behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+            >
+                <ScrollView
+                    contentContainerStyle={styles.scrollContent}
+                    keyboardShouldPersistTaps="handled"
+                    showsVerticalScrollIndicator={false}
+                >
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>📦 Sender</Text>
+                        <Text style={styles.cardSubtitle} numberOfLines={1}>{params.pickup}</Text>
+                        {renderInput('senderName', 'Name', { placeholder: 'Who hands over the package' })}
+                        {renderInput('senderPhone', 'Phone', { placeholder: '9876543210', keyboardType: 'phone-pad', maxLength: 10 })}
+                    </View>
+
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>📍 Receiver</Text>
+                        <Text style={styles.cardSubtitle} numberOfLines={1}>{params.drop}</Text>
+                        {renderInput('receiverName', 'Name', { placeholder: 'Who receives the package' })}
+                        {renderInput('receiverPhone', 'Phone', { placeholder: '9876543210', keyboardType: 'phone-pad', maxLength: 10 })}
+                    </View>
+
+                    <View style={styles.card}>
+                        <View style={styles.cardHeaderRow}>
+                            <Text style={styles.cardTitle}>🧾 Billing</Text>
+                            <TouchableOpacity onPress={fillBillingFromSender} activeOpacity={0.7}>
+                                <Text style={styles.linkText}>Same as sender</Text>
+                            </TouchableOpacity>
+                        </View>
+                        {renderInput('billingName', 'Name', { placeholder: 'Name on invoice' })}
+                        {renderInput('billingPhone', 'Phone', { placeholder: '9876543210', keyboardType: 'phone-pad', maxLength: 10 })}
+                        {renderInput('billingEmail', 'Email', { placeholder: 'you@example.com', keyboardType: 'email-address', autoCapitalize: 'none' })}
+                        {renderInput('address', 'Address', { placeholder: 'Building, street, area' })}
+                        <View style={styles.row}>
+                            <View style={styles.flex}>{renderInput('city', 'City', { placeholder: 'Bengaluru' })}</View>
+                            <View style={styles.flex}>{renderInput('state', 'State', { placeholder: 'Karnataka' })}</View>
+                        </View>
+                        {renderInput('pincode', 'Pincode', { placeholder: '560001', keyboardType: 'number-pad', maxLength: 6 })}
+                        {renderInput('gstin', 'GSTIN (optional)', { placeholder: '29ABCDE1234F1Z5', autoCapitalize: 'characters', maxLength: 15 })}
+                    </View>
+                </ScrollView>
+            </KeyboardAvoidingView>
+
+            <View style={styles.footer}>
+                <TouchableOpacity style={styles.primaryButton} onPress={handleContinue} activeOpacity={0.8}>
+                    <Text style={styles.primaryButtonText}>Review & Place Order</Text>
+                </TouchableOpacity>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background,
+    },
+    flex: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.lg,
+        paddingTop: Platform.OS === 'android' ? 48 : 16,
+        paddingBottom: theme.spacing.md,
+        gap: 12,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: theme.colors.surface,
+        justifyContent: 'center',
+        alignItems: 'center',
+        ...theme.shadow.sm,
+    },
+    backArrow: {
+        fontSize: 20,
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.bold,
+    },
+    headerTitle: {
+        fontSize: theme.fontSize.xl,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    headerSubtitle: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    scrollContent: {
+        paddingHorizontal: theme.spacing.lg,
+        paddingBottom: theme.spacing.xxl,
+        gap: theme.spacing.md,
+    },
+    card: {
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.xl,
+        padding: theme.spacing.lg,
+        borderWidth: 1,
+        borderColor: theme.colors.borderLight,
+        ...theme.shadow.md,
+    },
+    cardHeaderRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: theme.spacing.sm,
+    },
+    cardTitle: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    cardSubtitle: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+        marginBottom: theme.spacing.sm,
+    },
+    linkText: {
+        fontSize: theme.fontSize.sm,
+        fontWeight: theme.fontWeight.semibold,
+        color: theme.colors.primary,
+    },
+    row: {
+        flexDirection: 'row',
+        gap: theme.spacing.sm,
+    },
+    inputGroup: {
+        marginTop: theme.spacing.sm,
+    },
+    inputLabel: {
+        fontSize: theme.fontSize.xs,
+        fontWeight: theme.fontWeight.semibold,
+        color: theme.colors.textSecondary,
+        marginBottom: 4,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+    },
+    input: {
+        backgroundColor: theme.colors.background,
+        borderRadius: theme.borderRadius.md,
+        borderWidth: 1.5,
+        borderColor: theme.colors.border,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+        fontSize: theme.fontSize.md,
+        color: theme.colors.text,
+    },
+    inputError: {
+        borderColor: theme.colors.error,
+    },
+    errorText: {
+        fontSize: theme.fontSize.xs,
+        color: theme.colors.error,
+        marginTop: 4,
+    },
+    footer: {
+        paddingHorizontal: theme.spacing.lg,
+        paddingBottom: theme.spacing.lg,
+        paddingTop: theme.spacing.sm,
+    },
+    primaryButton: {
+        backgroundColor: theme.colors.primary,
+        borderRadius: theme.borderRadius.lg,
+        paddingVertical: 16,
+        alignItems: 'center',
+        ...theme.shadow.md,
+    },
+    primaryButtonText: {
+        color: theme.colors.textOnPrimary,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+    },
+});
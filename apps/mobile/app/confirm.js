@@ -0,0 +1,311 @@
+/**
+ * Order Confirmation Screen
+ *
+ * Places the order in two Beckn steps and shows progress for each:
+ *   1. /api/init    → wait for on_init    (status 'initialized')
+ *   2. /api/confirm → wait for on_confirm (status 'confirmed')
+ *
+ * On success it replaces itself with the tracking screen; on failure
+ * the user can retry from the step that failed.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    SafeAreaView,
+    TouchableOpacity,
+    ActivityIndicator,
+    Platform,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { theme } from '../theme';
+import { initOrder, confirmOrder, waitForTransactionStatus } from '../services/api';
+
+const STEPS = [
+    { key: 'init', label: 'Sending order details', doneLabel: 'Order details accepted' },
+    { key: 'confirm', label: 'Confirming with provider', doneLabel: 'Order confirmed' },
+];
+
+// Statuses at or beyond each step
+const INITIALIZED_STATUSES = ['initialized'];
+const CONFIRMED_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+function parseJson(value) {
+    try {
+        return value ? JSON.parse(value) : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+export default function ConfirmScreen() {
+    const router = useRouter();
+    const params = useLocalSearchParams();
+    const { transactionId, pickup, drop, providerName, total } = params;
+    const [step, setStep] = useState(0);
+    const [error, setError] = useState(null);
+    const [running, setRunning] = useState(false);
+    const mounted = useRef(true);
+
+    const order = {
+        transactionId,
+        providerId: params.providerId,
+        itemId: params.itemId,
+        fulfillmentId: params.fulfillmentId,
+        bppId: params.bppId,
+        bppUri: params.bppUri,
+        billing: parseJson(params.billing),
+    };
+
+    const placeOrder = async (fromStep) => {
+        setError(null);
+        setRunning(true);
+        try {
+            if (fromStep === 0) {
+                setStep(0);
+                await initOrder({ ...order, contacts: parseJson(params.contacts) });
+                await waitForTransactionStatus(transactionId, INITIALIZED_STATUSES);
+            }
+
+            if (!mounted.current) return;
+            setStep(1);
+            await confirmOrder(order);
+            await waitForTransactionStatus(transactionId, CONFIRMED_STATUSES);
+
+            if (!mounted.current) return;
+            setStep(STEPS.length);
+            router.replace({
+                pathname: '/tracking',
+                params: { transactionId, pickup, drop, providerName },
+            });
+        } catch (err) {
+            if (mounted.current) setError(err.message);
+        } finally {
+            if (mounted.current) setRunning(false);
+        }
+    };
+
+    useEffect(() => {
+        placeOrder(0);
+        return () => {
+            mounted.current = false;
+        };
+    }, []);
+
+    const renderStep = (item, index) => {
+        const done = step > index;
+        const active = step === index;
+        const failed = active && error;
+
+        return (
+            <View key={item.key} style={styles.stepRow}>
+                <View
+                    style={[
+                        styles.stepIcon,
+                        done && styles.stepIconDone,
+                        failed && styles.stepIconFailed,
+                    ]}
+                >
+                    {active && running ? (
+                        <ActivityIndicator size="small" color={theme.colors.primary} />
+                    ) : (
+                        <Text style={styles.stepIconText}>{done ? '✓' : failed ? '!' : index + 1}</Text>
+                    )}
+                </View>
+                <Text style={[styles.stepLabel, (done || active) && styles.stepLabelActive]}>
+                    {done ? item.doneLabel : item.label}
+                </Text>
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <View style={styles.header}>
+                <Text style={styles.headerTitle}>Placing Order</Text>
+                <Text style={styles.headerSubtitle} numberOfLines={1}>
+                    {providerName || 'Delivery'} • ₹{total}
+                </Text>
+            </View>
+
+            <View style={styles.card}>
+                <View style={styles.routeRow}>
+                    <View style={[styles.routeDot, styles.pickupDot]} />
+                    <Text style={styles.routeLabel} numberOfLines={1}>{pickup || 'Pickup'}</Text>
+                </View>
+                <View style={styles.routeLine} />
+                <View style={styles.routeRow}>
+                    <View style={[styles.routeDot, styles.dropDot]} />
+                    <Text style={styles.routeLabel} numberOfLines={1}>{drop || 'Drop'}</Text>
+                </View>
+            </View>
+
+            <View style={styles.card}>{STEPS.map(renderStep)}</View>
+
+            {error && (
+                <View style={styles.errorCard}>
+                    <Text style={styles.errorTitle}>Could not place the order</Text>
+                    <Text style={styles.errorText}>{error}</Text>
+                    <View style={styles.errorActions}>
+                        <TouchableOpacity
+                            style={styles.secondaryButton}
+                            onPress={() => router.back()}
+                            activeOpacity={0.8}
+                        >
+                            <Text style={styles.secondaryButtonText}>Edit details</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={styles.primaryButton}
+                            onPress={() => placeOrder(step)}
+                            disabled={running}
+                            activeOpacity={0.8}
+                        >
+                            <Text style={styles.primaryButtonText}>Retry</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background,
+        paddingHorizontal: theme.spacing.lg,
+        gap: theme.spacing.md,
+    },
+    header: {
+        paddingTop: Platform.OS === 'android' ? 48 : 16,
+        paddingBottom: theme.spacing.sm,
+    },
+    headerTitle: {
+        fontSize: theme.fontSize.xxl,
+        fontWeight: theme.fontWeight.extrabold,
+        color: theme.colors.text,
+        letterSpacing: -0.5,
+    },
+    headerSubtitle: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.textSecondary,
+        marginTop: 4,
+    },
+    card: {
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.xl,
+        padding: theme.spacing.lg,
+        borderWidth: 1,
+        borderColor: theme.colors.borderLight,
+        ...theme.shadow.md,
+    },
+    routeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+    },
+    routeDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+    },
+    pickupDot: {
+        backgroundColor: theme.colors.success,
+    },
+    dropDot: {
+        backgroundColor: theme.colors.primary,
+    },
+    routeLine: {
+        width: 2,
+        height: 18,
+        marginLeft: 4,
+        marginVertical: 2,
+        backgroundColor: theme.colors.border,
+    },
+    routeLabel: {
+        flex: 1,
+        fontSize: theme.fontSize.md,
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.medium,
+    },
+    stepRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        gap: 14,
+    },
+    stepIcon: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: theme.colors.borderLight,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    stepIconDone: {
+        backgroundColor: theme.colors.successLight,
+    },
+    stepIconFailed: {
+        backgroundColor: theme.colors.errorLight,
+    },
+    stepIconText: {
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.textSecondary,
+    },
+    stepLabel: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.textMuted,
+    },
+    stepLabelActive: {
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.semibold,
+    },
+    errorCard: {
+        backgroundColor: theme.colors.errorLight,
+        borderRadius: theme.borderRadius.lg,
+        padding: theme.spacing.md,
+    },
+    errorTitle: {
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.error,
+    },
+    errorText: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.text,
+        marginTop: 4,
+    },
+    errorActions: {
+        flexDirection: 'row',
+        gap: theme.spacing.sm,
+        marginTop: theme.spacing.md,
+    },
+    primaryButton: {
+        flex: 1,
+        backgroundColor: theme.colors.primary,
+        borderRadius: theme.borderRadius.md,
+        paddingVertical: 12,
+        alignItems: 'center',
+    },
+    primaryButtonText: {
+        color: theme.colors.textOnPrimary,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+    },
+    secondaryButton: {
+        flex: 1,
+        borderRadius: theme.borderRadius.md,
+        paddingVertical: 12,
+        alignItems: 'center',
+        borderWidth: 1.5,
+        borderColor: theme.colors.error,
+    },
+    secondaryButtonText: {
+        color: theme.colors.error,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.semibold,
+    },
+});
@@ -1,10 +1,11 @@
 /**
  * Location Screen (Home)
  * 
- * User enters pickup and drop locations.
+ * User enters pickup and drop locations and package details.
  * Features:
  * - Neumorphic input cards
  * - Animated route indicator
+ * - Package weight, dimensions, category, value and dangerous goods
  * - Continue button triggers search
  */
 
@@ -20,6 +21,8 @@ import {
     Platform,
     Animated,
     Dimensions,
+    ScrollView,
+    Switch,
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { theme } from '../theme';
@@ -27,10 +30,27 @@ import { searchProviders } from '../services/api';
 
 const { width } = Dimensions.get('window');
 
+// Must match PACKAGE_CATEGORIES on the BAP server
+const PACKAGE_CATEGORIES = ['Grocery', 'F&B', 'Fashion', 'Electronics', 'Pharma', 'Documents', 'Other'];
+
+/**
+ * Parse a numeric text field; returns NaN for blank input
+ */
+function toNumber(text) {
+    return text.trim() === '' ? NaN : Number(text);
+}
+
 export default function LocationScreen() {
     const router = useRouter();
     const [pickup, setPickup] = useState('');
     const [drop, setDrop] = useState('');
+    const [weight, setWeight] = useState('5');
+    const [length, setLength] = useState('30');
+    const [breadth, setBreadth] = useState('20');
+    const [height, setHeight] = useState('15');
+    const [category, setCategory] = useState('Grocery');
+    const [declaredValue, setDeclaredValue] = useState('');
+    const [dangerousGoods, setDangerousGoods] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -86,15 +106,50 @@ export default function LocationScreen() {
         animateDots();
     }, []);
 
+    const shake = () => {
+        Animated.sequence([
+            Animated.timing(pulseAnim, { toValue: 0.97, duration: 80, useNativeDriver: true }),
+            Animated.timing(pulseAnim, { toValue: 1.03, duration: 80, useNativeDriver: true }),
+            Animated.timing(pulseAnim, { toValue: 1, duration: 80, useNativeDriver: true }),
+        ]).start();
+    };
+
+    const buildPackage = () => {
+        const pkg = {
+            weight: toNumber(weight),
+            dimensions: {
+                length: toNumber(length),
+                breadth: toNumber(breadth),
+                height: toNumber(height),
+            },
+            category,
+            value: declaredValue.trim() === '' ? 0 : toNumber(declaredValue),
+            dangerous_goods: dangerousGoods,
+        };
+
+        if (!(pkg.weight > 0)) {
+            return { error: 'Please enter the package weight in kg' };
+        }
+        if (![pkg.dimensions.length, pkg.dimensions.breadth, pkg.dimensions.height].every((d) => d > 0)) {
+            return { error: 'Please enter package length, breadth and height in cm' };
+        }
+        if (!(pkg.value >= 0)) {
+            return { error: 'Declared value must be a number' };
+        }
+        return { pkg };
+    };
+
     const handleSearch = async () => {
         if (!pickup.trim() || !drop.trim()) {
             setError('Please enter both pickup and drop locations');
             // Shake animation for error
-            Animated.sequence([
-                Animated.timing(pulseAnim, { toValue: 0.97, duration: 80, useNativeDriver: true }),
-                Animated.timing(pulseAnim, { toValue: 1.03, duration: 80, useNativeDriver: true }),
-                Animated.timing(pulseAnim, { toValue: 1, duration: 80, useNativeDriver: true }),
-            ]).start();
+            shake();
+            return;
+        }
+
+        const { pkg, error: packageError } = buildPackage();
+        if (packageError) {
+            setError(packageError);
             return;
         }
 
@@ -116,7 +171,8 @@ export default function LocationScreen() {
                     city: 'Noida',
                     state: 'Uttar Pradesh',
                     pincode: '201301',
-                }
+                },
+                pkg
             );
 
             // Navigate to loading screen with transaction ID
@@ -142,124 +198,211 @@ export default function LocationScreen() {
                 behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
                 style={styles.keyboardView}
             >
-                <Animated.View
-                    style={[
-                        styles.content,
-                        {
-                            opacity: fadeAnim,
-                            transform: [{ translateY: slideAnim }],
-                        },
-                    ]}
+                <ScrollView
+                    contentContainerStyle={styles.scrollContent}
+                    keyboardShouldPersistTaps="handled"
+                    showsVerticalScrollIndicator={false}
                 >
-                    {/* Header */}
-                    <View style={styles.header}>
-                        <View style={styles.logoContainer}>
-                            <View style={styles.logoIcon}>
-                                <Text style={styles.logoEmoji}>📦</Text>
-                            </View>
-                            <View>
-                                <Text style={styles.appName}>ONDC Logistics</Text>
-                                <Text style={styles.appTagline}>Fast • Reliable • Open Network</Text>
-                            </View>
-                        </View>
-                    </View>
-
-                    {/* Title */}
-                    <View style={styles.titleSection}>
-                        <Text style={styles.title}>Where are you{'\n'}sending today?</Text>
-                        <Text style={styles.subtitle}>
-                            Get instant quotes from verified logistics partners
-                        </Text>
-                    </View>
-
-                    {/* Location Card */}
                     <Animated.View
                         style={[
-                            styles.locationCard,
-                            { transform: [{ scale: pulseAnim }] },
+                            styles.content,
+                            {
+                                opacity: fadeAnim,
+                                transform: [{ translateY: slideAnim }],
+                            },
                         ]}
                     >
-                        {/* Pickup Input */}
-                        <View style={styles.inputRow}>
-                            <View style={styles.inputIconContainer}>
-                                <View style={[styles.inputDot, styles.pickupDot]} />
-                            </View>
-                            <View style={styles.inputWrapper}>
-                                <Text style={styles.inputLabel}>PICKUP</Text>
-                                <TextInput
-                                    style={styles.textInput}
-                                    placeholder="Enter pickup location"
-                                    placeholderTextColor={theme.colors.textMuted}
-                                    value={pickup}
-                                    onChangeText={setPickup}
-                                    returnKeyType="next"
-                                />
+                        {/* Header */}
+                        <View style={styles.header}>
+                            <View style={styles.logoContainer}>
+                                <View style={styles.logoIcon}>
+                                    <Text style={styles.logoEmoji}>📦</Text>
+                                </View>
+                                <View>
+                                    <Text style={styles.appName}>ONDC Logistics</Text>
+                                    <Text style={styles.appTagline}>Fast • Reliable • Open Network</Text>
+                                </View>
                             </View>
                         </View>
 
-                        {/* Route Indicator */}
-                        <View style={styles.routeIndicator}>
-                            <View style={styles.routeLine}>
-                                <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim1 }]} />
-                                <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim2 }]} />
-                                <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim3 }]} />
-                            </View>
+                        {/* Title */}
+                        <View style={styles.titleSection}>
+                            <Text style={styles.title}>Where are you{'\n'}sending today?</Text>
+                            <Text style={styles.subtitle}>
+                                Get instant quotes from verified logistics partners
+                            </Text>
                         </View>
 
-                        {/* Drop Input */}
-                        <View style={styles.inputRow}>
-                            <View style={styles.inputIconContainer}>
-                                <View style={[styles.inputDot, styles.dropDot]} />
+                        {/* Location Card */}
+                        <Animated.View
+                            style={[
+                                styles.locationCard,
+                                { transform: [{ scale: pulseAnim }] },
+                            ]}
+                        >
+                            {/* Pickup Input */}
+                            <View style={styles.inputRow}>
+                                <View style={styles.inputIconContainer}>
+                                    <View style={[styles.inputDot, styles.pickupDot]} />
+                                </View>
+                                <View style={styles.inputWrapper}>
+                                    <Text style={styles.inputLabel}>PICKUP</Text>
+                                    <TextInput
+                                        style={styles.textInput}
+                                        placeholder="Enter pickup location"
+                                        placeholderTextColor={theme.colors.textMuted}
+                                        value={pickup}
+                                        onChangeText={setPickup}
+                                        returnKeyType="next"
+                                    />
+                                </View>
+                            </View>
+
+                            {/* Route Indicator */}
+                            <View style={styles.routeIndicator}>
+                                <View style={styles.routeLine}>
+                                    <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim1 }]} />
+                                    <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim2 }]} />
+                                    <Animated.View style={[styles.routeDotSmall, { opacity: dotAnim3 }]} />
+                                </View>
+                            </View>
+
+                            {/* Drop Input */}
+                            <View style={styles.inputRow}>
+                                <View style={styles.inputIconContainer}>
+                                    <View style={[styles.inputDot, styles.dropDot]} />
+                                </View>
+                                <View style={styles.inputWrapper}>
+                                    <Text style={styles.inputLabel}>DROP</Text>
+                                    <TextInput
+                                        style={styles.textInput}
+                                        placeholder="Enter drop location"
+                                        placeholderTextColor={theme.colors.textMuted}
+                                        value={drop}
+                                        onChangeText={setDrop}
+                                        returnKeyType="done"
+                                        onSubmitEditing={handleSearch}
+                                    />
+                                </View>
+                            </View>
+                        </Animated.View>
+
+                        {/* Package Card */}
+                        <View style={styles.packageCard}>
+                            <Text style={styles.inputLabel}>PACKAGE</Text>
+
+                            <View style={styles.packageRow}>
+                                <View style={styles.packageField}>
+                                    <Text style={styles.packageFieldLabel}>Weight (kg)</Text>
+                                    <TextInput
+                                        style={styles.packageInput}
+                                        value={weight}
+                                        onChangeText={setWeight}
+                                        keyboardType="decimal-pad"
+                                        placeholder="5"
+                                        placeholderTextColor={theme.colors.textMuted}
+                                    />
+                                </View>
+                                <View style={styles.packageField}>
+                                    <Text style={styles.packageFieldLabel}>Value (₹)</Text>
+                                    <TextInput
+                                        style={styles.packageInput}
+                                        value={declaredValue}
+                                        onChangeText={setDeclaredValue}
+                                        keyboardType="decimal-pad"
+                                        placeholder="0"
+                                        placeholderTextColor={theme.colors.textMuted}
+                                    />
+                                </View>
                             </View>
-                            <View style={styles.inputWrapper}>
-                                <Text style={styles.inputLabel}>DROP</Text>
-                                <TextInput
-                                    style={styles.textInput}
-                                    placeholder="Enter drop location"
-                                    placeholderTextColor={theme.colors.textMuted}
-                                    value={drop}
-                                    onChangeText={setDrop}
-                                    returnKeyType="done"
-                                    onSubmitEditing={handleSearch}
+
+                            <Text style={styles.packageFieldLabel}>Size L × B × H (cm)</Text>
+                            <View style={styles.packageRow}>
+                                {[
+                                    [length, setLength, '30'],
+                                    [breadth, setBreadth, '20'],
+                                    [height, setHeight, '15'],
+                                ].map(([value, setValue, placeholder], index) => (
+                                    <TextInput
+                                        key={index}
+                                        style={[styles.packageInput, styles.packageField]}
+                                        value={value}
+                                        onChangeText={setValue}
+                                        keyboardType="decimal-pad"
+                                        placeholder={placeholder}
+                                        placeholderTextColor={theme.colors.textMuted}
+                                    />
+                                ))}
+                            </View>
+
+                            <ScrollView
+                                horizontal
+                                showsHorizontalScrollIndicator={false}
+                                contentContainerStyle={styles.categoryScroll}
+                            >
+                                {PACKAGE_CATEGORIES.map((item) => {
+                                    const isActive = category === item;
+                                    return (
+                                        <TouchableOpacity
+                                            key={item}
+                                            style={[styles.categoryChip, isActive && styles.categoryChipActive]}
+                                            onPress={() => setCategory(item)}
+                                            activeOpacity={0.7}
+                                        >
+                                            <Text style={[styles.categoryText, isActive && styles.categoryTextActive]}>
+                                                {item}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </ScrollView>
+
+                            <View style={styles.dangerousRow}>
+                                <Text style={styles.dangerousLabel}>Contains dangerous goods</Text>
+                                <Switch
+                                    value={dangerousGoods}
+                                    onValueChange={setDangerousGoods}
+                                    trackColor={{ false: theme.colors.border, true: theme.colors.primaryLight }}
+                                    thumbColor={dangerousGoods ? theme.colors.primary : theme.colors.surface}
                                 />
                             </View>
                         </View>
-                    </Animated.View>
 
-                    {/* Error */}
-                    {error ? (
-                        <View style={styles.errorContainer}>
-                            <Text style={styles.errorText}>⚠️ {error}</Text>
-                        </View>
-                    ) : null}
+                        {/* Error */}
+                        {error ? (
+                            <View style={styles.errorContainer}>
+                                <Text style={styles.errorText}>⚠️ {error}</Text>
+                            </View>
+                        ) : null}
 
-                    {/* Continue Button */}
-                    <TouchableOpacity
-                        style={[
-                            styles.continueButton,
-                            !isReady && styles.continueButtonDisabled,
-                            loading && styles.continueButtonLoading,
-                        ]}
-                        onPress={handleSearch}
-                        disabled={loading}
-                        activeOpacity={0.8}
-                    >
-                        {loading ? (
-                            <Text style={styles.continueButtonText}>Searching...</Text>
-                        ) : (
-                            <>
-                                <Text style={styles.continueButtonText}>Find Delivery Partners</Text>
-                                <Text style={styles.continueButtonArrow}>→</Text>
-                            </>
-                        )}
-                    </TouchableOpacity>
-
-                    {/* Footer */}
-                    <View style={styles.footer}>
-                        <Text style={styles.footerText}>Powered by</Text>
-                        <Text style={styles.footerBrand}>ONDC Open Network</Text>
-                    </View>
-                </Animated.View>
+                        {/* Continue Button */}
+                        <TouchableOpacity
+                            style={[
+                                styles.continueButton,
+                                !isReady && styles.continueButtonDisabled,
+                                loading && styles.continueButtonLoading,
+                            ]}
+                            onPress={handleSearch}
+                            disabled={loading}
+                            activeOpacity={0.8}
+                        >
+                            {loading ? (
+                                <Text style={styles.continueButtonText}>Searching...</Text>
+                            ) : (
+                                <>
+                                    <Text style={styles.continueButtonText}>Find Delivery Partners</Text>
+                                    <Text style={styles.continueButtonArrow}>→</Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+
+                        {/* Footer */}
+                        <View style={styles.footer}>
+                            <Text style={styles.footerText}>Powered by</Text>
+                            <Text style={styles.footerBrand}>ONDC Open Network</Text>
+                        </View>
+                    </Animated.View>
+                </ScrollView>
             </KeyboardAvoidingView>
         </SafeAreaView>
     );
@@ -273,6 +416,9 @@ const styles = StyleSheet.create({
     keyboardView: {
         flex: 1,
     },
+    scrollContent: {
+        flexGrow: 1,
+    },
     content: {
         flex: 1,
         paddingHorizontal: theme.spacing.lg,
@@ -396,6 +542,66 @@ const styles = StyleSheet.create({
         borderRadius: 2,
         backgroundColor: theme.colors.textMuted,
     },
+    packageCard: {
+        marginTop: theme.spacing.md,
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.xl,
+        padding: theme.spacing.lg,
+        ...theme.shadow.md,
+        borderWidth: 1,
+        borderColor: theme.colors.borderLight,
+        gap: theme.spacing.sm,
+    },
+    packageRow: {
+        flexDirection: 'row',
+        gap: 12,
+    },
+    packageField: {
+        flex: 1,
+    },
+    packageFieldLabel: {
+        fontSize: theme.fontSize.xs,
+        color: theme.colors.textSecondary,
+        marginBottom: 2,
+    },
+    packageInput: {
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.medium,
+        color: theme.colors.text,
+        paddingVertical: 6,
+        borderBottomWidth: 1,
+        borderBottomColor: theme.colors.borderLight,
+    },
+    categoryScroll: {
+        gap: 8,
+        paddingVertical: 4,
+    },
+    categoryChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: theme.borderRadius.full,
+        backgroundColor: theme.colors.surfaceAlt,
+    },
+    categoryChipActive: {
+        backgroundColor: theme.colors.primary,
+    },
+    categoryText: {
+        fontSize: theme.fontSize.sm,
+        fontWeight: theme.fontWeight.medium,
+        color: theme.colors.textSecondary,
+    },
+    categoryTextActive: {
+        color: theme.colors.textOnPrimary,
+    },
+    dangerousRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    dangerousLabel: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.text,
+    },
     errorContainer: {
         marginTop: theme.spacing.md,
         paddingHorizontal: theme.spacing.md,
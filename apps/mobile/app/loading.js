@@ -2,9 +2,11 @@
  * Loading Screen
  * 
  * Shows skeleton cards and a "Finding delivery options" message
- * while polling the BAP server for search results.
+ * while waiting for search results. Listens to the transaction's
+ * event stream and falls back to polling if the stream fails.
  * 
- * Auto-navigates to results screen when providers are found.
+ * Auto-navigates to results screen when providers are found, or when
+ * the search window closes without any.
  */
 
 import React, { useEffect, useRef, useState } from 'react';
@@ -19,11 +21,13 @@ import {
 } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { theme } from '../theme';
-import { getResults } from '../services/api';
+import { getResults, subscribeToTransaction } from '../services/api';
 
 const { width } = Dimensions.get('window');
 const POLL_INTERVAL = 1500;
 const MAX_POLLS = 20;
+// Give up waiting after the same time polling would
+const MAX_WAIT = POLL_INTERVAL * MAX_POLLS;
 
 export default function LoadingScreen() {
     const router = useRouter();
@@ -96,47 +100,77 @@ export default function LoadingScreen() {
             setStatus(messages[msgIndex]);
         }, 2500);
 
-        // Poll for results
-        const pollInterval = setInterval(async () => {
-            pollCountRef.current += 1;
+        let pollInterval = null;
+        let giveUpTimeout = null;
+        let unsubscribe = null;
+        let done = false;
 
-            if (pollCountRef.current > MAX_POLLS) {
-                clearInterval(pollInterval);
-                clearInterval(dotsInterval);
-                clearInterval(msgInterval);
-                // Navigate to results anyway (may show empty state)
-                router.replace({
-                    pathname: '/results',
-                    params: { transactionId, pickup, drop },
-                });
-                return;
-            }
+        const stopAll = () => {
+            done = true;
+            clearInterval(pollInterval);
+            clearInterval(dotsInterval);
+            clearInterval(msgInterval);
+            clearTimeout(giveUpTimeout);
+            if (unsubscribe) unsubscribe();
+        };
+
+        const goToResults = () => {
+            router.replace({
+                pathname: '/results',
+                params: { transactionId, pickup, drop },
+            });
+        };
 
+        const checkResults = async () => {
             try {
                 const data = await getResults(transactionId);
-                if (data.status === 'results_ready' && data.providers && data.providers.length > 0) {
-                    clearInterval(pollInterval);
-                    clearInterval(dotsInterval);
-                    clearInterval(msgInterval);
+                const found = data.status === 'results_ready' && data.providers && data.providers.length > 0;
+                if (!done && (found || data.searchComplete)) {
+                    stopAll();
 
                     // Slight delay for smooth transition
-                    setTimeout(() => {
-                        router.replace({
-                            pathname: '/results',
-                            params: { transactionId, pickup, drop },
-                        });
-                    }, 500);
+                    setTimeout(goToResults, 500);
                 }
             } catch (err) {
-                console.log('Polling...', err.message);
+                console.log('Checking results...', err.message);
             }
-        }, POLL_INTERVAL);
+        };
 
-        return () => {
-            clearInterval(pollInterval);
-            clearInterval(dotsInterval);
-            clearInterval(msgInterval);
+        // Fallback: poll for results
+        const startPolling = () => {
+            if (pollInterval || done) return;
+            pollInterval = setInterval(() => {
+                pollCountRef.current += 1;
+                if (pollCountRef.current > MAX_POLLS) {
+                    stopAll();
+                    // Navigate to results anyway (may show empty state)
+                    goToResults();
+                    return;
+                }
+                checkResults();
+            }, POLL_INTERVAL);
         };
+
+        // Navigate to results anyway (may show empty state)
+        giveUpTimeout = setTimeout(() => {
+            if (done) return;
+            stopAll();
+            goToResults();
+        }, MAX_WAIT);
+
+        // Prefer pushed updates; the snapshot event also covers results
+        // that arrived before the stream opened
+        unsubscribe = subscribeToTransaction(transactionId, {
+            onEvent: (event) => {
+                if (event.status === 'results_ready' || event.type === 'search_complete') checkResults();
+            },
+            onError: (err) => {
+                console.log('Event stream unavailable, polling instead:', err.message);
+                startPolling();
+            },
+        });
+
+        return stopAll;
     }, []);
 
     const shimmerTranslate = shimmerAnim.interpolate({
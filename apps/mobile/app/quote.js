@@ -0,0 +1,390 @@
+/**
+ * Quote Screen
+ *
+ * Shows the quote the provider returned in on_select:
+ * - Price breakup (delivery charge, tax, ...)
+ * - Total and how long the quote is valid
+ * - Provider errors, if the selection was rejected
+ *
+ * Waits on the transaction's event stream until on_select arrives.
+ */
+
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    SafeAreaView,
+    ScrollView,
+    TouchableOpacity,
+    ActivityIndicator,
+    Animated,
+    Platform,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { theme } from '../theme';
+import { getQuote, subscribeToTransaction } from '../services/api';
+
+const TITLE_LABELS = {
+    delivery: 'Delivery charge',
+    tax: 'Tax',
+    discount: 'Discount',
+    packing: 'Packing',
+    misc: 'Other charges',
+};
+
+function formatPrice(value) {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount.toFixed(2) : '--';
+}
+
+export default function QuoteScreen() {
+    const router = useRouter();
+    const { transactionId, pickup, drop, providerName } = useLocalSearchParams();
+    const [quote, setQuote] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [secondsLeft, setSecondsLeft] = useState(null);
+
+    const fadeIn = useRef(new Animated.Value(0)).current;
+
+    const fetchQuote = useCallback(async () => {
+        try {
+            const data = await getQuote(transactionId);
+            const pending = data.status === 'selecting' && (data.errors || []).length === 0;
+            // While /select is pending, a quote from an earlier selection is stale
+            if (pending) return;
+            setQuote(data.quote);
+            setErrors(data.errors || []);
+            setLoading(false);
+        } catch (err) {
+            setErrors([{ message: err.message }]);
+            setLoading(false);
+        }
+    }, [transactionId]);
+
+    useEffect(() => {
+        Animated.timing(fadeIn, {
+            toValue: 1,
+            duration: 400,
+            useNativeDriver: true,
+        }).start();
+
+        fetchQuote();
+
+        const unsubscribe = subscribeToTransaction(transactionId, {
+            onEvent: (event) => {
+                if (event.type === 'on_select' || event.type === 'on_error') {
+                    fetchQuote();
+                }
+            },
+            onError: () => fetchQuote(),
+        });
+
+        return unsubscribe;
+    }, [transactionId]);
+
+    // Count down until the quote expires
+    useEffect(() => {
+        if (!quote?.expiresAt) return undefined;
+
+        const tick = () => {
+            const left = Math.round((new Date(quote.expiresAt).getTime() - Date.now()) / 1000);
+            setSecondsLeft(Math.max(0, left));
+        };
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [quote?.expiresAt]);
+
+    const expired = secondsLeft === 0;
+
+    const handleContinue = () => {
+        router.push({
+            pathname: '/billing',
+            params: {
+                transactionId,
+                pickup,
+                drop,
+                providerName,
+                providerId: quote.providerId,
+                itemId: quote.itemId,
+                fulfillmentId: quote.fulfillmentId,
+                bppId: quote.bppId,
+                bppUri: quote.bppUri,
+                total: String(quote.total),
+                currency: quote.currency,
+            },
+        });
+    };
+
+    const renderBody = () => {
+        if (loading) {
+            return (
+                <View style={styles.centered}>
+                    <ActivityIndicator size="large" color={theme.colors.primary} />
+                    <Text style={styles.waitingText}>Getting a quote from {providerName || 'the provider'}...</Text>
+                </View>
+            );
+        }
+
+        if (!quote) {
+            return (
+                <View style={styles.centered}>
+                    <Text style={styles.emptyIcon}>⚠️</Text>
+                    <Text style={styles.emptyTitle}>No quote available</Text>
+                    {errors.map((error, i) => (
+                        <Text key={i} style={styles.errorText}>
+                            {error.message || error.code || 'The provider rejected this selection'}
+                        </Text>
+                    ))}
+                    <TouchableOpacity style={styles.secondaryButton} onPress={() => router.back()}>
+                        <Text style={styles.secondaryButtonText}>Choose another partner</Text>
+                    </TouchableOpacity>
+                </View>
+            );
+        }
+
+        return (
+            <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>{providerName || quote.providerId}</Text>
+                    <Text style={styles.cardSubtitle}>Price breakup</Text>
+
+                    {quote.breakup.map((line, i) => (
+                        <View key={`${line.itemId}-${line.titleType}-${i}`} style={styles.breakupRow}>
+                            <Text style={styles.breakupLabel}>
+                                {line.title || TITLE_LABELS[line.titleType] || line.titleType}
+                            </Text>
+                            <Text style={styles.breakupValue}>₹{formatPrice(line.price)}</Text>
+                        </View>
+                    ))}
+
+                    <View style={styles.divider} />
+
+                    <View style={styles.breakupRow}>
+                        <Text style={styles.totalLabel}>Total</Text>
+                        <Text style={styles.totalValue}>₹{formatPrice(quote.total)}</Text>
+                    </View>
+                </View>
+
+                {secondsLeft !== null && (
+                    <View style={[styles.validityBadge, expired && styles.validityBadgeExpired]}>
+                        <Text style={[styles.validityText, expired && styles.validityTextExpired]}>
+                            {expired
+                                ? 'This quote has expired. Go back and select again.'
+                                : `Quote valid for ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`}
+                        </Text>
+                    </View>
+                )}
+            </ScrollView>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <Animated.View style={[styles.header, { opacity: fadeIn }]}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => router.back()}
+                    activeOpacity={0.7}
+                >
+                    <Text style={styles.backArrow}>←</Text>
+                </TouchableOpacity>
+                <View>
+                    <Text style={styles.headerTitle}>Review Quote</Text>
+                    <Text style={styles.headerSubtitle} numberOfLines={1}>
+                        {pickup || 'Pickup'} → {drop || 'Drop'}
+                    </Text>
+                </View>
+            </Animated.View>
+
+            <Animated.View style={[styles.body, { opacity: fadeIn }]}>{renderBody()}</Animated.View>
+
+            {quote && (
+                <View style={styles.footer}>
+                    <TouchableOpacity
+                        style={[styles.primaryButton, expired && styles.primaryButtonDisabled]}
+                        onPress={handleContinue}
+                        disabled={expired}
+                        activeOpacity={0.8}
+                    >
+                        <Text style={styles.primaryButtonText}>Continue to Billing</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.lg,
+        paddingTop: Platform.OS === 'android' ? 48 : 16,
+        paddingBottom: theme.spacing.md,
+        gap: 12,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: theme.colors.surface,
+        justifyContent: 'center',
+        alignItems: 'center',
+        ...theme.shadow.sm,
+    },
+    backArrow: {
+        fontSize: 20,
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.bold,
+    },
+    headerTitle: {
+        fontSize: theme.fontSize.xl,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    headerSubtitle: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    body: {
+        flex: 1,
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.xl,
+        gap: theme.spacing.sm,
+    },
+    waitingText: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.textSecondary,
+        marginTop: theme.spacing.md,
+        textAlign: 'center',
+    },
+    emptyIcon: {
+        fontSize: 48,
+    },
+    emptyTitle: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    errorText: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.error,
+        textAlign: 'center',
+    },
+    scrollContent: {
+        paddingHorizontal: theme.spacing.lg,
+        paddingBottom: theme.spacing.xxl,
+        gap: theme.spacing.md,
+    },
+    card: {
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.xl,
+        padding: theme.spacing.lg,
+        borderWidth: 1,
+        borderColor: theme.colors.borderLight,
+        ...theme.shadow.md,
+    },
+    cardTitle: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    cardSubtitle: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+        marginBottom: theme.spacing.md,
+    },
+    breakupRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 6,
+    },
+    breakupLabel: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.textSecondary,
+    },
+    breakupValue: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.medium,
+    },
+    divider: {
+        height: 1,
+        backgroundColor: theme.colors.border,
+        marginVertical: theme.spacing.sm,
+    },
+    totalLabel: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    totalValue: {
+        fontSize: theme.fontSize.xl,
+        fontWeight: theme.fontWeight.extrabold,
+        color: theme.colors.primary,
+    },
+    validityBadge: {
+        backgroundColor: theme.colors.successLight,
+        borderRadius: theme.borderRadius.md,
+        paddingVertical: 10,
+        paddingHorizontal: 14,
+    },
+    validityBadgeExpired: {
+        backgroundColor: theme.colors.errorLight,
+    },
+    validityText: {
+        fontSize: theme.fontSize.sm,
+        fontWeight: theme.fontWeight.semibold,
+        color: theme.colors.success,
+        textAlign: 'center',
+    },
+    validityTextExpired: {
+        color: theme.colors.error,
+    },
+    footer: {
+        paddingHorizontal: theme.spacing.lg,
+        paddingBottom: theme.spacing.lg,
+    },
+    primaryButton: {
+        backgroundColor: theme.colors.primary,
+        borderRadius: theme.borderRadius.lg,
+        paddingVertical: 16,
+        alignItems: 'center',
+        ...theme.shadow.md,
+    },
+    primaryButtonDisabled: {
+        backgroundColor: theme.colors.primaryLight,
+    },
+    primaryButtonText: {
+        color: theme.colors.textOnPrimary,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+    },
+    secondaryButton: {
+        marginTop: theme.spacing.md,
+        paddingVertical: 12,
+        paddingHorizontal: theme.spacing.lg,
+        borderRadius: theme.borderRadius.lg,
+        borderWidth: 1.5,
+        borderColor: theme.colors.primary,
+    },
+    secondaryButtonText: {
+        color: theme.colors.primary,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.semibold,
+    },
+});
@@ -2,11 +2,17 @@
  * Results Screen
  * 
  * Displays logistics provider cards with:
- * - Provider name, price, ETA
- * - "Cheapest" badge on lowest price
- * - Vehicle category filter chips (All / Bike / Auto / Van)
+ * - Provider name, price, ETA, route distance, rating
+ * - "Cheapest", "Fastest" and "Best value" badges
+ * - Sort chips and vehicle category filter chips, both driven by the
+ *   server (sortOptions / facets); sorting and filtering happen in
+ *   /api/results so every client ranks the same way
  * - Neumorphic card design
  * - Animated entry
+ * - "Still searching" banner until the search window closes; late
+ *   on_search results are merged in as they arrive
+ * 
+ * Tapping a card sends /select and opens the quote screen.
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
@@ -21,10 +27,12 @@ import {
     Dimensions,
     RefreshControl,
     Platform,
+    Alert,
+    ActivityIndicator,
 } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { theme } from '../theme';
-import { getResults, selectProvider } from '../services/api';
+import { getResults, selectProvider, subscribeToTransaction } from '../services/api';
 
 const { width } = Dimensions.get('window');
 
@@ -42,16 +50,28 @@ const VEHICLE_COLORS = {
     Truck: '#8B5CF6',
 };
 
-const FILTERS = ['All', 'Bike', 'Auto', 'Van'];
+const DEFAULT_SORT_OPTIONS = [{ value: 'price', label: 'Best price' }];
+
+const BADGES = [
+    { field: 'isCheapest', label: '⚡ CHEAPEST', color: theme.colors.success },
+    { field: 'isFastest', label: '🚀 FASTEST', color: theme.colors.secondary },
+    { field: 'bestValue', label: '★ BEST VALUE', color: theme.colors.primary },
+];
 
 export default function ResultsScreen() {
     const router = useRouter();
     const { transactionId, pickup, drop } = useLocalSearchParams();
     const [providers, setProviders] = useState([]);
     const [activeFilter, setActiveFilter] = useState('All');
+    const [sort, setSort] = useState('price');
+    const [sortOptions, setSortOptions] = useState(DEFAULT_SORT_OPTIONS);
+    const [vehicleFacets, setVehicleFacets] = useState([]);
     const [refreshing, setRefreshing] = useState(false);
     const [selectedId, setSelectedId] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [unserviceable, setUnserviceable] = useState([]);
+    const [searchComplete, setSearchComplete] = useState(true);
+    const [expiresAt, setExpiresAt] = useState(null);
 
     // Animations
     const fadeIn = useRef(new Animated.Value(0)).current;
@@ -60,21 +80,31 @@ export default function ResultsScreen() {
 
     const fetchResults = useCallback(async () => {
         try {
-            const data = await getResults(transactionId);
+            const data = await getResults(transactionId, {
+                sort,
+                vehicleCategory: activeFilter === 'All' ? undefined : activeFilter,
+            });
             if (data.providers) {
                 setProviders(data.providers);
             }
+            setSortOptions(data.sortOptions || DEFAULT_SORT_OPTIONS);
+            setVehicleFacets(data.facets?.vehicleCategories || []);
+            setUnserviceable(data.unserviceable || []);
+            setSearchComplete(data.searchComplete !== false);
+            setExpiresAt(data.expiresAt || null);
         } catch (err) {
             console.log('Fetch error:', err.message);
         } finally {
             setLoading(false);
             setRefreshing(false);
         }
-    }, [transactionId]);
+    }, [transactionId, sort, activeFilter]);
 
     useEffect(() => {
         fetchResults();
+    }, [fetchResults]);
 
+    useEffect(() => {
         // Entry animations
         Animated.parallel([
             Animated.timing(fadeIn, {
@@ -90,6 +120,26 @@ export default function ResultsScreen() {
         ]).start();
     }, []);
 
+    useEffect(() => {
+        if (searchComplete) return undefined;
+
+        // More BPPs may still answer: refresh on each on_search, and once
+        // the window closes in case the stream drops the final event
+        const unsubscribe = subscribeToTransaction(transactionId, {
+            onEvent: (event) => {
+                if (event.type === 'on_search' || event.type === 'search_complete') fetchResults();
+            },
+            onError: (err) => console.log('Event stream unavailable:', err.message),
+        });
+        const untilExpiry = expiresAt ? new Date(expiresAt).getTime() - Date.now() : 0;
+        const expiryTimeout = setTimeout(fetchResults, Math.max(untilExpiry, 0) + 500);
+
+        return () => {
+            unsubscribe();
+            clearTimeout(expiryTimeout);
+        };
+    }, [searchComplete, expiresAt, fetchResults]);
+
     useEffect(() => {
         // Stagger card animations when providers change
         if (providers.length > 0) {
@@ -108,14 +158,14 @@ export default function ResultsScreen() {
     const onRefresh = useCallback(() => {
         setRefreshing(true);
         fetchResults();
-    }, []);
+    }, [fetchResults]);
 
-    const filteredProviders = activeFilter === 'All'
-        ? providers
-        : providers.filter((p) => p.vehicleCategory === activeFilter);
+    const filters = ['All', ...vehicleFacets.map((facet) => facet.value)];
+    const sortLabel = (sortOptions.find((option) => option.value === sort) || DEFAULT_SORT_OPTIONS[0]).label;
 
     const handleSelect = async (provider) => {
-        setSelectedId(provider.id);
+        if (selectedId) return;
+        setSelectedId(provider.key);
         try {
             await selectProvider({
                 transactionId,
@@ -125,8 +175,14 @@ export default function ResultsScreen() {
                 bppId: provider.bppId,
                 bppUri: provider.bppUri,
             });
+            router.push({
+                pathname: '/quote',
+                params: { transactionId, pickup, drop, providerName: provider.name },
+            });
         } catch (err) {
-            console.log('Select error:', err.message);
+            Alert.alert('Could not select provider', err.message);
+        } finally {
+            setSelectedId(null);
         }
     };
 
@@ -166,9 +222,7 @@ export default function ResultsScreen() {
                                 isActive && styles.filterCountTextActive,
                             ]}
                         >
-                            {providers.filter((p) =>
-                                filter === 'All' ? true : p.vehicleCategory === filter
-                            ).length}
+                            {vehicleFacets.find((facet) => facet.value === filter)?.count || 0}
                         </Text>
                     </View>
                 )}
@@ -176,13 +230,37 @@ export default function ResultsScreen() {
         );
     };
 
+    const renderSortChip = (option) => {
+        const isActive = sort === option.value;
+        return (
+            <TouchableOpacity
+                key={option.value}
+                style={[
+                    styles.filterChip,
+                    isActive && styles.filterChipActive,
+                ]}
+                onPress={() => setSort(option.value)}
+                activeOpacity={0.7}
+            >
+                <Text
+                    style={[
+                        styles.filterText,
+                        isActive && styles.filterTextActive,
+                    ]}
+                >
+                    {option.label}
+                </Text>
+            </TouchableOpacity>
+        );
+    };
+
     const renderProviderCard = (provider, index) => {
-        const isSelected = selectedId === provider.id;
+        const isSelected = selectedId === provider.key;
         const animValue = cardAnims[index] || new Animated.Value(1);
 
         return (
             <Animated.View
-                key={`${provider.id}-${provider.itemId}`}
+                key={provider.key}
                 style={[
                     styles.providerCard,
                     isSelected && styles.providerCardSelected,
@@ -210,10 +288,14 @@ export default function ResultsScreen() {
                     onPress={() => handleSelect(provider)}
                     activeOpacity={0.7}
                 >
-                    {/* Cheapest Badge */}
-                    {provider.isCheapest && (
-                        <View style={styles.cheapestBadge}>
-                            <Text style={styles.cheapestText}>⚡ CHEAPEST</Text>
+                    {/* Badges */}
+                    {BADGES.some((badge) => provider[badge.field]) && (
+                        <View style={styles.badgeRow}>
+                            {BADGES.filter((badge) => provider[badge.field]).map((badge) => (
+                                <View key={badge.field} style={[styles.badge, { backgroundColor: badge.color }]}>
+                                    <Text style={styles.badgeText}>{badge.label}</Text>
+                                </View>
+                            ))}
                         </View>
                     )}
 
@@ -249,6 +331,24 @@ export default function ResultsScreen() {
                                     </Text>
                                     <Text style={styles.metaText}>{provider.vehicleCategory}</Text>
                                 </View>
+                                {provider.rating != null && (
+                                    <>
+                                        <View style={styles.metaDot} />
+                                        <View style={styles.metaItem}>
+                                            <Text style={styles.metaIcon}>⭐</Text>
+                                            <Text style={styles.metaText}>{provider.rating.toFixed(1)}</Text>
+                                        </View>
+                                    </>
+                                )}
+                                {provider.distanceKm != null && (
+                                    <>
+                                        <View style={styles.metaDot} />
+                                        <View style={styles.metaItem}>
+                                            <Text style={styles.metaIcon}>📍</Text>
+                                            <Text style={styles.metaText}>{provider.distanceKm} km</Text>
+                                        </View>
+                                    </>
+                                )}
                             </View>
                         </View>
 
@@ -311,14 +411,22 @@ export default function ResultsScreen() {
             {/* Results Count */}
             <Animated.View style={[styles.resultsHeader, { opacity: fadeIn }]}>
                 <Text style={styles.resultsTitle}>
-                    {filteredProviders.length} Delivery Partner
-                    {filteredProviders.length !== 1 ? 's' : ''}
+                    {providers.length} Delivery Partner
+                    {providers.length !== 1 ? 's' : ''}
                 </Text>
                 <Text style={styles.resultsSubtitle}>
-                    Sorted by best price
+                    Sorted by {sortLabel.toLowerCase()}
                 </Text>
             </Animated.View>
 
+            {/* Still Searching */}
+            {!searchComplete && (
+                <View style={styles.searchingBanner}>
+                    <ActivityIndicator size="small" color={theme.colors.primary} />
+                    <Text style={styles.searchingText}>Still searching more partners…</Text>
+                </View>
+            )}
+
             {/* Filter Chips */}
             <Animated.View style={[styles.filterContainer, { opacity: fadeIn }]}>
                 <ScrollView
@@ -326,7 +434,14 @@ export default function ResultsScreen() {
                     showsHorizontalScrollIndicator={false}
                     contentContainerStyle={styles.filterScroll}
                 >
-                    {FILTERS.map(renderFilterChip)}
+                    {sortOptions.map(renderSortChip)}
+                </ScrollView>
+                <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    contentContainerStyle={styles.filterScroll}
+                >
+                    {filters.map(renderFilterChip)}
                 </ScrollView>
             </Animated.View>
 
@@ -344,18 +459,20 @@ export default function ResultsScreen() {
                     />
                 }
             >
-                {filteredProviders.length === 0 && !loading ? (
+                {providers.length === 0 && !loading && searchComplete ? (
                     <View style={styles.emptyState}>
                         <Text style={styles.emptyIcon}>🔍</Text>
                         <Text style={styles.emptyTitle}>No providers found</Text>
                         <Text style={styles.emptySubtitle}>
                             {activeFilter !== 'All'
                                 ? `No ${activeFilter} delivery options available. Try "All" filter.`
-                                : 'Please try again or modify your search.'}
+                                : unserviceable.length > 0
+                                    ? `${unserviceable[0].message}. Try a different pickup or drop location.`
+                                    : 'Please try again or modify your search.'}
                         </Text>
                     </View>
                 ) : (
-                    filteredProviders.map((provider, index) =>
+                    providers.map((provider, index) =>
                         renderProviderCard(provider, index)
                     )
                 )}
@@ -455,8 +572,25 @@ const styles = StyleSheet.create({
         color: theme.colors.textSecondary,
         marginTop: 2,
     },
+    searchingBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginHorizontal: theme.spacing.lg,
+        marginBottom: theme.spacing.md,
+        paddingVertical: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.md,
+        borderRadius: 12,
+        backgroundColor: theme.colors.primaryGhost,
+    },
+    searchingText: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.primaryDark,
+        fontWeight: '600',
+    },
     filterContainer: {
         marginBottom: theme.spacing.md,
+        gap: theme.spacing.sm,
     },
     filterScroll: {
         paddingHorizontal: theme.spacing.lg,
@@ -528,17 +662,20 @@ const styles = StyleSheet.create({
     providerCardInner: {
         padding: theme.spacing.md + 2,
     },
-    cheapestBadge: {
+    badgeRow: {
         position: 'absolute',
         top: 0,
         right: 0,
-        backgroundColor: theme.colors.success,
-        paddingHorizontal: 12,
-        paddingVertical: 4,
+        flexDirection: 'row',
         borderBottomLeftRadius: 12,
         borderTopRightRadius: theme.borderRadius.xl - 1,
+        overflow: 'hidden',
+    },
+    badge: {
+        paddingHorizontal: 12,
+        paddingVertical: 4,
     },
-    cheapestText: {
+    badgeText: {
         fontSize: 10,
         fontWeight: theme.fontWeight.bold,
         color: '#FFFFFF',
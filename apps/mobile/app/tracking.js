@@ -0,0 +1,472 @@
+/**
+ * Tracking Screen
+ *
+ * Shows a confirmed order driven by /api/status:
+ * - Order id and overall state
+ * - Fulfillment timeline (Pending → ... → Order-delivered)
+ * - Delivery agent and vehicle once assigned
+ * - Refresh (sends Beckn /status) and cancel actions
+ *
+ * Re-reads the order whenever the transaction's event stream reports
+ * on_status / on_cancel.
+ */
+
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    SafeAreaView,
+    ScrollView,
+    TouchableOpacity,
+    ActivityIndicator,
+    RefreshControl,
+    Alert,
+    Linking,
+    Platform,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { theme } from '../theme';
+import {
+    getStatus,
+    refreshStatus,
+    cancelOrder,
+    subscribeToTransaction,
+} from '../services/api';
+
+const FULFILLMENT_STEPS = [
+    { code: 'Pending', label: 'Order placed' },
+    { code: 'Searching-for-Agent', label: 'Finding a delivery agent' },
+    { code: 'Agent-assigned', label: 'Agent assigned' },
+    { code: 'Order-picked-up', label: 'Picked up' },
+    { code: 'Out-for-delivery', label: 'Out for delivery' },
+    { code: 'Order-delivered', label: 'Delivered' },
+];
+
+// ONDC reason code: buyer does not want the order any more
+const CANCELLATION_REASON_ID = '012';
+// Providers accept cancellation until the package is picked up
+const CANCELLABLE_FULFILLMENT_STATES = ['Pending', 'Searching-for-Agent', 'Agent-assigned'];
+
+export default function TrackingScreen() {
+    const router = useRouter();
+    const { transactionId, pickup, drop, providerName } = useLocalSearchParams();
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [refreshing, setRefreshing] = useState(false);
+    const [cancelling, setCancelling] = useState(false);
+
+    const fetchStatus = useCallback(async () => {
+        try {
+            setData(await getStatus(transactionId));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [transactionId]);
+
+    useEffect(() => {
+        fetchStatus();
+
+        const unsubscribe = subscribeToTransaction(transactionId, {
+            onEvent: (event) => {
+                if (event.type !== 'snapshot') fetchStatus();
+            },
+            onError: () => fetchStatus(),
+        });
+
+        return unsubscribe;
+    }, [transactionId]);
+
+    const onRefresh = useCallback(async () => {
+        setRefreshing(true);
+        try {
+            await refreshStatus(transactionId);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            // on_status arrives on the event stream
+            setRefreshing(false);
+        }
+    }, [transactionId]);
+
+    const handleCancel = () => {
+        Alert.alert('Cancel order?', 'The delivery partner will be informed.', [
+            { text: 'Keep order', style: 'cancel' },
+            {
+                text: 'Cancel order',
+                style: 'destructive',
+                onPress: async () => {
+                    setCancelling(true);
+                    try {
+                        await cancelOrder({ transactionId, cancellationReasonId: CANCELLATION_REASON_ID });
+                    } catch (err) {
+                        Alert.alert('Could not cancel', err.message);
+                    } finally {
+                        setCancelling(false);
+                    }
+                },
+            },
+        ]);
+    };
+
+    const order = data?.order;
+    const status = data?.status;
+    const cancelled = status === 'cancelled';
+    const currentStep = FULFILLMENT_STEPS.findIndex((s) => s.code === order?.fulfillmentState);
+
+    const renderTimeline = () => (
+        <View style={styles.card}>
+            <Text style={styles.cardTitle}>Delivery progress</Text>
+            {FULFILLMENT_STEPS.map((step, index) => {
+                const done = index <= currentStep;
+                const isCurrent = index === currentStep;
+                return (
+                    <View key={step.code} style={styles.timelineRow}>
+                        <View style={styles.timelineMarker}>
+                            <View
+                                style={[
+                                    styles.timelineDot,
+                                    done && styles.timelineDotDone,
+                                    isCurrent && styles.timelineDotCurrent,
+                                ]}
+                            />
+                            {index < FULFILLMENT_STEPS.length - 1 && (
+                                <View style={[styles.timelineLine, index < currentStep && styles.timelineLineDone]} />
+                            )}
+                        </View>
+                        <Text style={[styles.timelineLabel, done && styles.timelineLabelDone]}>
+                            {step.label}
+                        </Text>
+                    </View>
+                );
+            })}
+        </View>
+    );
+
+    const renderAgent = () => {
+        if (!order?.agent) return null;
+        return (
+            <View style={styles.card}>
+                <Text style={styles.cardTitle}>Delivery agent</Text>
+                <View style={styles.agentRow}>
+                    <View style={styles.agentAvatar}>
+                        <Text style={styles.agentAvatarText}>{order.agent.name.charAt(0)}</Text>
+                    </View>
+                    <View style={styles.flex}>
+                        <Text style={styles.agentName}>{order.agent.name}</Text>
+                        {order.vehicle && <Text style={styles.agentMeta}>{order.vehicle}</Text>}
+                    </View>
+                    {order.agent.phone && (
+                        <TouchableOpacity
+                            style={styles.callButton}
+                            onPress={() => Linking.openURL(`tel:${order.agent.phone}`)}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={styles.callButtonText}>📞 Call</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => router.replace('/')}
+                    activeOpacity={0.7}
+                >
+                    <Text style={styles.backArrow}>⌂</Text>
+                </TouchableOpacity>
+                <View style={styles.flex}>
+                    <Text style={styles.headerTitle}>Track Order</Text>
+                    <Text style={styles.headerSubtitle} numberOfLines={1}>
+                        {pickup || 'Pickup'} → {drop || 'Drop'}
+                    </Text>
+                </View>
+            </View>
+
+            {!data && !error ? (
+                <View style={styles.centered}>
+                    <ActivityIndicator size="large" color={theme.colors.primary} />
+                </View>
+            ) : (
+                <ScrollView
+                    contentContainerStyle={styles.scrollContent}
+                    showsVerticalScrollIndicator={false}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={onRefresh}
+                            tintColor={theme.colors.primary}
+                            colors={[theme.colors.primary]}
+                        />
+                    }
+                >
+                    {error && (
+                        <View style={styles.errorBanner}>
+                            <Text style={styles.errorText}>{error}</Text>
+                        </View>
+                    )}
+
+                    <View style={styles.card}>
+                        <Text style={styles.orderLabel}>Order ID</Text>
+                        <Text style={styles.orderId}>{order?.orderId || '—'}</Text>
+                        <View style={styles.orderMetaRow}>
+                            <Text style={styles.orderMeta}>{order?.providerName || providerName || order?.providerId}</Text>
+                            <View style={[styles.statusBadge, cancelled && styles.statusBadgeCancelled]}>
+                                <Text style={[styles.statusBadgeText, cancelled && styles.statusBadgeTextCancelled]}>
+                                    {order?.state || status}
+                                </Text>
+                            </View>
+                        </View>
+                        {order?.total !== undefined && (
+                            <Text style={styles.orderTotal}>₹{Number(order.total).toFixed(2)}</Text>
+                        )}
+                    </View>
+
+                    {!cancelled && renderTimeline()}
+                    {!cancelled && renderAgent()}
+
+                    {!cancelled && CANCELLABLE_FULFILLMENT_STATES.includes(order?.fulfillmentState) && (
+                        <TouchableOpacity
+                            style={styles.cancelButton}
+                            onPress={handleCancel}
+                            disabled={cancelling}
+                            activeOpacity={0.8}
+                        >
+                            {cancelling ? (
+                                <ActivityIndicator size="small" color={theme.colors.error} />
+                            ) : (
+                                <Text style={styles.cancelButtonText}>Cancel order</Text>
+                            )}
+                        </TouchableOpacity>
+                    )}
+
+                    <Text style={styles.footerText}>
+                        Pull down to ask the partner for the latest status
+                    </Text>
+                </ScrollView>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background,
+    },
+    flex: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: theme.spacing.lg,
+        paddingTop: Platform.OS === 'android' ? 48 : 16,
+        paddingBottom: theme.spacing.md,
+        gap: 12,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 12,
+        backgroundColor: theme.colors.surface,
+        justifyContent: 'center',
+        alignItems: 'center',
+        ...theme.shadow.sm,
+    },
+    backArrow: {
+        fontSize: 20,
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.bold,
+    },
+    headerTitle: {
+        fontSize: theme.fontSize.xl,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+    },
+    headerSubtitle: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    centered: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    scrollContent: {
+        paddingHorizontal: theme.spacing.lg,
+        paddingBottom: theme.spacing.xxl,
+        gap: theme.spacing.md,
+    },
+    errorBanner: {
+        backgroundColor: theme.colors.errorLight,
+        borderRadius: theme.borderRadius.md,
+        padding: 12,
+    },
+    errorText: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.error,
+    },
+    card: {
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.xl,
+        padding: theme.spacing.lg,
+        borderWidth: 1,
+        borderColor: theme.colors.borderLight,
+        ...theme.shadow.md,
+    },
+    cardTitle: {
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+        marginBottom: theme.spacing.sm,
+    },
+    orderLabel: {
+        fontSize: theme.fontSize.xs,
+        color: theme.colors.textMuted,
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+    },
+    orderId: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.text,
+        marginTop: 2,
+    },
+    orderMetaRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: theme.spacing.sm,
+    },
+    orderMeta: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+    },
+    orderTotal: {
+        fontSize: theme.fontSize.xl,
+        fontWeight: theme.fontWeight.extrabold,
+        color: theme.colors.primary,
+        marginTop: theme.spacing.sm,
+    },
+    statusBadge: {
+        backgroundColor: theme.colors.successLight,
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: theme.borderRadius.full,
+    },
+    statusBadgeCancelled: {
+        backgroundColor: theme.colors.errorLight,
+    },
+    statusBadgeText: {
+        fontSize: theme.fontSize.xs,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.success,
+    },
+    statusBadgeTextCancelled: {
+        color: theme.colors.error,
+    },
+    timelineRow: {
+        flexDirection: 'row',
+        gap: 12,
+    },
+    timelineMarker: {
+        alignItems: 'center',
+        width: 16,
+    },
+    timelineDot: {
+        width: 12,
+        height: 12,
+        borderRadius: 6,
+        marginTop: 3,
+        backgroundColor: theme.colors.border,
+    },
+    timelineDotDone: {
+        backgroundColor: theme.colors.success,
+    },
+    timelineDotCurrent: {
+        backgroundColor: theme.colors.primary,
+        transform: [{ scale: 1.3 }],
+    },
+    timelineLine: {
+        flex: 1,
+        width: 2,
+        minHeight: 20,
+        backgroundColor: theme.colors.border,
+    },
+    timelineLineDone: {
+        backgroundColor: theme.colors.success,
+    },
+    timelineLabel: {
+        fontSize: theme.fontSize.md,
+        color: theme.colors.textMuted,
+        paddingBottom: 14,
+    },
+    timelineLabelDone: {
+        color: theme.colors.text,
+        fontWeight: theme.fontWeight.medium,
+    },
+    agentRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+    },
+    agentAvatar: {
+        width: 44,
+        height: 44,
+        borderRadius: 22,
+        backgroundColor: theme.colors.surfaceAlt,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    agentAvatarText: {
+        fontSize: theme.fontSize.lg,
+        fontWeight: theme.fontWeight.bold,
+        color: theme.colors.primary,
+    },
+    agentName: {
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.semibold,
+        color: theme.colors.text,
+    },
+    agentMeta: {
+        fontSize: theme.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    callButton: {
+        backgroundColor: theme.colors.successLight,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: theme.borderRadius.md,
+    },
+    callButtonText: {
+        fontSize: theme.fontSize.sm,
+        fontWeight: theme.fontWeight.semibold,
+        color: theme.colors.success,
+    },
+    cancelButton: {
+        borderRadius: theme.borderRadius.lg,
+        paddingVertical: 14,
+        alignItems: 'center',
+        borderWidth: 1.5,
+        borderColor: theme.colors.error,
+    },
+    cancelButtonText: {
+        color: theme.colors.error,
+        fontSize: theme.fontSize.md,
+        fontWeight: theme.fontWeight.semibold,
+    },
+    footerText: {
+        fontSize: theme.fontSize.xs,
+        color: theme.colors.textMuted,
+        textAlign: 'center',
+    },
+});
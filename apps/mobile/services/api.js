@@ -24,20 +24,23 @@ function getBaseUrl() {
 
 /**
  * Search for logistics providers
- * @param {object} params - { pickup: { address, gps }, drop: { address, gps } }
+ * @param {object} pickup - { address, gps, city, state, pincode }
+ * @param {object} drop - { address, gps, city, state, pincode }
+ * @param {object} [pkg] - { weight (kg), dimensions: { length, breadth, height } (cm), category, value, dangerous_goods }
  * @returns {Promise<{ transactionId: string, status: string }>}
  */
-export async function searchProviders(pickup, drop) {
+export async function searchProviders(pickup, drop, pkg) {
     const baseUrl = getBaseUrl();
     const response = await fetch(`${baseUrl}/api/search`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ pickup, drop }),
+        body: JSON.stringify({ pickup, drop, package: pkg }),
     });
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Search failed' }));
-        throw new Error(error.error || 'Search failed');
+        const details = Array.isArray(error.details) ? `: ${error.details.join(', ')}` : '';
+        throw new Error((error.error || 'Search failed') + details);
     }
 
     return response.json();
@@ -46,11 +49,16 @@ export async function searchProviders(pickup, drop) {
 /**
  * Get search results by transaction ID
  * @param {string} transactionId
+ * @param {object} [options] - { sort, vehicleCategory, provider, maxPrice, maxEtaMinutes }
  * @returns {Promise<{ providers: Array, status: string }>}
  */
-export async function getResults(transactionId) {
+export async function getResults(transactionId, options = {}) {
     const baseUrl = getBaseUrl();
-    const response = await fetch(`${baseUrl}/api/results/${transactionId}`);
+    const query = Object.entries(options)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+    const response = await fetch(`${baseUrl}/api/results/${transactionId}${query ? `?${query}` : ''}`);
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Failed to fetch results' }));
@@ -60,6 +68,60 @@ export async function getResults(transactionId) {
     return response.json();
 }
 
+/**
+ * Subscribe to live transaction updates (Server-Sent Events).
+ * Uses XMLHttpRequest progress events since React Native has no EventSource.
+ * @param {string} transactionId
+ * @param {object} handlers
+ * @param {function} handlers.onEvent - Called with each event { type, transactionId, status, ... }
+ * @param {function} [handlers.onError] - Called once if the stream fails or closes
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToTransaction(transactionId, { onEvent, onError }) {
+    const baseUrl = getBaseUrl();
+    const xhr = new XMLHttpRequest();
+    let offset = 0;
+    let closed = false;
+
+    const fail = (message) => {
+        if (closed) return;
+        closed = true;
+        if (onError) onError(new Error(message));
+    };
+
+    xhr.onprogress = () => {
+        const chunk = xhr.responseText.substring(offset);
+        const lastBreak = chunk.lastIndexOf('\n\n');
+        if (lastBreak === -1) return;
+
+        offset += lastBreak + 2;
+        for (const block of chunk.substring(0, lastBreak).split('\n\n')) {
+            const dataLines = block
+                .split('\n')
+                .filter((line) => line.startsWith('data:'))
+                .map((line) => line.substring(5).trim());
+            if (dataLines.length === 0) continue; // heartbeat comment
+
+            try {
+                onEvent(JSON.parse(dataLines.join('\n')));
+            } catch (err) {
+                console.log('Bad event data:', err.message);
+            }
+        }
+    };
+    xhr.onerror = () => fail('Event stream failed');
+    xhr.onload = () => fail(xhr.status === 200 ? 'Event stream closed' : `Event stream failed (${xhr.status})`);
+
+    xhr.open('GET', `${baseUrl}/api/transactions/${transactionId}/events`);
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    xhr.send();
+
+    return () => {
+        closed = true;
+        xhr.abort();
+    };
+}
+
 /**
  * Select a provider
  * @param {object} params - Selection parameters
@@ -81,6 +143,23 @@ export async function selectProvider(params) {
     return response.json();
 }
 
+/**
+ * Get the latest quote (from on_select) for a transaction
+ * @param {string} transactionId
+ * @returns {Promise<{ quote: object|null, errors: Array, status: string }>}
+ */
+export async function getQuote(transactionId) {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/quote/${transactionId}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Failed to fetch quote' }));
+        throw new Error(error.error || 'Failed to fetch quote');
+    }
+
+    return response.json();
+}
+
 /**
  * Initialize an order
  * @param {object} params - Init parameters
@@ -102,6 +181,121 @@ export async function initOrder(params) {
     return response.json();
 }
 
+/**
+ * Confirm an order
+ * @param {object} params - Confirm parameters (billing defaults to the one sent in init)
+ * @returns {Promise<object>}
+ */
+export async function confirmOrder(params) {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Confirm failed' }));
+        throw new Error(error.error || 'Confirm failed');
+    }
+
+    return response.json();
+}
+
+/**
+ * Get the latest known order state for a transaction
+ * @param {string} transactionId
+ * @returns {Promise<{ status: string, order: object|null, history: Array, errors: Array }>}
+ */
+export async function getStatus(transactionId) {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/status/${transactionId}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Failed to fetch status' }));
+        throw new Error(error.error || 'Failed to fetch status');
+    }
+
+    return response.json();
+}
+
+/**
+ * Ask the provider for a fresh order status (answered by on_status)
+ * @param {string} transactionId
+ * @returns {Promise<object>}
+ */
+export async function refreshStatus(transactionId) {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transactionId }),
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Status check failed' }));
+        throw new Error(error.error || 'Status check failed');
+    }
+
+    return response.json();
+}
+
+/**
+ * Cancel a confirmed order
+ * @param {object} params - { transactionId, cancellationReasonId }
+ * @returns {Promise<object>}
+ */
+export async function cancelOrder(params) {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Cancellation failed' }));
+        throw new Error(error.error || 'Cancellation failed');
+    }
+
+    return response.json();
+}
+
+/**
+ * Wait until a transaction reaches one of the given statuses.
+ * Rejects if the network answers with on_error or nothing arrives in time.
+ * @param {string} transactionId
+ * @param {string[]} statuses - e.g. ['initialized']
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Milliseconds (default 30000)
+ * @returns {Promise<object>} The event that carried the status
+ */
+export function waitForTransactionStatus(transactionId, statuses, { timeout = 30000 } = {}) {
+    return new Promise((resolve, reject) => {
+        let unsubscribe = () => {};
+        const finish = (fn, value) => {
+            clearTimeout(timer);
+            unsubscribe();
+            fn(value);
+        };
+        const timer = setTimeout(
+            () => finish(reject, new Error('Timed out waiting for the provider')),
+            timeout
+        );
+
+        unsubscribe = subscribeToTransaction(transactionId, {
+            onEvent: (event) => {
+                if (event.type === 'on_error') {
+                    finish(reject, new Error('The provider returned an error'));
+                } else if (statuses.includes(event.status)) {
+                    finish(resolve, event);
+                }
+            },
+            onError: (err) => finish(reject, err),
+        });
+    });
+}
+
 /**
  * Health check
  * @returns {Promise<object>}
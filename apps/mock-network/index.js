@@ -2,8 +2,16 @@
  * Mock ONDC Network - Entry Point
  * 
  * Simulates the ONDC network by combining:
- * 1. Mock Gateway - Receives requests from BAP and forwards to mock seller
- * 2. Mock Seller (BPP) - Returns logistics quotes and processes orders
+ * 1. Mock Gateway - Receives requests from BAP, fans /search out to every
+ *    mock BPP and routes the other actions by context.bpp_uri
+ * 2. Mock Sellers (BPPs) - Several seller platforms (mock-bpps.js), each
+ *    with its own providers, pricing and signing key, reachable through
+ *    the gateway or directly at their bpp_uri; they return logistics
+ *    quotes and process orders (confirm, status, cancel, update, track)
+ * 3. Mock Registry - Onboards participants through /registry/subscribe
+ *    (site verification + on_subscribe challenge, mock-subscribe.js) and
+ *    answers /registry/lookup and /registry/vlookup with their public keys
+ * 4. Scenarios - /admin/scenario switches on fault injection (mock-scenarios.js)
  * 
  * This allows the BAP to operate in a fully offline mode with realistic
  * Beckn protocol behavior, including asynchronous callbacks.
@@ -13,8 +21,17 @@ require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env'
 
 const express = require('express');
 const morgan = require('morgan');
-const { handleSearch, handleSelect, handleInit } = require('./mock-seller');
 const { routeToSeller } = require('./mock-gateway');
+const { getBpps, findBppForContext } = require('./mock-bpps');
+const { lookupSubscribers, verifiedLookup, registerSubscriber, seedFromEnv } = require('./mock-registry');
+const { handleSubscribe, getRegistryPublicKey } = require('./mock-subscribe');
+const {
+    resolveScenario,
+    setScenario,
+    resetScenarios,
+    getScenarioState,
+    buildNack,
+} = require('./mock-scenarios');
 
 const app = express();
 const PORT = process.env.MOCK_PORT || 4000;
@@ -28,81 +45,168 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         service: 'mock-ondc-network',
-        components: ['gateway', 'seller-bpp'],
+        components: ['gateway', 'seller-bpp', 'registry'],
+        bpps: getBpps().map((bpp) => ({ id: bpp.id, uri: bpp.uri, providers: bpp.providers })),
+        scenario: getScenarioState().default,
+        registryEncryptionPublicKey: getRegistryPublicKey(),
     });
 });
 
 /**
- * POST /search
- * Mock Gateway receives search from BAP → forwards to mock seller
+ * Build an endpoint that ACKs immediately (Beckn async pattern), then
+ * forwards the request to a mock BPP
+ * @param {string} action - Beckn action
+ * @param {object} [bpp] - Fixed target (a BPP's own endpoint); otherwise
+ *   /search goes to every BPP and other actions to context.bpp_uri
+ * @returns {function} Express handler
  */
-app.post('/search', (req, res) => {
-    const { context } = req.body;
-    console.log(`[MOCK-GW] /search received - txn: ${context?.transaction_id}`);
-
-    // ACK immediately (Beckn async pattern)
-    res.json({
-        context: {
-            ...context,
-            timestamp: new Date().toISOString(),
-        },
-        message: {
-            ack: {
-                status: 'ACK',
+function forwardToSeller(action, bpp) {
+    return (req, res) => {
+        const { context } = req.body;
+        const scenario = resolveScenario(req);
+        const target = bpp || (action === 'search' ? null : findBppForContext(context));
+        console.log(`[MOCK-GW] /${action} received${bpp ? ` at ${bpp.id}` : ''} - txn: ${context?.transaction_id}`);
+
+        if (scenario === 'nack') {
+            console.log(`[MOCK-GW] Scenario "nack": rejecting /${action}`);
+            return res.json(buildNack(context));
+        }
+
+        if (action !== 'search' && !target) {
+            console.warn(`[MOCK-GW] No mock BPP at bpp_uri ${context?.bpp_uri} (bpp_id ${context?.bpp_id})`);
+            return res.json(buildNack(context, {
+                type: 'CONTEXT-ERROR',
+                code: '10002',
+                message: `Unknown bpp_uri ${context?.bpp_uri}`,
+            }));
+        }
+
+        res.json({
+            context: {
+                ...context,
+                timestamp: new Date().toISOString(),
             },
-        },
-    });
+            message: {
+                ack: {
+                    status: 'ACK',
+                },
+            },
+        });
+
+        routeToSeller(action, req.body, target, scenario);
+    };
+}
+
+const ACTIONS = ['search', 'select', 'init', 'confirm', 'status', 'cancel', 'update', 'track'];
+
+/**
+ * POST /search, /select, /init, /confirm, /status, /cancel, /update, /track
+ * Mock Gateway receives the request from BAP → forwards to the mock BPPs
+ */
+for (const action of ACTIONS) {
+    app.post(`/${action}`, forwardToSeller(action));
+}
+
+/**
+ * POST <bpp path>/<action>, e.g. /bpp/express/select
+ * A mock BPP's own endpoints, for requests sent straight to its bpp_uri
+ */
+for (const bpp of getBpps()) {
+    for (const action of ACTIONS) {
+        app.post(`${bpp.path}/${action}`, forwardToSeller(action, bpp));
+    }
+}
 
-    // Route to mock seller asynchronously
-    routeToSeller('search', req.body);
+/**
+ * POST /registry/lookup
+ * Mock Registry - returns matching subscriber entries (ONDC /lookup format)
+ */
+app.post('/registry/lookup', (req, res) => {
+    const criteria = req.body || {};
+    const entries = lookupSubscribers(criteria);
+    console.log(`[MOCK-REGISTRY] /lookup ${criteria.subscriber_id || '*'}|${criteria.ukId || '*'} → ${entries.length} entries`);
+    res.json(entries);
 });
 
 /**
- * POST /select
- * Mock Gateway receives select from BAP → forwards to mock seller
+ * POST /registry/vlookup
+ * Mock Registry - lookup by a registered sender that signs its
+ * search_parameters; 401 if the signature doesn't verify
  */
-app.post('/select', (req, res) => {
-    const { context } = req.body;
-    console.log(`[MOCK-GW] /select received - txn: ${context?.transaction_id}`);
+app.post('/registry/vlookup', (req, res) => {
+    const { entries, error } = verifiedLookup(req.body || {});
+    if (error) {
+        console.warn(`[MOCK-REGISTRY] /vlookup rejected: ${error}`);
+        return res.status(401).json({ error });
+    }
+    console.log(`[MOCK-REGISTRY] /vlookup by ${req.body.sender_subscriber_id} → ${entries.length} entries`);
+    res.json(entries);
+});
 
-    res.json({
-        context: {
-            ...context,
-            timestamp: new Date().toISOString(),
-        },
-        message: {
-            ack: {
-                status: 'ACK',
-            },
-        },
-    });
+/**
+ * POST /registry/subscribe
+ * Mock Registry - verifies the subscriber's site and on_subscribe
+ * challenge, then adds its entries to the participant table; an invalid
+ * request is NACKed with 1001 and HTTP 400
+ */
+app.post('/registry/subscribe', async (req, res) => {
+    try {
+        const { response, statusCode = 200 } = await handleSubscribe(req.body);
+        res.status(statusCode).json(response);
+    } catch (error) {
+        console.error('[MOCK-REGISTRY] /subscribe failed:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-    routeToSeller('select', req.body);
+/**
+ * GET /admin/scenario
+ * Current default scenario, per-transaction overrides and available scenarios
+ */
+app.get('/admin/scenario', (req, res) => {
+    res.json(getScenarioState());
 });
 
 /**
- * POST /init
- * Mock Gateway receives init from BAP → forwards to mock seller
+ * POST /admin/scenario
+ * Body: { scenario, transactionId? } - set the default scenario, or bind
+ * one to a single transaction
  */
-app.post('/init', (req, res) => {
-    const { context } = req.body;
-    console.log(`[MOCK-GW] /init received - txn: ${context?.transaction_id}`);
+app.post('/admin/scenario', (req, res) => {
+    const { scenario, transactionId } = req.body || {};
 
-    res.json({
-        context: {
-            ...context,
-            timestamp: new Date().toISOString(),
-        },
-        message: {
-            ack: {
-                status: 'ACK',
-            },
-        },
-    });
+    try {
+        setScenario({ scenario, transactionId });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.json(getScenarioState());
+});
 
-    routeToSeller('init', req.body);
+/**
+ * DELETE /admin/scenario
+ * Back to 'normal' for every transaction
+ */
+app.delete('/admin/scenario', (req, res) => {
+    resetScenarios();
+    res.json(getScenarioState());
 });
 
+seedFromEnv();
+
+// Publish each mock BPP's signing key so the BAP can verify its callbacks
+for (const bpp of getBpps()) {
+    registerSubscriber({
+        subscriber_id: bpp.id,
+        ukId: bpp.uniqueKeyId,
+        subscriber_url: bpp.uri,
+        type: 'BPP',
+        signing_public_key: bpp.keys.publicKey,
+        encr_public_key: '',
+    });
+}
+
 // Start server
 app.listen(PORT, () => {
     console.log('');
@@ -111,14 +215,16 @@ app.listen(PORT, () => {
     console.log('╠══════════════════════════════════════════════╣');
     console.log(`║  Port:     ${PORT}                              ║`);
     console.log('║  Gateway:  ✓ Active                           ║');
-    console.log('║  Seller:   ✓ Active (4 providers)             ║');
+    console.log(`║  Sellers:  ${`✓ Active (${getBpps().length} BPPs)`.padEnd(35)}║`);
+    console.log('║  Registry: ✓ Active (/registry/subscribe)     ║');
+    console.log(`║  Scenario: ${getScenarioState().default.padEnd(35)}║`);
     console.log('╚══════════════════════════════════════════════╝');
     console.log('');
-    console.log('[MOCK] Providers available:');
-    console.log('  • Delhivery  – ₹62  – 45 min – Bike');
-    console.log('  • Shadowfax  – ₹68  – 42 min – Bike');
-    console.log('  • Porter     – ₹120 – 30 min – Van');
-    console.log('  • Borzo      – ₹95  – 38 min – Auto');
+    console.log('[MOCK] BPPs available:');
+    for (const bpp of getBpps()) {
+        console.log(`  • ${bpp.id} – ${bpp.uri} – ${bpp.providers.join(', ')}`);
+    }
+    console.log(`[MOCK] Registry encryption public key (ONDC_PUBLIC_KEY): ${getRegistryPublicKey()}`);
     console.log('');
 });
 
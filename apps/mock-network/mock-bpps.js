@@ -0,0 +1,134 @@
+/**
+ * Mock BPPs - The seller platforms hosted by the mock network
+ *
+ * Each BPP has its own bpp_id, bpp_uri (a path under the mock network,
+ * e.g. http://localhost:4000/bpp/express), signing key, subset of the
+ * mock providers and a price multiplier. The gateway fans /search out to
+ * every BPP and routes the other actions to the BPP named by the
+ * context's bpp_uri.
+ *
+ * The default list can be replaced with a JSON file (MOCK_BPPS_CONFIG):
+ *   [{ "id": "...", "path": "/bpp/...", "uniqueKeyId": "...", "name": "...",
+ *      "providers": ["delhivery-logistics"], "priceMultiplier": 1.1,
+ *      "signingPublicKey": "...", "signingPrivateKey": "..." }]
+ * BPPs without a keypair get an ephemeral one at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateKeyPair } = require('./mock-signer');
+
+const PROVIDER_IDS = ['delhivery-logistics', 'shadowfax-logistics', 'porter-logistics', 'borzo-logistics'];
+
+const DEFAULT_BPPS = [
+    {
+        id: 'mock-express-bpp.ondc.org',
+        path: '/bpp/express',
+        uniqueKeyId: 'express-k1',
+        name: 'Mock Express Logistics',
+        providers: ['delhivery-logistics', 'shadowfax-logistics'],
+        priceMultiplier: 1,
+    },
+    {
+        id: 'mock-fleet-bpp.ondc.org',
+        path: '/bpp/fleet',
+        uniqueKeyId: 'fleet-k1',
+        name: 'Mock Fleet Logistics',
+        providers: ['porter-logistics', 'borzo-logistics'],
+        priceMultiplier: 1,
+    },
+];
+
+let bpps = null;
+
+/**
+ * Base URL the mock network is reachable at
+ * @returns {string}
+ */
+function getBaseUrl() {
+    return (process.env.MOCK_SELLER_URL || `http://localhost:${process.env.MOCK_PORT || 4000}`).replace(/\/$/, '');
+}
+
+/**
+ * Read the BPP list from MOCK_BPPS_CONFIG, or the defaults
+ * @returns {object[]}
+ */
+function readConfig() {
+    const configPath = process.env.MOCK_BPPS_CONFIG;
+    if (!configPath) return DEFAULT_BPPS;
+
+    const resolved = path.resolve(__dirname, configPath);
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    if (!Array.isArray(config) || config.length === 0) {
+        throw new Error(`MOCK_BPPS_CONFIG ${resolved} must be a non-empty JSON array`);
+    }
+    console.log(`[MOCK-BPPS] Loaded ${config.length} BPPs from ${resolved}`);
+    return config;
+}
+
+/**
+ * Check one BPP entry and fill in its uri and keys
+ * @param {object} entry
+ * @returns {object} BPP
+ */
+function normalizeBpp(entry) {
+    if (!entry.id || !entry.path?.startsWith('/')) {
+        throw new Error(`Mock BPP needs an id and a path starting with "/": ${JSON.stringify(entry)}`);
+    }
+    const unknown = (entry.providers || []).filter((id) => !PROVIDER_IDS.includes(id));
+    if (!entry.providers?.length || unknown.length > 0) {
+        throw new Error(`Mock BPP ${entry.id} needs providers from: ${PROVIDER_IDS.join(', ')}`);
+    }
+
+    const keys = entry.signingPublicKey && entry.signingPrivateKey
+        ? { publicKey: entry.signingPublicKey, privateKey: entry.signingPrivateKey }
+        : generateKeyPair();
+
+    return {
+        id: entry.id,
+        path: entry.path.replace(/\/$/, ''),
+        uri: `${getBaseUrl()}${entry.path.replace(/\/$/, '')}`,
+        uniqueKeyId: entry.uniqueKeyId || 'k1',
+        name: entry.name || entry.id,
+        providers: entry.providers,
+        priceMultiplier: Number(entry.priceMultiplier) > 0 ? Number(entry.priceMultiplier) : 1,
+        keys,
+    };
+}
+
+/**
+ * All configured BPPs (loaded once)
+ * @returns {object[]}
+ */
+function getBpps() {
+    if (!bpps) {
+        bpps = readConfig().map(normalizeBpp);
+    }
+    return bpps;
+}
+
+/**
+ * Find a BPP by bpp_id
+ * @param {string} bppId
+ * @returns {object|null}
+ */
+function getBpp(bppId) {
+    return getBpps().find((bpp) => bpp.id === bppId) || null;
+}
+
+/**
+ * Find the BPP a request is addressed to, by bpp_uri (then bpp_id)
+ * @param {object} [context] - Beckn context
+ * @returns {object|null}
+ */
+function findBppForContext(context) {
+    const uri = (context?.bpp_uri || '').replace(/\/$/, '');
+    return getBpps().find((bpp) => bpp.uri === uri) || getBpp(context?.bpp_id);
+}
+
+module.exports = {
+    PROVIDER_IDS,
+    getBpps,
+    getBpp,
+    findBppForContext,
+};
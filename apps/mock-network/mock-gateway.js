@@ -1,44 +1,75 @@
 /**
  * Mock Gateway - Simulates ONDC Gateway behavior
- * 
+ *
  * In the real ONDC network, the gateway receives requests from BAPs,
  * looks up the registry to find relevant BPPs, and forwards the requests.
- * 
- * This mock simply routes requests to the mock seller (BPP) and
- * triggers asynchronous callbacks to the BAP.
+ *
+ * This mock fans /search out to every mock BPP (mock-bpps.js), each of
+ * which sends its own on_search, and routes the other actions to the
+ * BPP named by the context's bpp_uri.
  */
 
 const { handleSearch, handleSelect, handleInit } = require('./mock-seller');
+const {
+    handleConfirm,
+    handleStatus,
+    handleCancel,
+    handleUpdate,
+    handleTrack,
+} = require('./mock-orders');
+const { getBpps } = require('./mock-bpps');
+
+const HANDLERS = {
+    search: handleSearch,
+    select: handleSelect,
+    init: handleInit,
+    confirm: handleConfirm,
+    status: handleStatus,
+    cancel: handleCancel,
+    update: handleUpdate,
+    track: handleTrack,
+};
+
+/**
+ * Hand a request to one BPP after a simulated network delay (500-1500ms)
+ * @param {string} action
+ * @param {object} payload
+ * @param {object} bpp
+ * @param {string} scenario
+ */
+function deliver(action, payload, bpp, scenario) {
+    const delay = 500 + Math.random() * 1000;
+    setTimeout(() => HANDLERS[action](payload, bpp, scenario), delay);
+}
 
 /**
  * Route a request to the appropriate mock seller handler
  * Simulates the gateway's role of forwarding requests.
- * 
- * @param {string} action - Beckn action (search, select, init)
+ *
+ * @param {string} action - Beckn action (search, select, init, confirm, status, cancel, update, track)
  * @param {object} payload - Complete Beckn request payload
+ * @param {object|null} bpp - Target BPP; a /search without one goes to every BPP
+ * @param {string} [scenario='normal'] - Mock scenario shaping the callback (mock-scenarios.js)
  */
-function routeToSeller(action, payload) {
+function routeToSeller(action, payload, bpp, scenario = 'normal') {
     const transactionId = payload.context?.transaction_id || 'unknown';
-    console.log(`[MOCK-GW] Routing /${action} to mock seller - txn: ${transactionId}`);
 
-    // Simulate network delay (500-1500ms)
-    const delay = 500 + Math.random() * 1000;
+    if (!HANDLERS[action]) {
+        console.warn(`[MOCK-GW] Unknown action: ${action}`);
+        return;
+    }
 
-    setTimeout(() => {
-        switch (action) {
-            case 'search':
-                handleSearch(payload);
-                break;
-            case 'select':
-                handleSelect(payload);
-                break;
-            case 'init':
-                handleInit(payload);
-                break;
-            default:
-                console.warn(`[MOCK-GW] Unknown action: ${action}`);
+    if (action === 'search' && !bpp) {
+        const bpps = getBpps();
+        console.log(`[MOCK-GW] Fanning /search out to ${bpps.length} BPPs - txn: ${transactionId} (scenario: ${scenario})`);
+        for (const target of bpps) {
+            deliver(action, payload, target, scenario);
         }
-    }, delay);
+        return;
+    }
+
+    console.log(`[MOCK-GW] Routing /${action} to ${bpp.id} - txn: ${transactionId} (scenario: ${scenario})`);
+    deliver(action, payload, bpp, scenario);
 }
 
 module.exports = {
@@ -0,0 +1,516 @@
+/**
+ * Mock Orders - Post-order flows of the mock seller (BPP)
+ *
+ * Keeps confirmed orders in memory and answers:
+ *   /confirm → on_confirm  (order id, state Accepted, fulfillment Pending)
+ *   /status  → on_status   (current order)
+ *   /cancel  → on_cancel   (state Cancelled, cancellation fee per terms)
+ *   /update  → on_update   (merged fulfillment instructions/authorization)
+ *   /track   → on_track    (tracking url and agent location)
+ *
+ * Fulfillment states follow ONDC LOG10:
+ *   Pending → Searching-for-Agent → Agent-assigned → Order-picked-up →
+ *   Out-for-delivery → Order-delivered   (or Cancelled)
+ * setFulfillmentState() moves an order along and assigns an agent.
+ *
+ * After on_confirm, each order is driven through those states on the
+ * MOCK_LIFECYCLE_TIMELINE (seconds spent in each state), with an
+ * unsolicited on_status pushed to the BAP at every step.
+ * MOCK_LIFECYCLE=off leaves orders in Pending.
+ *
+ * Orders belong to the mock BPP that confirmed them (mock-bpps.js);
+ * another BPP asked about the same order answers "not found".
+ */
+
+const { sendCallback, generateId } = require('./mock-seller');
+
+const FULFILLMENT_STATES = [
+    'Pending',
+    'Searching-for-Agent',
+    'Agent-assigned',
+    'Order-picked-up',
+    'Out-for-delivery',
+    'Order-delivered',
+];
+
+// Seconds spent in each state before the next one (Pending … Out-for-delivery)
+const DEFAULT_LIFECYCLE_TIMELINE = [5, 10, 10, 15, 15];
+
+// Orders can be cancelled until the package is picked up
+const CANCELLABLE_STATES = ['Pending', 'Searching-for-Agent', 'Agent-assigned'];
+
+// Order id prefix and agent pool per provider
+const PROVIDER_DETAILS = {
+    'delhivery-logistics': {
+        prefix: 'DLV',
+        agents: [
+            { name: 'Ramesh Kumar', phone: '9810012345', vehicle: 'DL 3S CK 4821' },
+            { name: 'Sunil Yadav', phone: '9810023456', vehicle: 'DL 8S BT 1193' },
+        ],
+    },
+    'shadowfax-logistics': {
+        prefix: 'SFX',
+        agents: [
+            { name: 'Imran Sheikh', phone: '9871034567', vehicle: 'DL 5S AQ 7702' },
+            { name: 'Vikas Sharma', phone: '9871045678', vehicle: 'UP 16 CF 2390' },
+        ],
+    },
+    'porter-logistics': {
+        prefix: 'PTR',
+        agents: [
+            { name: 'Harpreet Singh', phone: '9899056789', vehicle: 'DL 1LT 6614' },
+        ],
+    },
+    'borzo-logistics': {
+        prefix: 'BZO',
+        agents: [
+            { name: 'Manoj Tiwari', phone: '9650067890', vehicle: 'DL 1RT 3385' },
+        ],
+    },
+};
+
+const DEFAULT_PROVIDER = PROVIDER_DETAILS['delhivery-logistics'];
+
+// orderId → { order, context, bpp }
+const orders = new Map();
+// transactionId → orderId
+const ordersByTransaction = new Map();
+// orderId → timeout of the next lifecycle step
+const lifecycleTimers = new Map();
+
+/**
+ * Generate an LSP-style order id, e.g. DLV-20260115-4K7Q2Z
+ * @param {string} providerId
+ * @returns {string}
+ */
+function generateOrderId(providerId) {
+    const { prefix } = PROVIDER_DETAILS[providerId] || DEFAULT_PROVIDER;
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = Math.random().toString(36).substr(2, 6).toUpperCase();
+    return `${prefix}-${date}-${suffix}`;
+}
+
+/**
+ * Find a BPP's stored order by order id, falling back to the transaction
+ * @param {string} orderId
+ * @param {string} transactionId
+ * @param {object} bpp - Mock BPP asked
+ * @returns {{ order: object, context: object, bpp: object }|null}
+ */
+function findOrder(orderId, transactionId, bpp) {
+    const id = orders.has(orderId) ? orderId : ordersByTransaction.get(transactionId);
+    const stored = id ? orders.get(id) : null;
+    return stored?.bpp.id === bpp.id ? stored : null;
+}
+
+/**
+ * Build a callback context from the incoming request context. A reply
+ * keeps the request's message_id; an unsolicited callback gets its own.
+ * @param {object} context
+ * @param {string} action
+ * @param {object} bpp - Mock BPP sending the callback
+ * @param {object} [options]
+ * @param {boolean} [options.unsolicited=false]
+ * @returns {object}
+ */
+function buildCallbackContext(context, action, bpp, { unsolicited = false } = {}) {
+    return {
+        ...context,
+        action,
+        bpp_id: bpp.id,
+        bpp_uri: bpp.uri,
+        message_id: unsolicited ? generateId() : context.message_id,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Build a callback that reports an error instead of an order
+ * @param {object} context - Incoming request context
+ * @param {string} action - Callback action, e.g. 'on_cancel'
+ * @param {string} code
+ * @param {string} message
+ * @param {object} bpp - Mock BPP sending the callback
+ * @returns {object}
+ */
+function buildErrorCallback(context, action, code, message, bpp) {
+    return {
+        context: buildCallbackContext(context, action, bpp),
+        error: {
+            type: 'DOMAIN-ERROR',
+            code,
+            message,
+        },
+    };
+}
+
+function getFulfillmentState(order) {
+    return order.fulfillments[0]?.state?.descriptor?.code;
+}
+
+/**
+ * Move an order's fulfillment to a new state. Assigns a delivery agent
+ * at Agent-assigned and stamps pickup/delivery times.
+ * @param {object} order - Stored order (mutated)
+ * @param {string} code - One of FULFILLMENT_STATES or 'Cancelled'
+ * @returns {object} The order
+ */
+function setFulfillmentState(order, code) {
+    const now = new Date().toISOString();
+    const fulfillment = order.fulfillments[0];
+
+    fulfillment.state = { descriptor: { code } };
+
+    if (code === 'Agent-assigned' && !fulfillment.agent) {
+        const { agents } = PROVIDER_DETAILS[order.provider.id] || DEFAULT_PROVIDER;
+        const agent = agents[Math.floor(Math.random() * agents.length)];
+        fulfillment.agent = { name: agent.name, phone: agent.phone };
+        fulfillment.vehicle = { ...fulfillment.vehicle, registration: agent.vehicle };
+        fulfillment.tracking = true;
+    }
+    if (code === 'Order-picked-up') {
+        fulfillment.start = { ...fulfillment.start, time: { ...fulfillment.start?.time, timestamp: now } };
+        order.state = 'In-progress';
+    }
+    if (code === 'Order-delivered') {
+        fulfillment.end = { ...fulfillment.end, time: { ...fulfillment.end?.time, timestamp: now } };
+        fulfillment.tracking = false;
+        order.state = 'Completed';
+    }
+    if (code === 'Cancelled') {
+        fulfillment.tracking = false;
+        order.state = 'Cancelled';
+    }
+
+    order.updated_at = now;
+    return order;
+}
+
+/**
+ * Read the lifecycle timeline from the environment
+ * @returns {number[]|null} Seconds per state, or null when disabled
+ */
+function getLifecycleTimeline() {
+    if (process.env.MOCK_LIFECYCLE === 'off') return null;
+
+    const configured = (process.env.MOCK_LIFECYCLE_TIMELINE || '')
+        .split(',')
+        .filter((value) => value.trim())
+        .map(Number);
+
+    if (configured.length === 0) return DEFAULT_LIFECYCLE_TIMELINE;
+    if (configured.length !== FULFILLMENT_STATES.length - 1 || configured.some((n) => !Number.isFinite(n) || n < 0)) {
+        console.warn(`[MOCK-SELLER] Ignoring MOCK_LIFECYCLE_TIMELINE="${process.env.MOCK_LIFECYCLE_TIMELINE}" (expected ${FULFILLMENT_STATES.length - 1} numbers of seconds)`);
+        return DEFAULT_LIFECYCLE_TIMELINE;
+    }
+    return configured;
+}
+
+/**
+ * Stop driving an order through its lifecycle
+ * @param {string} orderId
+ */
+function stopLifecycle(orderId) {
+    clearTimeout(lifecycleTimers.get(orderId));
+    lifecycleTimers.delete(orderId);
+}
+
+/**
+ * Schedule the order's next fulfillment state and the unsolicited
+ * on_status that announces it
+ * @param {string} orderId
+ * @param {number[]} timeline
+ */
+function scheduleNextStep(orderId, timeline) {
+    const stored = orders.get(orderId);
+    const current = stored ? FULFILLMENT_STATES.indexOf(getFulfillmentState(stored.order)) : -1;
+
+    // Cancelled (not in the list) or already delivered
+    if (current === -1 || current === FULFILLMENT_STATES.length - 1) {
+        lifecycleTimers.delete(orderId);
+        return;
+    }
+
+    const timer = setTimeout(() => {
+        const next = FULFILLMENT_STATES[current + 1];
+        setFulfillmentState(stored.order, next);
+        console.log(`[MOCK-SELLER] Order ${orderId} → ${next}`);
+
+        sendCallback(stored.context.bap_uri, 'on_status', structuredClone({
+            context: buildCallbackContext(stored.context, 'on_status', stored.bpp, { unsolicited: true }),
+            message: { order: stored.order },
+        }));
+        scheduleNextStep(orderId, timeline);
+    }, timeline[current] * 1000);
+
+    lifecycleTimers.set(orderId, timer);
+}
+
+/**
+ * Start (or restart) driving a confirmed order through its lifecycle
+ * @param {string} orderId
+ */
+function startLifecycle(orderId) {
+    const timeline = getLifecycleTimeline();
+    stopLifecycle(orderId);
+    if (timeline) scheduleNextStep(orderId, timeline);
+}
+
+/**
+ * Build an on_confirm response and store the order
+ */
+function buildConfirmResponse(incomingPayload, bpp) {
+    const { context, message } = incomingPayload;
+    const incoming = message?.order || {};
+    const providerId = incoming.provider?.id || bpp.providers[0];
+    const now = new Date().toISOString();
+
+    // A repeated /confirm for the same transaction returns the same order
+    const existing = ordersByTransaction.get(context.transaction_id);
+    const orderId = existing || incoming.id || generateOrderId(providerId);
+
+    const order = existing ? orders.get(existing).order : {
+        ...incoming,
+        id: orderId,
+        state: 'Accepted',
+        provider: { ...incoming.provider, id: providerId },
+        fulfillments: (incoming.fulfillments || [{}]).map((fulfillment) => ({
+            ...fulfillment,
+            type: fulfillment.type || 'Delivery',
+            state: { descriptor: { code: 'Pending' } },
+            tracking: false,
+        })),
+        payment: {
+            ...incoming.payment,
+            status: 'NOT-PAID',
+        },
+        created_at: now,
+        updated_at: now,
+    };
+
+    orders.set(orderId, { order, context, bpp });
+    ordersByTransaction.set(context.transaction_id, orderId);
+    console.log(`[MOCK-SELLER] Order ${orderId} accepted - txn: ${context.transaction_id}`);
+
+    return {
+        context: buildCallbackContext(context, 'on_confirm', bpp),
+        message: { order },
+    };
+}
+
+/**
+ * Build an on_status response for a stored order
+ */
+function buildStatusResponse(incomingPayload, bpp) {
+    const { context, message } = incomingPayload;
+    const stored = findOrder(message?.order_id, context.transaction_id, bpp);
+
+    if (!stored) {
+        return buildErrorCallback(context, 'on_status', '40000', `Order ${message?.order_id} not found`, bpp);
+    }
+
+    return {
+        context: buildCallbackContext(context, 'on_status', bpp),
+        message: { order: stored.order },
+    };
+}
+
+/**
+ * Build an on_cancel response, charging the fee from cancellation_terms
+ */
+function buildCancelResponse(incomingPayload, bpp) {
+    const { context, message } = incomingPayload;
+    const stored = findOrder(message?.order_id, context.transaction_id, bpp);
+
+    if (!stored) {
+        return buildErrorCallback(context, 'on_cancel', '40000', `Order ${message?.order_id} not found`, bpp);
+    }
+
+    const { order } = stored;
+    const state = getFulfillmentState(order);
+    if (!CANCELLABLE_STATES.includes(state)) {
+        return buildErrorCallback(context, 'on_cancel', '50001', `Cancellation not possible in state ${state}`, bpp);
+    }
+
+    const term = (order.cancellation_terms || [])
+        .find((t) => t.fulfillment_state?.descriptor?.code === state);
+    const fee = parseFloat(term?.cancellation_fee?.amount?.value || '0');
+
+    stopLifecycle(order.id);
+    setFulfillmentState(order, 'Cancelled');
+    order.cancellation = {
+        cancelled_by: context.bap_id,
+        reason: { id: message.cancellation_reason_id },
+    };
+    if (order.quote) {
+        order.quote = {
+            ...order.quote,
+            price: { currency: 'INR', value: fee.toFixed(2) },
+            breakup: [
+                ...(order.quote.breakup || []),
+                {
+                    '@ondc/org/item_id': order.fulfillments[0].id,
+                    '@ondc/org/title_type': 'cancellation',
+                    title: 'Cancellation fee',
+                    price: { currency: 'INR', value: fee.toFixed(2) },
+                },
+            ],
+        };
+    }
+    console.log(`[MOCK-SELLER] Order ${order.id} cancelled (fee ₹${fee.toFixed(2)})`);
+
+    return {
+        context: buildCallbackContext(context, 'on_cancel', bpp),
+        message: { order },
+    };
+}
+
+/**
+ * Build an on_update response, merging fulfillment instructions,
+ * authorization and tags sent by the BAP
+ */
+function buildUpdateResponse(incomingPayload, bpp) {
+    const { context, message } = incomingPayload;
+    const incoming = message?.order || {};
+    const stored = findOrder(incoming.id, context.transaction_id, bpp);
+
+    if (!stored) {
+        return buildErrorCallback(context, 'on_update', '40000', `Order ${incoming.id} not found`, bpp);
+    }
+
+    const { order } = stored;
+    if (order.state === 'Completed' || order.state === 'Cancelled') {
+        return buildErrorCallback(context, 'on_update', '50001', `Order is ${order.state}`, bpp);
+    }
+
+    for (const update of incoming.fulfillments || []) {
+        const fulfillment = order.fulfillments.find((f) => f.id === update.id);
+        if (!fulfillment) continue;
+
+        for (const stop of ['start', 'end']) {
+            if (!update[stop]) continue;
+            fulfillment[stop] = {
+                ...fulfillment[stop],
+                ...(update[stop].instructions && { instructions: update[stop].instructions }),
+                ...(update[stop].authorization && { authorization: update[stop].authorization }),
+            };
+        }
+        if (update.tags) fulfillment.tags = update.tags;
+    }
+    order.updated_at = new Date().toISOString();
+    console.log(`[MOCK-SELLER] Order ${order.id} updated (${message.update_target || 'fulfillment'})`);
+
+    return {
+        context: buildCallbackContext(context, 'on_update', bpp),
+        message: { order },
+    };
+}
+
+/**
+ * Interpolate the agent's position between pickup and drop
+ * @param {object} fulfillment
+ * @returns {string|null} "lat,lng"
+ */
+function getAgentGps(fulfillment) {
+    const parse = (gps) => String(gps || '').split(',').map(Number);
+    const [lat1, lng1] = parse(fulfillment.start?.location?.gps);
+    const [lat2, lng2] = parse(fulfillment.end?.location?.gps);
+    if ([lat1, lng1, lat2, lng2].some((n) => !Number.isFinite(n))) return null;
+
+    const progress = {
+        'Agent-assigned': 0,
+        'Order-picked-up': 0,
+        'Out-for-delivery': 0.5,
+        'Order-delivered': 1,
+    }[fulfillment.state?.descriptor?.code] ?? 0;
+
+    const lat = lat1 + (lat2 - lat1) * progress;
+    const lng = lng1 + (lng2 - lng1) * progress;
+    return `${lat.toFixed(6)},${lng.toFixed(6)}`;
+}
+
+/**
+ * Build an on_track response with a tracking url and agent location
+ */
+function buildTrackResponse(incomingPayload, bpp) {
+    const { context, message } = incomingPayload;
+    const stored = findOrder(message?.order_id, context.transaction_id, bpp);
+
+    if (!stored) {
+        return buildErrorCallback(context, 'on_track', '40000', `Order ${message?.order_id} not found`, bpp);
+    }
+
+    const { order } = stored;
+    const fulfillment = order.fulfillments[0];
+    const gps = fulfillment.tracking ? getAgentGps(fulfillment) : null;
+    const now = new Date().toISOString();
+
+    return {
+        context: buildCallbackContext(context, 'on_track', bpp),
+        message: {
+            tracking: {
+                id: fulfillment.id,
+                url: `${bpp.uri}/track/${order.id}`,
+                status: fulfillment.tracking ? 'active' : 'inactive',
+                ...(gps && {
+                    location: {
+                        gps,
+                        time: { timestamp: now },
+                        updated_at: now,
+                    },
+                }),
+            },
+        },
+    };
+}
+
+/**
+ * Build a handler that answers a request with a callback after a short delay
+ * @param {string} action - Callback action, e.g. 'on_status'
+ * @param {function} buildResponse
+ * @param {function} [onSent] - Called with the response once the callback is sent
+ * @returns {function(object, object, string)} Handler taking (payload, bpp, scenario)
+ */
+function createHandler(action, buildResponse, onSent) {
+    return (payload, bpp, scenario) => {
+        const { context } = payload;
+        console.log(`[MOCK-SELLER] ${bpp.id} processing ${action.replace('on_', '')} - txn: ${context.transaction_id}`);
+
+        // Snapshot now; the stored order may change before the callback is sent
+        const response = structuredClone(buildResponse(payload, bpp));
+
+        const delay = 800 + Math.random() * 700;
+        setTimeout(async () => {
+            await sendCallback(context.bap_uri, action, response, scenario);
+            if (onSent) onSent(response);
+        }, delay);
+    };
+}
+
+const handleConfirm = createHandler('on_confirm', buildConfirmResponse, (response) => {
+    const orderId = response.message?.order?.id;
+    if (orderId) startLifecycle(orderId);
+});
+const handleStatus = createHandler('on_status', buildStatusResponse);
+const handleCancel = createHandler('on_cancel', buildCancelResponse);
+const handleUpdate = createHandler('on_update', buildUpdateResponse);
+const handleTrack = createHandler('on_track', buildTrackResponse);
+
+module.exports = {
+    FULFILLMENT_STATES,
+    orders,
+    findOrder,
+    setFulfillmentState,
+    startLifecycle,
+    stopLifecycle,
+    handleConfirm,
+    handleStatus,
+    handleCancel,
+    handleUpdate,
+    handleTrack,
+    buildConfirmResponse,
+    buildStatusResponse,
+    buildCancelResponse,
+    buildUpdateResponse,
+    buildTrackResponse,
+};
@@ -0,0 +1,127 @@
+/**
+ * Mock Pricing - Route-based quotes for the mock seller
+ *
+ * Prices a catalog item for the searched route from its tags:
+ *   rate_card    base_price covers base_distance km, then per_km_charge
+ *   weight_slab  per_kg_charge for every kg above base_weight
+ * The BPP's priceMultiplier scales the delivery charge; GST is added on
+ * top. Distance is the aerial (haversine) distance between the start and
+ * end GPS of the fulfillment; the ETA is the provider's pickup window
+ * plus the ride at its vehicle's average city speed.
+ */
+
+const TAX_RATE = 0.18;
+
+// Used when the route has no usable GPS
+const DEFAULT_DISTANCE_KM = 8.5;
+
+// Average city speed per vehicle category, km/h
+const VEHICLE_SPEED_KMPH = {
+    Bike: 25,
+    Auto: 20,
+    Van: 18,
+};
+const DEFAULT_SPEED_KMPH = 20;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Parse a Beckn "lat,lng" string
+ * @param {string} gps
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function parseGps(gps) {
+    const [lat, lng] = String(gps || '').split(',').map((part) => parseFloat(part));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+/**
+ * Great-circle distance between two "lat,lng" points
+ * @param {string} fromGps
+ * @param {string} toGps
+ * @returns {number|null} Kilometres, or null if either point is invalid
+ */
+function haversineKm(fromGps, toGps) {
+    const from = parseGps(fromGps);
+    const to = parseGps(toGps);
+    if (!from || !to) return null;
+
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Route distance of a search intent or order fulfillment
+ * @param {object} [fulfillment] - { start: { location: { gps } }, end: { location: { gps } } }
+ * @returns {number} Kilometres, rounded to 0.1 (DEFAULT_DISTANCE_KM without GPS)
+ */
+function getRouteDistanceKm(fulfillment) {
+    const distance = haversineKm(fulfillment?.start?.location?.gps, fulfillment?.end?.location?.gps);
+    if (distance === null) return DEFAULT_DISTANCE_KM;
+    return Math.round(distance * 10) / 10;
+}
+
+/**
+ * Read a value from one of an item's tag groups
+ * @param {object} item - Catalog item
+ * @param {string} group - Tag group code (e.g. 'weight_slab')
+ * @param {string} code - Tag code within the group (e.g. 'max_weight')
+ * @returns {string|undefined}
+ */
+function getTagValue(item, group, code) {
+    const tagGroup = (item.tags || []).find((tag) => tag.code === group);
+    return tagGroup?.list?.find((tag) => tag.code === code)?.value;
+}
+
+/**
+ * Price an item for a route
+ * @param {object} item - Catalog item with rate_card / weight_slab tags
+ * @param {object} route
+ * @param {number} route.distanceKm
+ * @param {number|null} route.weightKg - Package weight, if known
+ * @param {number} [route.multiplier=1] - BPP price multiplier
+ * @returns {{ delivery: number, tax: number, total: number }} Rupees, rounded to paise
+ */
+function priceItem(item, { distanceKm, weightKg, multiplier = 1 }) {
+    const number = (group, code) => parseFloat(getTagValue(item, group, code) || '0') || 0;
+
+    const extraKm = Math.max(0, distanceKm - number('rate_card', 'base_distance'));
+    const extraKg = weightKg === null ? 0 : Math.max(0, Math.ceil(weightKg - number('weight_slab', 'base_weight')));
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const delivery = round((
+        number('rate_card', 'base_price') +
+        extraKm * number('rate_card', 'per_km_charge') +
+        extraKg * number('weight_slab', 'per_kg_charge')
+    ) * multiplier);
+    const tax = round(delivery * TAX_RATE);
+
+    return { delivery, tax, total: round(delivery + tax) };
+}
+
+/**
+ * Estimate door-to-door minutes
+ * @param {string} vehicleCategory
+ * @param {number} distanceKm
+ * @param {number} pickupMinutes - Time until the agent reaches the pickup
+ * @returns {number}
+ */
+function estimateEtaMinutes(vehicleCategory, distanceKm, pickupMinutes) {
+    const speed = VEHICLE_SPEED_KMPH[vehicleCategory] || DEFAULT_SPEED_KMPH;
+    return Math.ceil(pickupMinutes + (distanceKm / speed) * 60);
+}
+
+module.exports = {
+    TAX_RATE,
+    haversineKm,
+    getRouteDistanceKm,
+    getTagValue,
+    priceItem,
+    estimateEtaMinutes,
+};
@@ -0,0 +1,142 @@
+/**
+ * Mock Registry - Stand-in for the ONDC registry
+ *
+ * Holds subscriber entries in memory and answers /lookup the way the
+ * ONDC registry does: a JSON array of matching entries with
+ * signing_public_key, encr_public_key, ukId and validity window.
+ * /vlookup answers the same query for a registered sender that signs
+ * its search parameters. New participants join through /subscribe
+ * (mock-subscribe.js).
+ *
+ * Seeded with the BAP's own entry from .env (SUBSCRIBER_ID,
+ * UNIQUE_KEY_ID, PUBLIC_KEY) when PUBLIC_KEY is set, so the BAP can
+ * verify signatures against it without the real registry. The mock
+ * seller registers its own signing key at startup (index.js).
+ */
+
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+
+// `${subscriber_id}|${ukId}|${type}|${domain}` → entry
+const subscribers = new Map();
+
+// Lookup criteria → entry field
+const LOOKUP_FIELDS = ['subscriber_id', 'ukId', 'type', 'domain', 'country', 'city'];
+
+// Participant types used by /subscribe and /vlookup → entry type
+const PARTICIPANT_TYPES = {
+    buyerApp: 'BAP',
+    sellerApp: 'BPP',
+    gateway: 'BG',
+};
+
+/**
+ * Add or replace a subscriber entry
+ * @param {object} entry - { subscriber_id, ukId, subscriber_url, type, domain, signing_public_key, ... }
+ * @returns {object} Stored entry
+ */
+function registerSubscriber(entry) {
+    const now = new Date().toISOString();
+    const key = `${entry.subscriber_id}|${entry.ukId}|${entry.type}|${entry.domain || 'ONDC:LOG10'}`;
+    const existing = subscribers.get(key);
+
+    const stored = {
+        country: 'IND',
+        city: 'std:011',
+        domain: 'ONDC:LOG10',
+        status: 'SUBSCRIBED',
+        valid_from: now,
+        valid_until: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+        created: existing?.created || now,
+        ...entry,
+        updated: now,
+    };
+    subscribers.set(key, stored);
+    console.log(`[MOCK-REGISTRY] Registered ${stored.type || 'subscriber'} ${key}`);
+    return stored;
+}
+
+/**
+ * Find subscribers matching every given criterion
+ * @param {object} criteria - Any of subscriber_id, ukId, type, domain, country, city
+ * @returns {Array} Matching entries
+ */
+function lookupSubscribers(criteria = {}) {
+    return [...subscribers.values()].filter((entry) =>
+        LOOKUP_FIELDS.every((field) => !criteria[field] || entry[field] === criteria[field])
+    );
+}
+
+/**
+ * Answer a /vlookup: the sender signs
+ * "country|domain|type|city|subscriber_id" of its search_parameters
+ * with a signing key registered for sender_subscriber_id
+ * @param {object} body - { sender_subscriber_id, request_id, timestamp, signature, search_parameters }
+ * @returns {{ entries?: Array, error?: string }}
+ */
+function verifiedLookup(body = {}) {
+    const params = body.search_parameters || {};
+    if (!body.sender_subscriber_id || !body.signature) {
+        return { error: 'sender_subscriber_id and signature are required' };
+    }
+    if (params.type && !PARTICIPANT_TYPES[params.type]) {
+        return { error: `search_parameters.type must be one of: ${Object.keys(PARTICIPANT_TYPES).join(', ')}` };
+    }
+
+    const signingString = ['country', 'domain', 'type', 'city', 'subscriber_id']
+        .map((field) => params[field] || '')
+        .join('|');
+    const senderKeys = lookupSubscribers({ subscriber_id: body.sender_subscriber_id })
+        .map((entry) => entry.signing_public_key)
+        .filter(Boolean);
+
+    const signed = senderKeys.some((publicKey) => {
+        try {
+            return nacl.sign.detached.verify(
+                naclUtil.decodeUTF8(signingString),
+                naclUtil.decodeBase64(body.signature),
+                naclUtil.decodeBase64(publicKey)
+            );
+        } catch (err) {
+            return false;
+        }
+    });
+    if (!signed) {
+        return { error: `signature does not match a registered key of ${body.sender_subscriber_id}` };
+    }
+
+    return {
+        entries: lookupSubscribers({
+            subscriber_id: params.subscriber_id,
+            type: PARTICIPANT_TYPES[params.type],
+            domain: params.domain,
+            country: params.country,
+            city: params.city,
+        }),
+    };
+}
+
+/**
+ * Register the BAP from the shared .env, if it has a signing key
+ */
+function seedFromEnv() {
+    if (!process.env.PUBLIC_KEY) return;
+
+    registerSubscriber({
+        subscriber_id: process.env.SUBSCRIBER_ID || 'ondc-logistics-bap.example.com',
+        ukId: process.env.UNIQUE_KEY_ID || 'k1',
+        subscriber_url: process.env.SUBSCRIBER_URL || 'http://localhost:3000',
+        type: 'BAP',
+        domain: process.env.DOMAIN || 'ONDC:LOG10',
+        signing_public_key: process.env.PUBLIC_KEY,
+        encr_public_key: process.env.ENCRYPTION_PUBLIC_KEY || '',
+    });
+}
+
+module.exports = {
+    PARTICIPANT_TYPES,
+    registerSubscriber,
+    lookupSubscribers,
+    verifiedLookup,
+    seedFromEnv,
+};
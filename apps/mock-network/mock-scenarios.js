@@ -0,0 +1,262 @@
+/**
+ * Mock Scenarios - Fault injection for the mock network
+ *
+ * A scenario changes how the mock gateway/seller answers so the BAP's
+ * error paths can be exercised deterministically:
+ *
+ *   normal              - everything succeeds
+ *   no-providers        - on_search with an empty catalog
+ *   partial-providers   - each on_search carries only its BPP's first provider
+ *   slow-callback       - callbacks arrive after the request TTL
+ *   duplicate-callbacks - every callback is sent twice (same message_id)
+ *   malformed-catalog   - on_search with providers/items missing required fields
+ *   select-error        - on_error instead of on_select
+ *   nack                - the gateway NACKs the request and sends no callback
+ *   wrong-transaction   - callbacks carry an unknown transaction_id
+ *
+ * The scenario for a request is picked, in order, from:
+ *   1. the X-Mock-Scenario request header
+ *   2. a scenario bound to the transaction via POST /admin/scenario
+ *   3. the default set via POST /admin/scenario (or MOCK_SCENARIO)
+ */
+
+const SCENARIO_HEADER = 'x-mock-scenario';
+
+// Extra delay past the request TTL for slow-callback
+const SLOW_CALLBACK_GRACE_MS = 5000;
+const DEFAULT_TTL_MS = 30000;
+
+const SCENARIOS = {
+    normal: {
+        description: 'Everything succeeds',
+    },
+    'no-providers': {
+        description: 'on_search returns an empty catalog',
+    },
+    'partial-providers': {
+        description: "Each on_search carries only its BPP's first provider",
+    },
+    'slow-callback': {
+        description: 'Callbacks arrive after the request TTL',
+    },
+    'duplicate-callbacks': {
+        description: 'Every callback is sent twice with the same message_id',
+    },
+    'malformed-catalog': {
+        description: 'on_search providers/items miss required fields',
+    },
+    'select-error': {
+        description: 'on_error is sent instead of on_select',
+    },
+    nack: {
+        description: 'The gateway NACKs every request and sends no callback',
+    },
+    'wrong-transaction': {
+        description: 'Callbacks carry an unknown transaction_id',
+    },
+};
+
+let defaultScenario = SCENARIOS[process.env.MOCK_SCENARIO] ? process.env.MOCK_SCENARIO : 'normal';
+// transactionId → scenario
+const transactionScenarios = new Map();
+
+/**
+ * Check a scenario name
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isKnownScenario(name) {
+    return Object.prototype.hasOwnProperty.call(SCENARIOS, name);
+}
+
+/**
+ * Pick the scenario for an incoming request
+ * @param {object} req - Express request
+ * @returns {string} Scenario name
+ */
+function resolveScenario(req) {
+    const header = req.headers[SCENARIO_HEADER];
+    if (header && isKnownScenario(header)) return header;
+
+    const transactionId = req.body?.context?.transaction_id;
+    return transactionScenarios.get(transactionId) || defaultScenario;
+}
+
+/**
+ * Set the default scenario, or bind one to a single transaction
+ * @param {object} options
+ * @param {string} options.scenario
+ * @param {string} [options.transactionId]
+ */
+function setScenario({ scenario, transactionId }) {
+    if (!isKnownScenario(scenario)) {
+        throw new Error(`Unknown scenario "${scenario}". Expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
+    if (transactionId) {
+        transactionScenarios.set(transactionId, scenario);
+    } else {
+        defaultScenario = scenario;
+    }
+    console.log(`[MOCK-SCENARIO] ${transactionId ? `txn ${transactionId}` : 'Default'} → ${scenario}`);
+}
+
+/**
+ * Back to 'normal' everywhere
+ */
+function resetScenarios() {
+    defaultScenario = 'normal';
+    transactionScenarios.clear();
+    console.log('[MOCK-SCENARIO] Reset to normal');
+}
+
+/**
+ * Current scenario settings, for GET /admin/scenario
+ * @returns {object}
+ */
+function getScenarioState() {
+    return {
+        default: defaultScenario,
+        transactions: Object.fromEntries(transactionScenarios),
+        header: 'X-Mock-Scenario',
+        available: Object.entries(SCENARIOS).map(([name, { description }]) => ({ name, description })),
+    };
+}
+
+const SCENARIO_NACK_ERROR = {
+    type: 'CONTEXT-ERROR',
+    code: '10000',
+    message: 'Mock scenario: request rejected by gateway',
+};
+
+/**
+ * Build a NACK response, by default the one for the 'nack' scenario
+ * @param {object} context - Incoming request context
+ * @param {object} [error] - { type, code, message }
+ * @returns {object}
+ */
+function buildNack(context, error = SCENARIO_NACK_ERROR) {
+    return {
+        context: {
+            ...context,
+            timestamp: new Date().toISOString(),
+        },
+        message: {
+            ack: {
+                status: 'NACK',
+            },
+        },
+        error,
+    };
+}
+
+/**
+ * Parse an ISO 8601 duration like PT30S into milliseconds
+ * @param {string} ttl
+ * @returns {number}
+ */
+function ttlToMs(ttl) {
+    const match = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(ttl || '');
+    if (!match) return DEFAULT_TTL_MS;
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+/**
+ * Break a catalog so the BAP's validation has something to reject
+ * @param {object} catalog
+ * @returns {object}
+ */
+function malformCatalog(catalog) {
+    const providers = catalog['bpp/providers'] || [];
+    return {
+        ...catalog,
+        'bpp/providers': providers.map((provider, index) => {
+            if (index === 0) {
+                // No descriptor, items is not an array
+                const { descriptor, ...rest } = provider;
+                return { ...rest, items: 'unavailable' };
+            }
+            return {
+                ...provider,
+                // Items without id or price
+                items: (provider.items || []).map(({ id, price, ...item }) => item),
+            };
+        }),
+    };
+}
+
+/**
+ * Work out which callbacks to actually send for a scenario
+ * @param {string} scenario
+ * @param {string} action - Callback action, e.g. 'on_search'
+ * @param {object} payload - Callback the seller built
+ * @returns {Array<{ action: string, payload: object, delayMs: number }>}
+ */
+function planCallbacks(scenario, action, payload) {
+    const send = (callbackAction, callbackPayload, delayMs = 0) => ({
+        action: callbackAction,
+        payload: callbackPayload,
+        delayMs,
+    });
+    const catalog = payload.message?.catalog;
+
+    switch (scenario) {
+        case 'no-providers':
+            if (action !== 'on_search') break;
+            return [send(action, {
+                ...payload,
+                message: { catalog: { ...catalog, 'bpp/providers': [] } },
+            })];
+
+        case 'partial-providers':
+            if (action !== 'on_search') break;
+            return [send(action, {
+                ...payload,
+                message: { catalog: { ...catalog, 'bpp/providers': (catalog['bpp/providers'] || []).slice(0, 1) } },
+            })];
+
+        case 'malformed-catalog':
+            if (action !== 'on_search') break;
+            return [send(action, { ...payload, message: { catalog: malformCatalog(catalog) } })];
+
+        case 'select-error':
+            if (action !== 'on_select') break;
+            return [send('on_error', {
+                context: { ...payload.context, action: 'on_error' },
+                error: {
+                    type: 'DOMAIN-ERROR',
+                    code: '60002',
+                    message: 'Mock scenario: delivery not possible for the selected item',
+                },
+            })];
+
+        case 'slow-callback':
+            return [send(action, payload, ttlToMs(payload.context?.ttl) + SLOW_CALLBACK_GRACE_MS)];
+
+        case 'duplicate-callbacks':
+            return [send(action, payload), send(action, payload, 300)];
+
+        case 'wrong-transaction':
+            return [send(action, {
+                ...payload,
+                context: { ...payload.context, transaction_id: `mock-unknown-${Date.now().toString(36)}` },
+            })];
+
+        default:
+            break;
+    }
+
+    return [send(action, payload)];
+}
+
+module.exports = {
+    SCENARIOS,
+    isKnownScenario,
+    resolveScenario,
+    setScenario,
+    resetScenarios,
+    getScenarioState,
+    buildNack,
+    planCallbacks,
+};
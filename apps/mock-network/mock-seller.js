@@ -2,29 +2,46 @@
  * Mock Seller (BPP) - Simulates ONDC logistics seller platform
  * 
  * This module generates valid Beckn on_search, on_select, and on_init
- * callbacks with realistic logistics provider data.
+ * callbacks with realistic logistics provider data. Every builder takes
+ * the mock BPP answering (mock-bpps.js): its catalog holds only that
+ * BPP's providers, priced with its priceMultiplier, and its callbacks
+ * are signed with its key. Confirmed orders are handled in mock-orders.js.
  * 
- * Providers:
- *   Delhivery  – ₹62  – 45 min – Bike
- *   Shadowfax  – ₹68  – 42 min – Bike
- *   Porter     – ₹120 – 30 min – Van
- *   Borzo      – ₹95  – 38 min – Auto
+ * Providers (rate card: base price covers 5 km, then per km; + 18% GST):
+ *   Delhivery  – ₹50 + ₹4.00/km  – Bike
+ *   Shadowfax  – ₹55 + ₹4.50/km  – Bike
+ *   Porter     – ₹90 + ₹10.00/km – Van
+ *   Borzo      – ₹70 + ₹8.00/km  – Auto
+ * Prices and ETAs are computed for the searched route (mock-pricing.js);
+ * providers that cannot serve it are left out (mock-serviceability.js).
  */
 
 const axios = require('axios');
+const { createAuthorizationHeader } = require('./mock-signer');
+const { planCallbacks } = require('./mock-scenarios');
+const { getBpp } = require('./mock-bpps');
+const { getRouteDistanceKm, getTagValue, priceItem, estimateEtaMinutes } = require('./mock-pricing');
+const { filterServiceable } = require('./mock-serviceability');
 
-const MOCK_BPP_ID = 'mock-logistics-bpp.ondc.org';
-const MOCK_BPP_URI = 'http://localhost:4000';
+// Pickup window when a fulfillment has none
+const DEFAULT_PICKUP_MINUTES = 15;
+
+// `${bpp_id}|${transaction_id}` → { itemId → { delivery, tax, total } }
+// Quotes from on_search, reused by on_select and on_init
+const quotesByTransaction = new Map();
+const QUOTE_CACHE_LIMIT = 1000;
 
 /**
- * Build the mock logistics catalog with all 4 providers
+ * Build a BPP's logistics catalog
  * @param {object} incomingContext - Context from the search request
+ * @param {object} [intent] - Search intent; its package weight is checked against each item's weight_slab
+ * @param {object} bpp - Mock BPP answering (mock-bpps.js)
  * @returns {object} on_search payload with catalog
  */
-function buildCatalog(incomingContext) {
+function buildCatalog(incomingContext, intent, bpp) {
     const timestamp = new Date().toISOString();
 
-    return {
+    const onSearch = {
         context: {
             domain: incomingContext.domain || 'ONDC:LOG10',
             country: incomingContext.country || 'IND',
@@ -33,19 +50,19 @@ function buildCatalog(incomingContext) {
             core_version: incomingContext.core_version || '1.2.0',
             bap_id: incomingContext.bap_id,
             bap_uri: incomingContext.bap_uri,
-            bpp_id: MOCK_BPP_ID,
-            bpp_uri: MOCK_BPP_URI,
+            bpp_id: bpp.id,
+            bpp_uri: bpp.uri,
             transaction_id: incomingContext.transaction_id,
-            message_id: generateId(),
+            message_id: incomingContext.message_id,
             timestamp,
             ttl: 'PT30S',
         },
         message: {
             catalog: {
                 'bpp/descriptor': {
-                    name: 'Mock ONDC Logistics Network',
+                    name: bpp.name,
                     short_desc: 'Aggregated logistics providers for ONDC',
-                    long_desc: 'Mock BPP providing logistics quotes from multiple providers',
+                    long_desc: `Mock BPP providing logistics quotes from ${bpp.providers.length} providers`,
                     images: [
                         { url: 'https://cdn.ondc.org/mock-bpp-logo.png', size_type: 'sm' },
                     ],
@@ -59,6 +76,7 @@ function buildCatalog(incomingContext) {
                             long_desc: 'Pan-India express logistics with real-time tracking and last-mile delivery expertise',
                             images: [{ url: 'https://cdn.ondc.org/delhivery-logo.png', size_type: 'sm' }],
                         },
+                        rating: '4.4',
                         category_id: 'Express Delivery',
                         time: {
                             days: '1,2,3,4,5,6,7',
@@ -131,6 +149,8 @@ function buildCatalog(incomingContext) {
                                         code: 'weight_slab',
                                         list: [
                                             { code: 'max_weight', value: '10' },
+                                            { code: 'base_weight', value: '5' },
+                                            { code: 'per_kg_charge', value: '6.00' },
                                             { code: 'weight_unit', value: 'kilogram' },
                                         ],
                                     },
@@ -159,6 +179,7 @@ function buildCatalog(incomingContext) {
                             long_desc: 'On-demand hyperlocal logistics with fleet management and real-time optimization',
                             images: [{ url: 'https://cdn.ondc.org/shadowfax-logo.png', size_type: 'sm' }],
                         },
+                        rating: '4.1',
                         category_id: 'Express Delivery',
                         time: {
                             days: '1,2,3,4,5,6,7',
@@ -231,6 +252,8 @@ function buildCatalog(incomingContext) {
                                         code: 'weight_slab',
                                         list: [
                                             { code: 'max_weight', value: '8' },
+                                            { code: 'base_weight', value: '5' },
+                                            { code: 'per_kg_charge', value: '7.00' },
                                             { code: 'weight_unit', value: 'kilogram' },
                                         ],
                                     },
@@ -259,6 +282,7 @@ function buildCatalog(incomingContext) {
                             long_desc: 'Reliable intra-city logistics with diverse fleet options for heavy or bulky items',
                             images: [{ url: 'https://cdn.ondc.org/porter-logo.png', size_type: 'sm' }],
                         },
+                        rating: '4.6',
                         category_id: 'Express Delivery',
                         time: {
                             days: '1,2,3,4,5,6,7',
@@ -331,6 +355,8 @@ function buildCatalog(incomingContext) {
                                         code: 'weight_slab',
                                         list: [
                                             { code: 'max_weight', value: '50' },
+                                            { code: 'base_weight', value: '5' },
+                                            { code: 'per_kg_charge', value: '3.00' },
                                             { code: 'weight_unit', value: 'kilogram' },
                                         ],
                                     },
@@ -359,6 +385,7 @@ function buildCatalog(incomingContext) {
                             long_desc: 'Same-day delivery solutions with auto-rickshaw fleet for urban logistics',
                             images: [{ url: 'https://cdn.ondc.org/borzo-logo.png', size_type: 'sm' }],
                         },
+                        rating: '3.9',
                         category_id: 'Express Delivery',
                         time: {
                             days: '1,2,3,4,5,6,7',
@@ -431,6 +458,8 @@ function buildCatalog(incomingContext) {
                                         code: 'weight_slab',
                                         list: [
                                             { code: 'max_weight', value: '20' },
+                                            { code: 'base_weight', value: '5' },
+                                            { code: 'per_kg_charge', value: '5.00' },
                                             { code: 'weight_unit', value: 'kilogram' },
                                         ],
                                     },
@@ -455,35 +484,224 @@ function buildCatalog(incomingContext) {
             },
         },
     };
+
+    const catalog = onSearch.message.catalog;
+    catalog['bpp/providers'] = priceCatalog(
+        catalog['bpp/providers'].filter((provider) => bpp.providers.includes(provider.id)),
+        {
+            distanceKm: getRouteDistanceKm(intent?.fulfillment),
+            weightKg: getPackageWeightKg(intent),
+            multiplier: bpp.priceMultiplier,
+        }
+    );
+
+    return onSearch;
+}
+
+/**
+ * Minutes until the agent reaches the pickup, from the fulfillment's start window
+ * @param {object} [fulfillment]
+ * @returns {number}
+ */
+function getPickupMinutes(fulfillment) {
+    const range = fulfillment?.start?.time?.range;
+    const minutes = (Date.parse(range?.end) - Date.parse(range?.start)) / 60000;
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_PICKUP_MINUTES;
+}
+
+/**
+ * Price providers' items for the searched route.
+ * Items that cannot carry the package (weight_slab.max_weight) are
+ * dropped; the rest get a price from their rate card and weight slab, a
+ * TAT from the route, and their fulfillment the route distance and
+ * delivery window. Providers left without items are omitted.
+ * @param {object[]} providers - bpp/providers
+ * @param {object} route
+ * @param {number} route.distanceKm
+ * @param {number|null} route.weightKg - Package weight, or null if not given
+ * @param {number} route.multiplier - BPP price multiplier
+ * @returns {object[]} Providers that can carry the package
+ */
+function priceCatalog(providers, { distanceKm, weightKg, multiplier }) {
+    const now = Date.now();
+    const at = (minutes) => new Date(now + minutes * 60 * 1000).toISOString();
+
+    return providers
+        .map((provider) => {
+            const etaByFulfillment = {};
+            const fulfillments = (provider.fulfillments || []).map((fulfillment) => {
+                const pickupMinutes = getPickupMinutes(fulfillment);
+                const eta = estimateEtaMinutes(fulfillment.vehicle?.category, distanceKm, pickupMinutes);
+                etaByFulfillment[fulfillment.id] = eta;
+
+                return {
+                    ...fulfillment,
+                    end: {
+                        ...fulfillment.end,
+                        time: { range: { start: at(Math.max(pickupMinutes, eta - 15)), end: at(eta) } },
+                    },
+                    tags: (fulfillment.tags || []).map((tag) => (tag.code !== 'distance' ? tag : {
+                        ...tag,
+                        list: tag.list.map((entry) => (entry.code === 'value' ? { ...entry, value: distanceKm.toFixed(1) } : entry)),
+                    })),
+                };
+            });
+
+            const items = provider.items
+                .filter((item) => {
+                    const maxWeight = parseFloat(getTagValue(item, 'weight_slab', 'max_weight'));
+                    if (weightKg !== null && Number.isFinite(maxWeight) && weightKg > maxWeight) {
+                        console.log(`[MOCK-SELLER] ${provider.id}/${item.id} rejected: ${weightKg} kg > ${maxWeight} kg`);
+                        return false;
+                    }
+                    return true;
+                })
+                .map((item) => {
+                    const { total } = priceItem(item, { distanceKm, weightKg, multiplier });
+                    const eta = etaByFulfillment[item.fulfillment_id];
+                    return {
+                        ...item,
+                        price: { ...item.price, value: total.toFixed(2) },
+                        time: eta ? { ...item.time, duration: `PT${eta}M` } : item.time,
+                    };
+                });
+
+            return { ...provider, fulfillments, items };
+        })
+        .filter((provider) => provider.items.length > 0);
 }
 
 /**
- * Build an on_select response with price breakup
+ * Drop providers that cannot serve the searched route right now
+ * (mock-serviceability.js). If none are left, the on_search gets an
+ * empty catalog and a serviceability error.
+ * @param {object} onSearch - on_search payload (mutated)
+ * @param {object} [intent] - Search intent
+ * @returns {object} onSearch
  */
-function buildSelectResponse(incomingPayload) {
+function restrictToServiceable(onSearch, intent) {
+    const catalog = onSearch.message.catalog;
+    const { providers, error } = filterServiceable(
+        catalog['bpp/providers'],
+        intent?.fulfillment,
+        getRouteDistanceKm(intent?.fulfillment)
+    );
+
+    catalog['bpp/providers'] = providers;
+    if (error) {
+        console.log(`[MOCK-SELLER] ${onSearch.context.bpp_id} cannot serve txn ${onSearch.context.transaction_id}: ${error.message}`);
+        onSearch.error = error;
+    }
+    return onSearch;
+}
+
+/**
+ * Remember the quotes a BPP sent in on_search for a transaction
+ * @param {object} bpp
+ * @param {object} onSearch - on_search payload
+ * @param {object} [intent] - Search intent the catalog was priced for
+ */
+function rememberQuotes(bpp, onSearch, intent) {
+    const route = {
+        distanceKm: getRouteDistanceKm(intent?.fulfillment),
+        weightKg: getPackageWeightKg(intent),
+        multiplier: bpp.priceMultiplier,
+    };
+    const quotes = {};
+    for (const provider of onSearch.message.catalog['bpp/providers']) {
+        for (const item of provider.items) {
+            quotes[item.id] = priceItem(item, route);
+        }
+    }
+
+    if (quotesByTransaction.size >= QUOTE_CACHE_LIMIT) {
+        quotesByTransaction.delete(quotesByTransaction.keys().next().value);
+    }
+    quotesByTransaction.set(`${bpp.id}|${onSearch.context.transaction_id}`, quotes);
+}
+
+/**
+ * Quote for the item in a select/init order: the price sent in on_search,
+ * or (if that search was not seen) the item priced for the order's route
+ * @param {object} bpp
+ * @param {object} context - Incoming request context
+ * @param {object} order - Incoming order
+ * @returns {{ delivery: number, tax: number, total: number }|null} null if the BPP has no such item
+ */
+function getQuote(bpp, context, order) {
+    const itemId = order.items?.[0]?.id;
+    const cached = quotesByTransaction.get(`${bpp.id}|${context.transaction_id}`)?.[itemId];
+    if (cached) return cached;
+
+    const fulfillment = order.fulfillments?.[0];
+    const { message } = buildCatalog(context, { fulfillment }, bpp);
+    const items = message.catalog['bpp/providers'].flatMap((provider) => provider.items);
+    const item = items.find((candidate) => candidate.id === itemId);
+    if (!item) return null;
+    return priceItem(item, {
+        distanceKm: getRouteDistanceKm(fulfillment),
+        weightKg: null,
+        multiplier: bpp.priceMultiplier,
+    });
+}
+
+/**
+ * Read the package weight (in kg) from a search intent
+ * @param {object} [intent]
+ * @returns {number|null} Weight in kg, or null if not given
+ */
+function getPackageWeightKg(intent) {
+    const weight = intent?.['@ondc/org/payload_details']?.weight;
+    const value = parseFloat(weight?.value);
+    if (!Number.isFinite(value)) return null;
+    return weight.unit === 'gram' ? value / 1000 : value;
+}
+
+/**
+ * Build the on_error a BPP sends for an order naming an item it does
+ * not have
+ * @param {object} context - Incoming request context
+ * @param {object} bpp
+ * @param {string} [itemId]
+ * @returns {object}
+ */
+function buildItemNotFoundError(context, bpp, itemId) {
+    return {
+        context: {
+            ...context,
+            action: 'on_error',
+            bpp_id: bpp.id,
+            bpp_uri: bpp.uri,
+            timestamp: new Date().toISOString(),
+        },
+        error: {
+            type: 'DOMAIN-ERROR',
+            code: '30004',
+            message: `Item not found: ${itemId || '(no item id)'}`,
+        },
+    };
+}
+
+/**
+ * Build an on_select response with price breakup, or an on_error if the
+ * selected item is unknown
+ */
+function buildSelectResponse(incomingPayload, bpp) {
     const { context, message } = incomingPayload;
     const order = message?.order || {};
-    const providerId = order.provider?.id || 'delhivery-logistics';
+    const providerId = order.provider?.id || bpp.providers[0];
     const items = order.items || [];
     const item = items[0] || {};
 
-    // Find provider's base price from catalog
-    const priceMap = {
-        'delhivery-logistics': { base: 50, delivery: 12, total: 62 },
-        'shadowfax-logistics': { base: 55, delivery: 13, total: 68 },
-        'porter-logistics': { base: 90, delivery: 30, total: 120 },
-        'borzo-logistics': { base: 70, delivery: 25, total: 95 },
-    };
-
-    const pricing = priceMap[providerId] || priceMap['delhivery-logistics'];
+    const pricing = getQuote(bpp, context, order);
+    if (!pricing) return buildItemNotFoundError(context, bpp, item.id);
 
     return {
         context: {
             ...context,
             action: 'on_select',
-            bpp_id: MOCK_BPP_ID,
-            bpp_uri: MOCK_BPP_URI,
-            message_id: generateId(),
+            bpp_id: bpp.id,
+            bpp_uri: bpp.uri,
             timestamp: new Date().toISOString(),
         },
         message: {
@@ -505,7 +723,7 @@ function buildSelectResponse(incomingPayload) {
                             title: 'Delivery Charges',
                             price: {
                                 currency: 'INR',
-                                value: pricing.base.toFixed(2),
+                                value: pricing.delivery.toFixed(2),
                             },
                         },
                         {
@@ -514,7 +732,7 @@ function buildSelectResponse(incomingPayload) {
                             title: 'Tax',
                             price: {
                                 currency: 'INR',
-                                value: pricing.delivery.toFixed(2),
+                                value: pricing.tax.toFixed(2),
                             },
                         },
                     ],
@@ -526,19 +744,21 @@ function buildSelectResponse(incomingPayload) {
 }
 
 /**
- * Build an on_init response with payment details
+ * Build an on_init response with payment details, or an on_error if the
+ * item is unknown
  */
-function buildInitResponse(incomingPayload) {
+function buildInitResponse(incomingPayload, bpp) {
     const { context, message } = incomingPayload;
     const order = message?.order || {};
+    const pricing = getQuote(bpp, context, order);
+    if (!pricing) return buildItemNotFoundError(context, bpp, order.items?.[0]?.id);
 
     return {
         context: {
             ...context,
             action: 'on_init',
-            bpp_id: MOCK_BPP_ID,
-            bpp_uri: MOCK_BPP_URI,
-            message_id: generateId(),
+            bpp_id: bpp.id,
+            bpp_uri: bpp.uri,
             timestamp: new Date().toISOString(),
         },
         message: {
@@ -552,7 +772,7 @@ function buildInitResponse(incomingPayload) {
                 quote: {
                     price: {
                         currency: 'INR',
-                        value: '62.00',
+                        value: pricing.total.toFixed(2),
                     },
                     breakup: [
                         {
@@ -561,7 +781,7 @@ function buildInitResponse(incomingPayload) {
                             title: 'Delivery Charges',
                             price: {
                                 currency: 'INR',
-                                value: '50.00',
+                                value: pricing.delivery.toFixed(2),
                             },
                         },
                         {
@@ -570,7 +790,7 @@ function buildInitResponse(incomingPayload) {
                             title: 'Tax',
                             price: {
                                 currency: 'INR',
-                                value: '12.00',
+                                value: pricing.tax.toFixed(2),
                             },
                         },
                     ],
@@ -612,7 +832,7 @@ function buildInitResponse(incomingPayload) {
                             percentage: '50',
                             amount: {
                                 currency: 'INR',
-                                value: '31.00',
+                                value: (pricing.total / 2).toFixed(2),
                             },
                         },
                     },
@@ -635,17 +855,25 @@ function buildInitResponse(incomingPayload) {
 }
 
 /**
- * Send callback to BAP
+ * POST one callback to the BAP, signed with the sending BPP's key
  */
-async function sendCallback(bapUri, action, payload) {
+async function postCallback(bapUri, action, payload) {
+    const bpp = getBpp(payload.context?.bpp_id);
     const url = `${bapUri}/beckn/${action}`;
     console.log(`[MOCK-SELLER] Sending /${action} callback to ${url}`);
 
+    // Sign the exact bytes that are sent
+    const body = JSON.stringify(payload);
+
     try {
-        const response = await axios.post(url, payload, {
+        const response = await axios.post(url, body, {
             headers: {
                 'Content-Type': 'application/json',
-                Authorization: 'Signature keyId="mock-bpp|k1|ed25519",algorithm="ed25519",created="0",expires="0",headers="(created) (expires) digest",signature="mock-dev-signature"',
+                Authorization: createAuthorizationHeader(body, {
+                    subscriberId: bpp.id,
+                    uniqueKeyId: bpp.uniqueKeyId,
+                    privateKey: bpp.keys.privateKey,
+                }),
             },
             timeout: 10000,
         });
@@ -655,49 +883,72 @@ async function sendCallback(bapUri, action, payload) {
     }
 }
 
+/**
+ * Send callback to BAP, shaped by the active mock scenario
+ * @param {string} bapUri
+ * @param {string} action - Callback action, e.g. 'on_search'
+ * @param {object} payload
+ * @param {string} [scenario='normal'] - See mock-scenarios.js
+ */
+async function sendCallback(bapUri, action, payload, scenario = 'normal') {
+    const callbacks = planCallbacks(scenario, action, payload);
+    if (scenario !== 'normal') {
+        console.log(`[MOCK-SELLER] Scenario "${scenario}": /${action} → ${callbacks.map((c) => `/${c.action}`).join(', ')}`);
+    }
+
+    for (const callback of callbacks) {
+        if (callback.delayMs > 0) {
+            await new Promise((resolve) => setTimeout(resolve, callback.delayMs));
+        }
+        await postCallback(bapUri, callback.action, callback.payload);
+    }
+}
+
 /**
  * Handle search request - generate on_search callback
  */
-function handleSearch(payload) {
+function handleSearch(payload, bpp, scenario) {
     const { context } = payload;
-    console.log(`[MOCK-SELLER] Processing search - txn: ${context.transaction_id}`);
+    console.log(`[MOCK-SELLER] ${bpp.id} processing search - txn: ${context.transaction_id}`);
 
-    const onSearchPayload = buildCatalog(context);
+    const intent = payload.message?.intent;
+    const onSearchPayload = restrictToServiceable(buildCatalog(context, intent, bpp), intent);
+    rememberQuotes(bpp, onSearchPayload, intent);
 
     // Simulate async callback delay (1-2 seconds)
     const delay = 1000 + Math.random() * 1000;
     setTimeout(() => {
-        sendCallback(context.bap_uri, 'on_search', onSearchPayload);
+        sendCallback(context.bap_uri, 'on_search', onSearchPayload, scenario);
     }, delay);
 }
 
 /**
  * Handle select request - generate on_select callback
  */
-function handleSelect(payload) {
+function handleSelect(payload, bpp, scenario) {
     const { context } = payload;
-    console.log(`[MOCK-SELLER] Processing select - txn: ${context.transaction_id}`);
+    console.log(`[MOCK-SELLER] ${bpp.id} processing select - txn: ${context.transaction_id}`);
 
-    const onSelectPayload = buildSelectResponse(payload);
+    const onSelectPayload = buildSelectResponse(payload, bpp);
 
     const delay = 800 + Math.random() * 700;
     setTimeout(() => {
-        sendCallback(context.bap_uri, 'on_select', onSelectPayload);
+        sendCallback(context.bap_uri, onSelectPayload.context.action, onSelectPayload, scenario);
     }, delay);
 }
 
 /**
  * Handle init request - generate on_init callback
  */
-function handleInit(payload) {
+function handleInit(payload, bpp, scenario) {
     const { context } = payload;
-    console.log(`[MOCK-SELLER] Processing init - txn: ${context.transaction_id}`);
+    console.log(`[MOCK-SELLER] ${bpp.id} processing init - txn: ${context.transaction_id}`);
 
-    const onInitPayload = buildInitResponse(payload);
+    const onInitPayload = buildInitResponse(payload, bpp);
 
     const delay = 800 + Math.random() * 700;
     setTimeout(() => {
-        sendCallback(context.bap_uri, 'on_init', onInitPayload);
+        sendCallback(context.bap_uri, onInitPayload.context.action, onInitPayload, scenario);
     }, delay);
 }
 
@@ -709,6 +960,8 @@ function generateId() {
 }
 
 module.exports = {
+    sendCallback,
+    generateId,
     handleSearch,
     handleSelect,
     handleInit,
@@ -0,0 +1,151 @@
+/**
+ * Mock Serviceability - Which providers can take a search
+ *
+ * Each provider serves a set of pincode prefixes, within a radius of its
+ * hub (the catalog location), up to a maximum route distance, during its
+ * catalog operating hours (time.days / time.range, IST). Providers that
+ * fail a rule are left out of on_search; when none of a BPP's providers
+ * can serve the search, its on_search carries an empty catalog and one of
+ * the ONDC LOG10 serviceability errors below.
+ *
+ * MOCK_SERVICEABILITY=off serves every search (e.g. for late-night demos).
+ */
+
+const { haversineKm } = require('./mock-pricing');
+
+const SERVICEABILITY = {
+    'delhivery-logistics': {
+        pincodePrefixes: ['110', '120', '121', '122', '201'],
+        radiusKm: 40,
+        maxDistanceKm: 50,
+    },
+    'shadowfax-logistics': {
+        pincodePrefixes: ['110', '201'],
+        radiusKm: 25,
+        maxDistanceKm: 25,
+    },
+    'porter-logistics': {
+        pincodePrefixes: ['110', '120', '121', '122', '201'],
+        radiusKm: 60,
+        maxDistanceKm: 80,
+    },
+    'borzo-logistics': {
+        pincodePrefixes: ['110', '122', '201'],
+        radiusKm: 30,
+        maxDistanceKm: 35,
+    },
+};
+
+const ERRORS = {
+    pickup: { code: '60001', message: 'Pickup location not serviceable by Logistics Provider' },
+    drop: { code: '60002', message: 'Dropoff location not serviceable by Logistics Provider' },
+    distance: { code: '60003', message: 'Delivery distance exceeds the maximum serviceability distance' },
+    hours: { code: '60004', message: 'Delivery Partners not available' },
+};
+
+// India Standard Time, UTC+05:30 (ONDC city codes are Indian)
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Day of week (1 = Monday … 7 = Sunday) and HHMM in IST
+ * @param {Date} now
+ * @returns {{ day: number, hhmm: string }}
+ */
+function getIstClock(now) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    const day = ist.getUTCDay() || 7;
+    const hhmm = String(ist.getUTCHours()).padStart(2, '0') + String(ist.getUTCMinutes()).padStart(2, '0');
+    return { day, hhmm };
+}
+
+/**
+ * Is the provider open at this time, per its catalog time block?
+ * @param {object} [time] - { days: '1,2,…', range: { start: 'HHMM', end: 'HHMM' } }
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isOpen(time, now) {
+    const { day, hhmm } = getIstClock(now);
+    if (time?.days && !time.days.split(',').map(Number).includes(day)) return false;
+
+    const { start = '0000', end = '2359' } = time?.range || {};
+    return start <= end ? hhmm >= start && hhmm <= end : hhmm >= start || hhmm <= end;
+}
+
+/**
+ * Does a stop fall inside the provider's area?
+ * @param {object} [location] - Beckn location { gps, address: { area_code } }
+ * @param {object} rules
+ * @param {string} [hubGps]
+ * @returns {boolean}
+ */
+function isInArea(location, rules, hubGps) {
+    const areaCode = location?.address?.area_code;
+    if (areaCode !== undefined && areaCode !== null && areaCode !== '') {
+        // A numeric area_code is read as its digits; any other non-string is unserviceable
+        const pincode = typeof areaCode === 'number' ? String(areaCode) : areaCode;
+        if (typeof pincode !== 'string') return false;
+        if (!rules.pincodePrefixes.some((prefix) => pincode.startsWith(prefix))) return false;
+    }
+
+    const fromHub = haversineKm(hubGps, location?.gps);
+    return fromHub === null || fromHub <= rules.radiusKm;
+}
+
+/**
+ * Check one provider against a search
+ * @param {object} provider - Catalog provider (time, locations)
+ * @param {object} [fulfillment] - Search intent fulfillment
+ * @param {number} distanceKm - Route distance
+ * @param {Date} [now]
+ * @returns {{ serviceable: boolean, reason?: string }} reason is a key of ERRORS
+ */
+function checkProvider(provider, fulfillment, distanceKm, now = new Date()) {
+    const rules = SERVICEABILITY[provider.id];
+    if (!rules) return { serviceable: true };
+
+    const hubGps = provider.locations?.[0]?.gps;
+    if (!isInArea(fulfillment?.start?.location, rules, hubGps)) return { serviceable: false, reason: 'pickup' };
+    if (!isInArea(fulfillment?.end?.location, rules, hubGps)) return { serviceable: false, reason: 'drop' };
+    if (distanceKm > rules.maxDistanceKm) return { serviceable: false, reason: 'distance' };
+    if (!isOpen(provider.time, now)) return { serviceable: false, reason: 'hours' };
+    return { serviceable: true };
+}
+
+/**
+ * Keep the providers that can serve a search
+ * @param {object[]} providers - bpp/providers
+ * @param {object} [fulfillment] - Search intent fulfillment
+ * @param {number} distanceKm - Route distance
+ * @param {Date} [now]
+ * @returns {{ providers: object[], error: object|null }} error is set when no provider is left
+ */
+function filterServiceable(providers, fulfillment, distanceKm, now = new Date()) {
+    if (process.env.MOCK_SERVICEABILITY === 'off') {
+        return { providers, error: null };
+    }
+
+    const reasons = [];
+    const serviceable = providers.filter((provider) => {
+        const { serviceable: ok, reason } = checkProvider(provider, fulfillment, distanceKm, now);
+        if (!ok) {
+            console.log(`[MOCK-SELLER] ${provider.id} not serviceable: ${ERRORS[reason].message}`);
+            reasons.push(reason);
+        }
+        return ok;
+    });
+
+    if (serviceable.length > 0 || reasons.length === 0) {
+        return { providers: serviceable, error: null };
+    }
+    return {
+        providers: [],
+        error: { type: 'DOMAIN-ERROR', ...ERRORS[reasons[0]] },
+    };
+}
+
+module.exports = {
+    SERVICEABILITY,
+    checkProvider,
+    filterServiceable,
+};
@@ -0,0 +1,74 @@
+/**
+ * Mock Signer - ed25519 signing for the mock BPPs' callbacks
+ *
+ * Uses the same scheme as the BAP (bap-server/crypto/sign.js):
+ * BLAKE-512 digest of the body, "(created) (expires) digest" signing
+ * string, ed25519 signature, keyId "subscriber_id|unique_key_id|ed25519".
+ *
+ * Each mock BPP signs with its own keypair (mock-bpps.js), whose public
+ * key is published through the mock registry so the BAP can verify
+ * callbacks with DEV_MODE on.
+ */
+
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const blake = require('blakejs');
+
+const SIGNATURE_TTL_SECONDS = 30;
+
+/**
+ * Generate an ed25519 keypair
+ * @returns {{ publicKey: string, privateKey: string }} Base64-encoded keys
+ */
+function generateKeyPair() {
+    const generated = nacl.sign.keyPair();
+    return {
+        publicKey: naclUtil.encodeBase64(generated.publicKey),
+        privateKey: naclUtil.encodeBase64(generated.secretKey),
+    };
+}
+
+/**
+ * Create a BLAKE-512 digest of the request body
+ * @param {string} body - JSON string of the request body
+ * @returns {string}
+ */
+function createDigest(body) {
+    const hash = blake.blake2b(body, null, 64);
+    return `BLAKE-512=${naclUtil.encodeBase64(hash)}`;
+}
+
+/**
+ * Create an ONDC Authorization header for a callback body
+ * @param {string} bodyString - Exact JSON string that will be sent
+ * @param {object} signer
+ * @param {string} signer.subscriberId
+ * @param {string} signer.uniqueKeyId
+ * @param {string} signer.privateKey - Base64-encoded ed25519 private key
+ * @returns {string} Authorization header value
+ */
+function createAuthorizationHeader(bodyString, { subscriberId, uniqueKeyId, privateKey }) {
+    const digest = createDigest(bodyString);
+
+    const created = Math.floor(Date.now() / 1000);
+    const expires = created + SIGNATURE_TTL_SECONDS;
+    const signingString = `(created): ${created}\n(expires): ${expires}\ndigest: ${digest}`;
+
+    const signature = naclUtil.encodeBase64(
+        nacl.sign.detached(naclUtil.decodeUTF8(signingString), naclUtil.decodeBase64(privateKey))
+    );
+
+    return (
+        `Signature keyId="${subscriberId}|${uniqueKeyId}|ed25519",` +
+        `algorithm="ed25519",` +
+        `created="${created}",` +
+        `expires="${expires}",` +
+        `headers="(created) (expires) digest",` +
+        `signature="${signature}"`
+    );
+}
+
+module.exports = {
+    generateKeyPair,
+    createAuthorizationHeader,
+};
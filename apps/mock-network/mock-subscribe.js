@@ -0,0 +1,288 @@
+/**
+ * Mock Subscribe - ONDC registry onboarding, offline
+ *
+ * Handles POST /registry/subscribe the way the ONDC registry does:
+ *   1. checks the request (entity keys, network_participant)
+ *   2. fetches {subscriber}/ondc-site-verification.html and verifies the
+ *      ed25519 signature of request_id against the signing_public_key
+ *   3. encrypts a random challenge for the subscriber - X25519 shared
+ *      secret of the registry key and enc_public_key, AES-256-ECB - and
+ *      POSTs it to {subscriber_url}/on_subscribe
+ *   4. checks the decrypted answer and adds the subscriber to the
+ *      participant table (mock-registry.js) as SUBSCRIBED
+ *
+ * The registry's encryption key comes from
+ * MOCK_REGISTRY_ENCRYPTION_PRIVATE_KEY (raw or DER base64), or the
+ * built-in dev key below; the BAP needs its public key in
+ * ONDC_PUBLIC_KEY to decrypt the challenge.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const nacl = require('tweetnacl');
+const naclUtil = require('tweetnacl-util');
+const { PARTICIPANT_TYPES, registerSubscriber } = require('./mock-registry');
+
+// Dev-only key, so ONDC_PUBLIC_KEY can be set once for the mock
+const DEV_ENCRYPTION_PRIVATE_KEY = '4nRe+9EWTKTT07ss6O+l7+NwEx1NuMDPiQbatTFvbes=';
+
+// DER headers ONDC wraps X25519 keys in
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+const ERRORS = {
+    invalid: { code: '1001', message: 'Invalid subscribe request' },
+    site: { code: '1050', message: 'Site verification failed' },
+    challenge: { code: '1060', message: 'on_subscribe challenge failed' },
+};
+
+const CALL_TIMEOUT_MS = 5000;
+
+/**
+ * Decode a base64 X25519 key, raw (32 bytes) or DER-wrapped
+ * @param {string} keyBase64
+ * @param {Buffer} derPrefix - X25519_SPKI_PREFIX or X25519_PKCS8_PREFIX
+ * @returns {Uint8Array}
+ */
+function decodeX25519Key(keyBase64, derPrefix) {
+    const bytes = Buffer.from(keyBase64 || '', 'base64');
+    const isDer = bytes.length === derPrefix.length + 32 && bytes.subarray(0, derPrefix.length).equals(derPrefix);
+    const raw = isDer ? bytes.subarray(derPrefix.length) : bytes;
+    if (raw.length !== 32) {
+        throw new Error(`X25519 key must be 32 bytes, got ${raw.length}`);
+    }
+    return new Uint8Array(raw);
+}
+
+/**
+ * The registry's X25519 private key
+ * @returns {Uint8Array}
+ */
+function getRegistryPrivateKey() {
+    return decodeX25519Key(process.env.MOCK_REGISTRY_ENCRYPTION_PRIVATE_KEY || DEV_ENCRYPTION_PRIVATE_KEY, X25519_PKCS8_PREFIX);
+}
+
+/**
+ * The registry's X25519 public key, DER base64 (the form ONDC publishes)
+ * @returns {string}
+ */
+function getRegistryPublicKey() {
+    const publicKey = nacl.scalarMult.base(getRegistryPrivateKey());
+    return Buffer.concat([X25519_SPKI_PREFIX, Buffer.from(publicKey)]).toString('base64');
+}
+
+/**
+ * Encrypt a challenge for a subscriber
+ * @param {string} challenge
+ * @param {string} subscriberPublicKey - Subscriber's enc_public_key (raw or DER base64)
+ * @returns {string} Base64 ciphertext
+ */
+function encryptChallenge(challenge, subscriberPublicKey) {
+    const sharedSecret = nacl.scalarMult(getRegistryPrivateKey(), decodeX25519Key(subscriberPublicKey, X25519_SPKI_PREFIX));
+    const cipher = crypto.createCipheriv('aes-256-ecb', Buffer.from(sharedSecret), null);
+    return cipher.update(challenge, 'utf8', 'base64') + cipher.final('base64');
+}
+
+/**
+ * Check the parts of a /subscribe request the flow relies on
+ * @param {object} body
+ * @returns {string[]} Problems, empty if none
+ */
+function validateSubscribeRequest(body) {
+    const errors = [];
+    const message = body?.message || {};
+    const entity = message.entity || {};
+
+    if (!message.request_id) errors.push('message.request_id is required');
+    for (const field of ['subscriber_id', 'unique_key_id', 'signing_public_key', 'enc_public_key']) {
+        if (!entity[field]) errors.push(`message.entity.${field} is required`);
+    }
+    if (entity.enc_public_key) {
+        try {
+            decodeX25519Key(entity.enc_public_key, X25519_SPKI_PREFIX);
+        } catch (err) {
+            errors.push(`message.entity.enc_public_key: ${err.message}`);
+        }
+    }
+
+    const participants = message.network_participant || [];
+    if (!Array.isArray(participants)) {
+        errors.push('message.network_participant must be a list');
+        return errors;
+    }
+    if (participants.length === 0) errors.push('message.network_participant must list at least one participant');
+    participants.forEach((participant, i) => {
+        const field = `message.network_participant[${i}]`;
+        if (!participant || typeof participant !== 'object') {
+            errors.push(`${field} must be an object`);
+            return;
+        }
+        if (!participant.subscriber_url) {
+            errors.push(`${field}.subscriber_url is required`);
+        } else if (typeof participant.subscriber_url !== 'string' ||
+            !isValidUrl(resolveSubscriberUrl(entity.subscriber_id, participant.subscriber_url))) {
+            errors.push(`${field}.subscriber_url must be a URL or a path on subscriber_id`);
+        }
+        if (!Object.hasOwn(PARTICIPANT_TYPES, participant.type)) {
+            errors.push(`${field}.type must be one of: ${Object.keys(PARTICIPANT_TYPES).join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Whether a string parses as an absolute URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidUrl(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Where a participant is reachable. ONDC's subscriber_url is a path on
+ * the subscriber_id domain; a full URL (e.g. http://localhost:3000) is
+ * used as is.
+ * @param {string} subscriberId
+ * @param {string} subscriberUrl
+ * @returns {string}
+ */
+function resolveSubscriberUrl(subscriberId, subscriberUrl) {
+    if (/^https?:\/\//.test(subscriberUrl)) return subscriberUrl.replace(/\/$/, '');
+    return `https://${subscriberId}${subscriberUrl === '/' ? '' : subscriberUrl}`.replace(/\/$/, '');
+}
+
+/**
+ * Fetch the subscriber's ondc-site-verification.html and check that it
+ * carries a signature of request_id by the subscriber's signing key
+ * @param {string} baseUrl - Resolved subscriber URL
+ * @param {string} requestId
+ * @param {string} signingPublicKey - Base64 ed25519 public key
+ * @returns {Promise<string|null>} Problem, or null if verified
+ */
+async function verifySite(baseUrl, requestId, signingPublicKey) {
+    const url = `${new URL(baseUrl).origin}/ondc-site-verification.html`;
+    let html;
+    try {
+        html = (await axios.get(url, { timeout: CALL_TIMEOUT_MS, responseType: 'text' })).data;
+    } catch (err) {
+        return `could not fetch ${url}: ${err.message}`;
+    }
+
+    const match = /<meta\s+name=["']ondc-site-verification["']\s+content=["']([^"']+)["']/i.exec(html);
+    if (!match) {
+        return `no ondc-site-verification meta tag at ${url}`;
+    }
+
+    try {
+        const valid = nacl.sign.detached.verify(
+            naclUtil.decodeUTF8(requestId),
+            naclUtil.decodeBase64(match[1]),
+            naclUtil.decodeBase64(signingPublicKey)
+        );
+        return valid ? null : `signature at ${url} does not match request_id ${requestId}`;
+    } catch (err) {
+        return `unreadable signature at ${url}: ${err.message}`;
+    }
+}
+
+/**
+ * Send the encrypted challenge to {subscriber_url}/on_subscribe and
+ * compare the answer
+ * @param {string} baseUrl - Resolved subscriber URL
+ * @param {string} subscriberId
+ * @param {string} encPublicKey - Subscriber's enc_public_key
+ * @returns {Promise<string|null>} Problem, or null if answered correctly
+ */
+async function runChallenge(baseUrl, subscriberId, encPublicKey) {
+    const challenge = crypto.randomBytes(24).toString('hex');
+    const url = `${baseUrl}/on_subscribe`;
+
+    let answer;
+    try {
+        const response = await axios.post(url, {
+            subscriber_id: subscriberId,
+            challenge: encryptChallenge(challenge, encPublicKey),
+        }, { timeout: CALL_TIMEOUT_MS });
+        answer = response.data?.answer;
+    } catch (err) {
+        return `${url} failed: ${err.response?.data?.error || err.message}`;
+    }
+
+    return answer === challenge ? null : `${url} answered ${JSON.stringify(answer)}, expected the decrypted challenge`;
+}
+
+/**
+ * Build a /subscribe response
+ * @param {object} [error] - One of ERRORS, with detail
+ * @returns {object}
+ */
+function buildSubscribeResponse(error) {
+    return {
+        message: { ack: { status: error ? 'NACK' : 'ACK' } },
+        error: error ? { type: 'POLICY-ERROR', ...error } : null,
+    };
+}
+
+/**
+ * Run the subscribe flow for one request
+ * @param {object} body - ONDC /subscribe body { context: { operation }, message: { request_id, entity, network_participant } }
+ * @returns {Promise<{ response: object, entries: object[], statusCode?: number }>} Response to send
+ *   (statusCode 400 for an invalid request) and the registered entries
+ */
+async function handleSubscribe(body) {
+    const problems = validateSubscribeRequest(body);
+    if (problems.length > 0) {
+        console.warn('[MOCK-REGISTRY] /subscribe rejected:', problems);
+        return {
+            response: buildSubscribeResponse({ ...ERRORS.invalid, message: `${ERRORS.invalid.message}: ${problems.join('; ')}` }),
+            entries: [],
+            statusCode: 400,
+        };
+    }
+
+    const { request_id: requestId, entity, network_participant: participants } = body.message;
+    const baseUrl = resolveSubscriberUrl(entity.subscriber_id, participants[0].subscriber_url);
+    console.log(`[MOCK-REGISTRY] /subscribe ${entity.subscriber_id}|${entity.unique_key_id} (request ${requestId})`);
+
+    const siteProblem = await verifySite(baseUrl, requestId, entity.signing_public_key);
+    if (siteProblem) {
+        console.warn(`[MOCK-REGISTRY] Site verification failed: ${siteProblem}`);
+        return { response: buildSubscribeResponse({ ...ERRORS.site, message: `${ERRORS.site.message}: ${siteProblem}` }), entries: [] };
+    }
+    console.log('[MOCK-REGISTRY] Site verification ✓');
+
+    const challengeProblem = await runChallenge(baseUrl, entity.subscriber_id, entity.enc_public_key);
+    if (challengeProblem) {
+        console.warn(`[MOCK-REGISTRY] Challenge failed: ${challengeProblem}`);
+        return { response: buildSubscribeResponse({ ...ERRORS.challenge, message: `${ERRORS.challenge.message}: ${challengeProblem}` }), entries: [] };
+    }
+    console.log('[MOCK-REGISTRY] on_subscribe challenge ✓');
+
+    const entries = participants.map((participant) => registerSubscriber({
+        subscriber_id: entity.subscriber_id,
+        ukId: entity.unique_key_id,
+        subscriber_url: resolveSubscriberUrl(entity.subscriber_id, participant.subscriber_url),
+        type: PARTICIPANT_TYPES[participant.type],
+        domain: participant.domain || entity.domain || 'ONDC:LOG10',
+        country: entity.country || 'IND',
+        city: participant.city_code?.[0] || entity.city || 'std:011',
+        signing_public_key: entity.signing_public_key,
+        encr_public_key: entity.enc_public_key,
+        ...(entity.valid_from && { valid_from: entity.valid_from }),
+        ...(entity.valid_until && { valid_until: entity.valid_until }),
+    }));
+
+    return { response: buildSubscribeResponse(), entries };
+}
+
+module.exports = {
+    getRegistryPublicKey,
+    handleSubscribe,
+};
@@ -22,15 +22,13 @@ const initRoutes = require('./routes/init');
 const confirmRoutes = require('./routes/confirm');
 const statusRoutes = require('./routes/status');
 const cancelRoutes = require('./routes/cancel');
+const eventRoutes = require('./routes/events');
 
 // Beckn Callback Routes
-const onSearchRoutes = require('./routes/on_search');
-const onSelectRoutes = require('./routes/on_select');
-const onInitRoutes = require('./routes/on_init');
-const onConfirmRoutes = require('./routes/on_confirm');
-const onStatusRoutes = require('./routes/on_status');
-const onCancelRoutes = require('./routes/on_cancel');
+const becknRoutes = require('./routes/beckn');
 const store = require('./store');
+const registry = require('./services/registry');
+const becknClient = require('./services/beckn-client');
 
 const app = express();
 
@@ -67,6 +65,9 @@ app.get('/health', (req, res) => {
         domain: process.env.DOMAIN || 'ONDC:LOG10',
         version: process.env.CORE_VERSION || '1.2.0',
         uptime: process.uptime(),
+        store: store.getStats(),
+        registry: registry.getStats(),
+        circuits: becknClient.getStats(),
     });
 });
 
@@ -77,6 +78,7 @@ app.use('/api', initRoutes);
 app.use('/api', confirmRoutes);
 app.use('/api', statusRoutes);
 app.use('/api', cancelRoutes);
+app.use('/api', eventRoutes);
 
 // Serve static files (for ONDC site verification)
 app.use(express.static('public'));
@@ -85,12 +87,7 @@ app.use(express.static('public'));
 app.use(require('./routes/on_subscribe'));
 
 // Beckn protocol callback routes (for ONDC network / mock network)
-app.use('/beckn', onSearchRoutes);
-app.use('/beckn', onSelectRoutes);
-app.use('/beckn', onInitRoutes);
-app.use('/beckn', onConfirmRoutes);
-app.use('/beckn', onStatusRoutes);
-app.use('/beckn', onCancelRoutes);
+app.use('/beckn', becknRoutes);
 
 // Error handler
 app.use((err, req, res, _next) => {
@@ -106,6 +103,8 @@ app.use((err, req, res, _next) => {
 });
 
 // Start server
+store.startSweeper();
+
 app.listen(PORT, '0.0.0.0', () => {
     const mode = process.env.DEV_MODE === 'true' ? 'DEV (mock network)' : 'PRODUCTION (ONDC network)';
     console.log('');
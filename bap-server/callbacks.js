@@ -0,0 +1,108 @@
+/**
+ * Beckn Callback Handlers
+ *
+ * One handler per on_* action the BAP accepts. routes/beckn.js mounts
+ * POST /beckn/{action} for every entry and runs it after the shared
+ * callback pipeline (auth, context, duplicate and schema checks); the
+ * route then ACKs and publishes an event named after the action.
+ *
+ * A handler receives the callback body and stores it on its
+ * transaction, returning the updated transaction, or null if the
+ * transaction is unknown (the callback is NACKed with 404). Supporting a
+ * new action means adding its handler here.
+ */
+
+const store = require('./store');
+
+/**
+ * The callback data to store: context, message and, if the BPP sent
+ * one, the error block
+ * @param {object} body - { context, message, error }
+ * @returns {object}
+ */
+function callbackData({ context, message, error }) {
+    return error ? { context, message, error } : { context, message };
+}
+
+const CALLBACK_HANDLERS = {
+    /**
+     * Catalogs from each BPP for /search. Callbacks after the search ttl
+     * are ACKed but flagged late and kept out of the results.
+     */
+    on_search(body) {
+        const { context, message, error } = body;
+        const catalogData = { context, message, error };
+        const txn = store.addCatalogData(context.transaction_id, catalogData);
+        if (!txn) return null;
+
+        const providerCount = message?.catalog?.['bpp/providers']?.length || 0;
+        if (catalogData.late) {
+            console.warn(`[BECKN-CB] Late on_search from ${context.bpp_id} after ${txn.searchWindow.expiresAt} - not shown in results`);
+        } else if (catalogData.merged) {
+            console.log(`[BECKN-CB] Merged ${providerCount} providers into the catalog from ${context.bpp_id} - txn: ${context.transaction_id}`);
+        } else {
+            console.log(`[BECKN-CB] Stored ${providerCount} providers for txn: ${context.transaction_id}`);
+        }
+        if (error) {
+            console.log(`[BECKN-CB] ${context.bpp_id} cannot serve: ${error.code} ${error.message}`);
+        }
+        return txn;
+    },
+
+    /**
+     * Quote/breakup for /select. BPPs report unserviceable selections as
+     * an on_select with an error block.
+     */
+    on_select(body) {
+        return store.addSelectData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Payment terms and final quote for /init */
+    on_init(body) {
+        return store.addInitData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Order confirmation for /confirm */
+    on_confirm(body) {
+        return store.addConfirmData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Order status, solicited by /status or pushed by the BPP */
+    on_status(body) {
+        return store.addStatusData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Cancellation, or its refusal (e.g. after pickup) as an error block */
+    on_cancel(body) {
+        return store.addCancelData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Order changes: fulfillment instructions, authorization, state */
+    on_update(body) {
+        return store.addUpdateData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Tracking url and agent location */
+    on_track(body) {
+        return store.addTrackData(body.context.transaction_id, callbackData(body));
+    },
+
+    /** Support contacts for an order */
+    on_support(body) {
+        return store.addSupportData(body.context.transaction_id, callbackData(body));
+    },
+
+    /**
+     * Errors from a BPP or the gateway in place of the expected callback.
+     * A pending request is rolled back.
+     */
+    on_error(body) {
+        const { context, error } = body;
+        console.error('[BECKN-CB] Error:', error);
+        return store.addErrorData(context.transaction_id, { context, error });
+    },
+};
+
+module.exports = {
+    CALLBACK_HANDLERS,
+};
@@ -95,21 +95,41 @@ function verify(message, signatureBase64, publicKeyBase64) {
     }
 }
 
+// DER headers ONDC wraps X25519 keys in (the registry publishes its key as SPKI)
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+/**
+ * Decode a base64 X25519 key, raw (32 bytes) or DER-wrapped
+ * @param {string} keyBase64
+ * @param {Buffer} derPrefix - X25519_SPKI_PREFIX or X25519_PKCS8_PREFIX
+ * @returns {Uint8Array}
+ */
+function decodeX25519Key(keyBase64, derPrefix) {
+    const bytes = Buffer.from(keyBase64, 'base64');
+    const isDer = bytes.length === derPrefix.length + 32 && bytes.subarray(0, derPrefix.length).equals(derPrefix);
+    const raw = isDer ? bytes.subarray(derPrefix.length) : bytes;
+    if (raw.length !== 32) {
+        throw new Error(`X25519 key must be 32 bytes, got ${raw.length}`);
+    }
+    return new Uint8Array(raw);
+}
+
 /**
  * Decrypt ONDC challenge string
  * @param {string} encryptedChallenge - Base64 encoded encrypted string
- * @param {string} ondcPublicKey - Base64 encoded ONDC Registry public key
- * @param {string} myPrivateKey - Base64 encoded My Encryption Private Key
- * @returns {string} Decrypted challenge string
+ * @param {string} ondcPublicKey - Base64 encoded ONDC Registry public key (raw or DER)
+ * @param {string} myPrivateKey - Base64 encoded My Encryption Private Key (raw or DER)
+ * @returns {string|null} Decrypted challenge string, or null on failure
  */
 function decryptChallenge(encryptedChallenge, ondcPublicKey, myPrivateKey) {
     try {
-        const remotePublicKeyBytes = naclUtil.decodeBase64(ondcPublicKey);
-        const myPrivateKeyBytes = naclUtil.decodeBase64(myPrivateKey);
+        const remotePublicKeyBytes = decodeX25519Key(ondcPublicKey, X25519_SPKI_PREFIX);
+        const myPrivateKeyBytes = decodeX25519Key(myPrivateKey, X25519_PKCS8_PREFIX);
 
-        // Compute shared secret using Curve25519 (X25519)
-        // nacl.box.before returns the shared secret (precomputed key)
-        const sharedSecret = nacl.box.before(remotePublicKeyBytes, myPrivateKeyBytes);
+        // Plain X25519 shared secret, as the registry computes it
+        // (nacl.box.before would hash it into a different key)
+        const sharedSecret = nacl.scalarMult(myPrivateKeyBytes, remotePublicKeyBytes);
 
         // Decrypt using AES-256-ECB (standard for ONDC challenge)
         // Note: sharedSecret is 32 bytes (256 bits), perfect for AES-256
@@ -119,7 +139,6 @@ function decryptChallenge(encryptedChallenge, ondcPublicKey, myPrivateKey) {
         return decrypted;
     } catch (error) {
         console.error('[CRYPTO] Decryption failed:', error.message);
-        // Fallback: Try TweetNaCl box open if it was box encrypted (unlikely for Registry challenge but good to have)
         return null;
     }
 }
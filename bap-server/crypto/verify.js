@@ -1,12 +1,14 @@
 /**
  * ONDC Logistics BAP - Cryptography Module (Verification)
  * 
- * Implements ed25519 verification using tweetnacl.
+ * Implements ed25519 verification using tweetnacl. Senders' public
+ * keys are resolved through the registry (services/registry.js).
  */
 
 const nacl = require('tweetnacl');
 const naclUtil = require('tweetnacl-util');
 const { createDigest, createSigningString } = require('./sign');
+const registry = require('../services/registry');
 
 /**
  * Verify an ed25519 signature
@@ -49,15 +51,39 @@ function parseAuthorizationHeader(header) {
 }
 
 /**
- * Verify an incoming request's Authorization header
- * @param {object} req - Express request object
- * @returns {{ valid: boolean, error?: string }}
+ * Whether incoming signatures are checked.
+ * VERIFY_SIGNATURES=true|false wins; otherwise verification is off in DEV_MODE.
+ * @returns {boolean}
  */
-function verifyAuthorizationHeader(req) {
-    const isDevMode = process.env.DEV_MODE === 'true';
+function isVerificationEnabled() {
+    const setting = process.env.VERIFY_SIGNATURES;
+    if (setting === 'true' || setting === 'false') {
+        return setting === 'true';
+    }
+    return process.env.DEV_MODE !== 'true';
+}
 
-    // In DEV_MODE, skip verification
-    if (isDevMode) {
+/**
+ * The subscriber a Beckn message claims to come from: the BPP for an
+ * on_* callback, the BAP for a request
+ * @param {object} [context] - Beckn context
+ * @returns {{ field: string, subscriberId?: string }}
+ */
+function getClaimedSender(context) {
+    const field = String(context?.action || '').startsWith('on_') ? 'bpp_id' : 'bap_id';
+    return { field, subscriberId: context?.[field] };
+}
+
+/**
+ * Verify an incoming request's Authorization header against the
+ * sender's signing key from the registry. The keyId's subscriber must
+ * be the sender named in the context, so one participant cannot sign
+ * callbacks in another's name.
+ * @param {object} req - Express request object
+ * @returns {Promise<{ valid: boolean, error?: string, subscriberId?: string }>}
+ */
+async function verifyAuthorizationHeader(req) {
+    if (!isVerificationEnabled()) {
         return { valid: true };
     }
 
@@ -73,19 +99,25 @@ function verifyAuthorizationHeader(req) {
             return { valid: false, error: 'Malformed Authorization header' };
         }
 
+        const key = registry.parseKeyId(params.keyId);
+        if (!key || key.algorithm !== 'ed25519') {
+            return { valid: false, error: `Unsupported keyId "${params.keyId}"` };
+        }
+
+        const sender = getClaimedSender(req.body?.context);
+        if (key.subscriberId !== sender.subscriberId) {
+            return {
+                valid: false,
+                error: `keyId subscriber ${key.subscriberId} is not context.${sender.field} ${sender.subscriberId || '(missing)'}`,
+            };
+        }
+
         // Check expiry
         const now = Math.floor(Date.now() / 1000);
         if (now > parseInt(params.expires, 10)) {
             return { valid: false, error: 'Authorization header expired' };
         }
 
-        // In production, you'd look up the sender's public key from the registry
-        // For now, use the configured PUBLIC_KEY
-        const publicKey = process.env.PUBLIC_KEY;
-        if (!publicKey) {
-            return { valid: false, error: 'No public key configured for verification' };
-        }
-
         const bodyString = JSON.stringify(req.body);
         const digest = createDigest(bodyString);
         const signingString = createSigningString(
@@ -94,8 +126,24 @@ function verifyAuthorizationHeader(req) {
             digest
         );
 
-        const isValid = verify(signingString, params.signature, publicKey);
-        return { valid: isValid, error: isValid ? undefined : 'Invalid signature' };
+        let signingKey = await registry.getSigningKey(key.subscriberId, key.uniqueKeyId);
+        if (!signingKey) {
+            return { valid: false, error: `Subscriber ${key.subscriberId}|${key.uniqueKeyId} not found in registry` };
+        }
+
+        let isValid = verify(signingString, params.signature, signingKey.publicKey);
+
+        // The sender may have rotated keys since we cached theirs
+        if (!isValid && signingKey.cached) {
+            signingKey = await registry.getSigningKey(key.subscriberId, key.uniqueKeyId, { refresh: true });
+            isValid = Boolean(signingKey) && verify(signingString, params.signature, signingKey.publicKey);
+        }
+
+        return {
+            valid: isValid,
+            error: isValid ? undefined : 'Invalid signature',
+            subscriberId: key.subscriberId,
+        };
     } catch (err) {
         return { valid: false, error: `Verification failed: ${err.message}` };
     }
@@ -104,5 +152,7 @@ function verifyAuthorizationHeader(req) {
 module.exports = {
     verify,
     parseAuthorizationHeader,
+    isVerificationEnabled,
+    getClaimedSender,
     verifyAuthorizationHeader,
 };
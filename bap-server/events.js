@@ -0,0 +1,53 @@
+/**
+ * Transaction Events
+ *
+ * In-process pub/sub for transaction updates. The callback router
+ * (routes/beckn.js) publishes an event whenever a Beckn callback is
+ * stored; the SSE route in routes/events.js forwards them to
+ * subscribed clients.
+ *
+ * Event shape:
+ *   { type, transactionId, status, updatedAt, ...extra }
+ *   callback events add messageId and unsolicited (no request with that message_id was sent)
+ *   type: 'on_search' | 'on_select' | 'on_init' | 'on_confirm' | 'on_status' | 'on_cancel'
+ *         | 'on_update' | 'on_track' | 'on_support' | 'on_error' (one per handler in callbacks.js)
+ *         | 'search_complete' (the search ttl has passed; no more results expected)
+ *         | 'timeout' (no callback for a request within its ttl; adds action, messageId -
+ *           published by services/beckn-service.js)
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event for a transaction
+ * @param {string} transactionId
+ * @param {string} type - Event type (e.g. 'on_search')
+ * @param {object} [data] - Extra fields merged into the event
+ */
+function publish(transactionId, type, data = {}) {
+    emitter.emit(transactionId, {
+        type,
+        transactionId,
+        ...data,
+    });
+}
+
+/**
+ * Subscribe to events for one transaction
+ * @param {string} transactionId
+ * @param {function} listener - Called with each event
+ * @returns {function} Unsubscribe
+ */
+function subscribe(transactionId, listener) {
+    emitter.on(transactionId, listener);
+    return () => emitter.off(transactionId, listener);
+}
+
+module.exports = {
+    publish,
+    subscribe,
+};
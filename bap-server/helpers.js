@@ -112,9 +112,10 @@ function buildAckResponse(context) {
  * @param {object} context - Beckn context from the incoming request
  * @param {string} errorCode - Error code
  * @param {string} errorMessage - Error message
+ * @param {string} [errorType='DOMAIN-ERROR'] - Beckn error type (e.g. JSON-SCHEMA-ERROR)
  * @returns {object} NACK response
  */
-function buildNackResponse(context, errorCode, errorMessage) {
+function buildNackResponse(context, errorCode, errorMessage, errorType = 'DOMAIN-ERROR') {
     return {
         context: {
             ...context,
@@ -126,7 +127,7 @@ function buildNackResponse(context, errorCode, errorMessage) {
             },
         },
         error: {
-            type: 'DOMAIN-ERROR',
+            type: errorType,
             code: errorCode,
             message: errorMessage,
         },
@@ -169,6 +170,52 @@ function parseDurationToMinutes(duration) {
     return hours * 60 + minutes + Math.ceil(seconds / 60);
 }
 
+/**
+ * Parse duration string (ISO 8601 duration) to seconds
+ * @param {string} duration - ISO 8601 duration (e.g., PT30S, PT15M)
+ * @returns {number} Duration in seconds (0 if unparseable)
+ */
+function parseDurationToSeconds(duration) {
+    const match = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+    const days = parseInt(match[1] || '0', 10);
+    const hours = parseInt(match[2] || '0', 10);
+    const minutes = parseInt(match[3] || '0', 10);
+    const seconds = parseInt(match[4] || '0', 10);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+// Longest an /api request may wait for its callback (?wait=)
+const MAX_WAIT_SECONDS = 60;
+
+/**
+ * Validate the ?wait= query parameter of the /api routes
+ * @param {string} [value] - e.g. '10s', '1500ms', '10' (seconds) or 'PT10S'
+ * @returns {{ valid: boolean, errors: string[], value: number|null }} value in ms, null if not given
+ */
+function parseWait(value) {
+    if (value === undefined || value === '') {
+        return { valid: true, errors: [], value: null };
+    }
+
+    const match = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(String(value));
+    let ms = null;
+    if (match) {
+        ms = match[2] === 'ms' ? Number(match[1]) : Number(match[1]) * 1000;
+    } else if (parseDurationToSeconds(String(value)) > 0) {
+        ms = parseDurationToSeconds(String(value)) * 1000;
+    }
+
+    if (!ms || ms > MAX_WAIT_SECONDS * 1000) {
+        return {
+            valid: false,
+            errors: [`wait must be a duration like 10s, 1500ms or PT10S, up to ${MAX_WAIT_SECONDS}s`],
+            value: null,
+        };
+    }
+    return { valid: true, errors: [], value: ms };
+}
+
 /**
  * Validate a Beckn context object
  * @param {object} context - Context to validate
@@ -206,6 +253,104 @@ function validateContext(context) {
     return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Package categories accepted in @ondc/org/payload_details
+ */
+const PACKAGE_CATEGORIES = [
+    'Grocery',
+    'F&B',
+    'Fashion',
+    'Electronics',
+    'Health & Wellness',
+    'Home & Decor',
+    'Beauty & Personal Care',
+    'Pharma',
+    'Documents',
+    'Other',
+];
+
+/**
+ * Defaults for any package field the client leaves out
+ */
+const DEFAULT_PACKAGE = {
+    weight: 5,
+    dimensions: { length: 30, breadth: 20, height: 15 },
+    category: 'Grocery',
+    value: 0,
+    dangerous_goods: false,
+};
+
+const MAX_PACKAGE_WEIGHT_KG = 1000;
+const MAX_PACKAGE_DIMENSION_CM = 500;
+
+/**
+ * Whether a value is a JSON object (not null or an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate package details sent by the mobile app and fill in defaults
+ * @param {object} [pkg] - { weight (kg), dimensions: { length, breadth, height } (cm), category, value (INR), dangerous_goods }
+ *   null or undefined means no package details
+ * @returns {{ valid: boolean, errors: string[], value: object|null }}
+ */
+function validatePackageDetails(pkg) {
+    if (pkg === undefined || pkg === null) pkg = {};
+    if (!isPlainObject(pkg)) {
+        return { valid: false, errors: ['package must be an object'], value: null };
+    }
+    if (pkg.dimensions != null && !isPlainObject(pkg.dimensions)) {
+        return { valid: false, errors: ['package.dimensions must be an object'], value: null };
+    }
+
+    const errors = [];
+    const dimensions = { ...DEFAULT_PACKAGE.dimensions, ...(pkg.dimensions || {}) };
+    const value = {
+        weight: pkg.weight ?? DEFAULT_PACKAGE.weight,
+        dimensions,
+        category: pkg.category ?? DEFAULT_PACKAGE.category,
+        value: pkg.value ?? DEFAULT_PACKAGE.value,
+        dangerous_goods: pkg.dangerous_goods ?? DEFAULT_PACKAGE.dangerous_goods,
+    };
+
+    const weight = Number(value.weight);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_PACKAGE_WEIGHT_KG) {
+        errors.push(`package.weight must be a number between 0 and ${MAX_PACKAGE_WEIGHT_KG} kg`);
+    } else {
+        value.weight = weight;
+    }
+
+    for (const side of ['length', 'breadth', 'height']) {
+        const size = Number(dimensions[side]);
+        if (!Number.isFinite(size) || size <= 0 || size > MAX_PACKAGE_DIMENSION_CM) {
+            errors.push(`package.dimensions.${side} must be a number between 0 and ${MAX_PACKAGE_DIMENSION_CM} cm`);
+        } else {
+            dimensions[side] = size;
+        }
+    }
+
+    if (!PACKAGE_CATEGORIES.includes(value.category)) {
+        errors.push(`package.category must be one of: ${PACKAGE_CATEGORIES.join(', ')}`);
+    }
+
+    const declaredValue = Number(value.value);
+    if (!Number.isFinite(declaredValue) || declaredValue < 0) {
+        errors.push('package.value must be a non-negative number (INR)');
+    } else {
+        value.value = declaredValue;
+    }
+
+    if (typeof value.dangerous_goods !== 'boolean') {
+        errors.push('package.dangerous_goods must be true or false');
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
 module.exports = {
     generateUUID,
     generateMessageId,
@@ -216,5 +361,9 @@ module.exports = {
     buildNackResponse,
     buildErrorPayload,
     parseDurationToMinutes,
+    parseDurationToSeconds,
+    parseWait,
     validateContext,
+    validatePackageDetails,
+    PACKAGE_CATEGORIES,
 };
@@ -0,0 +1,213 @@
+/**
+ * Message Log
+ *
+ * Every Beckn message of a transaction, keyed on context.message_id:
+ * the requests the BAP sent and the on_* callbacks it accepted.
+ *
+ *   txn.messages = [
+ *     { direction: 'outgoing', action, messageId, bppId, at, ttl, expiresAt,
+ *       state, answeredBy?, answeredAt?, timedOutAt?, failure? },
+ *     { direction: 'incoming', action, messageId, bppId, digest, at,
+ *       requestAction, unsolicited, late, ack },
+ *   ]
+ *
+ * A callback answers the request with the same message_id - on_<action>,
+ * or on_error for any request. One with a message_id the BAP never sent
+ * (e.g. a BPP pushing on_status as an order moves on) is flagged
+ * unsolicited; it is still stored.
+ *
+ * A request is 'pending' until its first answer ('answered'). One that
+ * got no answer within its ttl is 'timed_out' (a later answer is flagged
+ * late), and one that could not be sent is 'failed'. A /search is not
+ * timed out: it collects on_search for its whole window (store.js).
+ *
+ * A callback repeating a logged one - same action, sender, message_id
+ * and body - is a duplicate delivery: it gets the original ACK and is
+ * not stored again. Several parts of one on_search (same message_id,
+ * different bodies) are each stored.
+ */
+
+const crypto = require('crypto');
+const { parseDurationToSeconds } = require('./helpers');
+
+const REQUEST_STATES = {
+    PENDING: 'pending',
+    ANSWERED: 'answered',
+    TIMED_OUT: 'timed_out',
+    FAILED: 'failed',
+};
+
+/**
+ * Digest of a callback body, to tell a redelivery from a new part
+ * @param {object} body
+ * @returns {string}
+ */
+function digestBody(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('base64');
+}
+
+/**
+ * Log a request the BAP sent
+ * @param {object} txn
+ * @param {{ action: string, messageId: string, bppId?: string, ttl?: string }} request
+ * @returns {object} Log entry
+ */
+function recordRequest(txn, { action, messageId, bppId, ttl }) {
+    if (!txn.messages) txn.messages = [];
+    const now = Date.now();
+    const ttlSeconds = parseDurationToSeconds(ttl);
+    const entry = {
+        direction: 'outgoing',
+        action,
+        messageId,
+        bppId: bppId || null,
+        at: new Date(now).toISOString(),
+        ttl: ttl || null,
+        expiresAt: ttlSeconds ? new Date(now + ttlSeconds * 1000).toISOString() : null,
+        state: REQUEST_STATES.PENDING,
+    };
+    txn.messages.push(entry);
+    return entry;
+}
+
+/**
+ * A logged request by message_id
+ * @param {object} txn
+ * @param {string} messageId
+ * @returns {object|null} Outgoing log entry
+ */
+function getRequest(txn, messageId) {
+    return (txn.messages || []).find((entry) =>
+        entry.direction === 'outgoing' && entry.messageId === messageId
+    ) || null;
+}
+
+/**
+ * The last request of an action the BAP sent for the transaction
+ * @param {object} txn
+ * @param {string} action - e.g. 'select'
+ * @returns {object|null} Outgoing log entry
+ */
+function getLatestRequest(txn, action) {
+    const outgoing = (txn.messages || []).filter((entry) =>
+        entry.direction === 'outgoing' && entry.action === action
+    );
+    return outgoing[outgoing.length - 1] || null;
+}
+
+/**
+ * Whether a request is the last one of its action the BAP sent for the
+ * transaction (e.g. not superseded by a re-select)
+ * @param {object} txn
+ * @param {object} request - Outgoing log entry
+ * @returns {boolean}
+ */
+function isLatestRequest(txn, request) {
+    return getLatestRequest(txn, request.action) === request;
+}
+
+/**
+ * Mark a pending request timed out
+ * @param {object} txn
+ * @param {string} messageId
+ * @returns {object|null} The request, or null if it was not pending
+ */
+function expireRequest(txn, messageId) {
+    const request = getRequest(txn, messageId);
+    if (!request || request.state !== REQUEST_STATES.PENDING) return null;
+
+    request.state = REQUEST_STATES.TIMED_OUT;
+    request.timedOutAt = new Date().toISOString();
+    return request;
+}
+
+/**
+ * Mark a request that could not be sent
+ * @param {object} txn
+ * @param {string} messageId
+ * @param {string} reason
+ * @returns {object|null} The request, or null if not logged
+ */
+function failRequest(txn, messageId, reason) {
+    const request = getRequest(txn, messageId);
+    if (!request) return null;
+
+    request.state = REQUEST_STATES.FAILED;
+    request.failure = reason;
+    return request;
+}
+
+/**
+ * The request a callback answers
+ * @param {object} txn
+ * @param {string} action - Callback action, e.g. 'on_select'
+ * @param {string} messageId - Callback context.message_id
+ * @returns {object|null} Outgoing log entry, or null if unsolicited
+ */
+function findRequest(txn, action, messageId) {
+    return (txn.messages || []).find((entry) =>
+        entry.direction === 'outgoing' &&
+        entry.messageId === messageId &&
+        (action === 'on_error' || action === `on_${entry.action}`)
+    ) || null;
+}
+
+/**
+ * A logged delivery of the same callback, if any
+ * @param {object} txn
+ * @param {{ action: string, messageId: string, bppId?: string, digest: string }} callback
+ * @returns {object|null} Incoming log entry
+ */
+function findDelivery(txn, { action, messageId, bppId, digest }) {
+    return (txn.messages || []).find((entry) =>
+        entry.direction === 'incoming' &&
+        entry.action === action &&
+        entry.messageId === messageId &&
+        entry.bppId === (bppId || null) &&
+        entry.digest === digest
+    ) || null;
+}
+
+/**
+ * Log an accepted callback, correlated with the request it answers
+ * @param {object} txn
+ * @param {{ action: string, messageId: string, bppId?: string, digest: string, ack: object }} callback
+ * @returns {object} Log entry ({ requestAction, unsolicited } tell the correlation)
+ */
+function recordCallback(txn, { action, messageId, bppId, digest, ack }) {
+    if (!txn.messages) txn.messages = [];
+    const request = findRequest(txn, action, messageId);
+    if (request?.state === REQUEST_STATES.PENDING) {
+        request.state = REQUEST_STATES.ANSWERED;
+        request.answeredBy = action;
+        request.answeredAt = new Date().toISOString();
+    }
+    const entry = {
+        direction: 'incoming',
+        action,
+        messageId,
+        bppId: bppId || null,
+        digest,
+        at: new Date().toISOString(),
+        requestAction: request ? request.action : null,
+        unsolicited: !request,
+        late: request?.state === REQUEST_STATES.TIMED_OUT,
+        ack,
+    };
+    txn.messages.push(entry);
+    return entry;
+}
+
+module.exports = {
+    REQUEST_STATES,
+    digestBody,
+    recordRequest,
+    getRequest,
+    getLatestRequest,
+    isLatestRequest,
+    expireRequest,
+    failRequest,
+    findRequest,
+    findDelivery,
+    recordCallback,
+};
@@ -0,0 +1,168 @@
+/**
+ * Order State Machine
+ *
+ * Declares the lifecycle a BAP transaction moves through and which
+ * status changes are legal:
+ *
+ *   searching → results_ready → selecting → selected → initializing →
+ *   initialized → confirming → confirmed → in-progress → completed
+ *                                        ↘ cancelled
+ *
+ * The "-ing" states are set by the /api routes when a request is sent;
+ * the callback routes move them on when the matching on_* arrives. A
+ * pending state can be rolled back to the state it came from if the
+ * request fails or the network answers with on_error.
+ *
+ * Every change — accepted or rejected — is appended to txn.history.
+ */
+
+const ORDER_STATUS = {
+    SEARCHING: 'searching',
+    RESULTS_READY: 'results_ready',
+    SELECTING: 'selecting',
+    SELECTED: 'selected',
+    INITIALIZING: 'initializing',
+    INITIALIZED: 'initialized',
+    CONFIRMING: 'confirming',
+    CONFIRMED: 'confirmed',
+    IN_PROGRESS: 'in-progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+};
+
+const S = ORDER_STATUS;
+
+/**
+ * Legal transitions: from → allowed targets
+ * Selected/initialized orders may be re-selected or re-initialized
+ * (e.g. the user picks another quote) until they are confirmed.
+ */
+const TRANSITIONS = {
+    [S.SEARCHING]: [S.RESULTS_READY],
+    [S.RESULTS_READY]: [S.SELECTING],
+    [S.SELECTING]: [S.SELECTED],
+    [S.SELECTED]: [S.SELECTING, S.INITIALIZING],
+    [S.INITIALIZING]: [S.INITIALIZED],
+    [S.INITIALIZED]: [S.SELECTING, S.INITIALIZING, S.CONFIRMING],
+    [S.CONFIRMING]: [S.CONFIRMED],
+    [S.CONFIRMED]: [S.IN_PROGRESS, S.COMPLETED, S.CANCELLED],
+    [S.IN_PROGRESS]: [S.COMPLETED, S.CANCELLED],
+    [S.COMPLETED]: [],
+    [S.CANCELLED]: [],
+};
+
+const PENDING_STATUSES = [S.SELECTING, S.INITIALIZING, S.CONFIRMING];
+
+// Beckn request → the pending status it puts the order in
+const PENDING_STATUS_BY_ACTION = {
+    select: S.SELECTING,
+    init: S.INITIALIZING,
+    confirm: S.CONFIRMING,
+};
+
+/**
+ * Beckn order.state (from on_confirm/on_status/on_cancel) → our status
+ * 'Created' and 'Accepted' leave a confirmed order as it is.
+ */
+const BECKN_ORDER_STATE_MAP = {
+    'In-progress': S.IN_PROGRESS,
+    Completed: S.COMPLETED,
+    Cancelled: S.CANCELLED,
+};
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Append an entry to the transaction's history
+ * @param {object} txn
+ * @param {object} entry
+ */
+function record(txn, entry) {
+    if (!txn.history) txn.history = [];
+    txn.history.push({ ...entry, at: new Date().toISOString() });
+}
+
+/**
+ * Move a transaction to a new status if the transition is legal.
+ * Illegal transitions leave the status unchanged and are recorded
+ * with rejected: true. Transitions to the current status are no-ops.
+ *
+ * @param {object} txn - Transaction (mutated in place)
+ * @param {string} to - Target status
+ * @param {string} source - What triggered it (e.g. 'on_select', 'api/select')
+ * @returns {{ accepted: boolean, from: string, to: string, error?: string }}
+ */
+function transition(txn, to, source) {
+    const from = txn.status;
+
+    if (from === to) {
+        return { accepted: true, from, to };
+    }
+
+    if (!canTransition(from, to)) {
+        const error = `Illegal transition ${from} → ${to}`;
+        record(txn, { from, to, source, rejected: true, reason: error });
+        console.warn(`[STATE] txn ${txn.transactionId}: ${error} (${source})`);
+        return { accepted: false, from, to, error };
+    }
+
+    txn.status = to;
+    record(txn, { from, to, source });
+    return { accepted: true, from, to };
+}
+
+/**
+ * Return a pending transaction to the status it left, e.g. when the
+ * outgoing request fails or an on_error arrives.
+ *
+ * @param {object} txn - Transaction (mutated in place)
+ * @param {string} source
+ * @returns {{ accepted: boolean, from: string, to?: string }}
+ */
+function rollback(txn, source) {
+    const from = txn.status;
+    if (!PENDING_STATUSES.includes(from)) {
+        return { accepted: false, from };
+    }
+
+    const entered = [...(txn.history || [])]
+        .reverse()
+        .find((entry) => entry.to === from && !entry.rejected);
+    const to = entered?.from;
+    if (!to) {
+        return { accepted: false, from };
+    }
+
+    txn.status = to;
+    record(txn, { from, to, source, rollback: true });
+    return { accepted: true, from, to };
+}
+
+/**
+ * Map a Beckn order.state to our status
+ * @param {string} becknState - e.g. 'In-progress', 'Completed'
+ * @returns {string|null}
+ */
+function statusFromBecknOrderState(becknState) {
+    return BECKN_ORDER_STATE_MAP[becknState] || null;
+}
+
+module.exports = {
+    ORDER_STATUS,
+    TRANSITIONS,
+    PENDING_STATUSES,
+    PENDING_STATUS_BY_ACTION,
+    canTransition,
+    transition,
+    rollback,
+    record,
+    statusFromBecknOrderState,
+};
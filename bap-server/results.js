@@ -0,0 +1,292 @@
+/**
+ * Search Results
+ *
+ * Turns the stored on_search catalogs into the flat provider list served
+ * by /api/results, and applies the client's view of it:
+ *
+ *   filter  vehicleCategory, maxPrice, maxEtaMinutes, provider
+ *   sort    price (default) | eta | rating | value
+ *   badges  isCheapest, isFastest, bestValue - among the results shown
+ *
+ * The value score (0-100) weighs price, ETA and provider rating against
+ * the best offer shown, so every client ranks the same way.
+ * Facets (vehicle categories and providers with counts) are taken from
+ * the unfiltered list so filter chips don't disappear once applied.
+ */
+
+const SORT_OPTIONS = [
+    { value: 'price', label: 'Best price' },
+    { value: 'eta', label: 'Fastest' },
+    { value: 'rating', label: 'Top rated' },
+    { value: 'value', label: 'Best value' },
+];
+
+// Share of each factor in the value score
+const VALUE_WEIGHTS = {
+    price: 0.5,
+    eta: 0.3,
+    rating: 0.2,
+};
+
+// Rating assumed for providers that publish none
+const DEFAULT_RATING = 3;
+const MAX_RATING = 5;
+
+/**
+ * Read the route distance from a fulfillment's distance tag
+ * @param {object} [fulfillment]
+ * @returns {number|null} Kilometres, or null if not given
+ */
+function getDistanceKm(fulfillment) {
+    const tags = Array.isArray(fulfillment?.tags) ? fulfillment.tags : [];
+    const tag = tags.find((t) => t?.code === 'distance');
+    const list = Array.isArray(tag?.list) ? tag.list : [];
+    const value = parseFloat(list.find((entry) => entry?.code === 'value')?.value);
+    if (!Number.isFinite(value)) return null;
+    const unit = list.find((entry) => entry?.code === 'unit')?.value;
+    return unit === 'm' ? value / 1000 : value;
+}
+
+/**
+ * A catalog value shown as text: strings as they are, numbers as their
+ * digits, anything else (objects, lists, empty) as the fallback
+ * @param {*} value
+ * @param {string} fallback
+ * @returns {string}
+ */
+function toText(value, fallback) {
+    if (typeof value === 'string' && value !== '') return value;
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return fallback;
+}
+
+/**
+ * Parse ISO 8601 duration to minutes
+ */
+function parseDuration(duration) {
+    const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+    if (!match) return 60;
+    const hours = parseInt(match[1] || '0', 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Flatten on_search catalogs into one entry per provider item.
+ * Providers or items a result cannot be built from (no id, no parseable
+ * price, items that are not a list) are left out and reported in
+ * `skipped`, so malformed catalogs don't show up as free junk rows.
+ * Names and categories that are not text fall back to their defaults.
+ * @param {object[]} catalogs - txn.catalogs
+ * @returns {{ providers: object[], skipped: object[] }}
+ *   skipped: [{ bppId, providerId, itemId, message }]
+ */
+function flattenCatalogs(catalogs) {
+    const providers = [];
+    const skipped = [];
+    for (const catalog of catalogs) {
+        if (catalog.message && catalog.message.catalog) {
+            const bppId = catalog.context?.bpp_id || '';
+            const skip = (providerId, itemId, message) => skipped.push({ bppId, providerId, itemId, message });
+
+            const bppProviders = catalog.message.catalog['bpp/providers'] || [];
+            if (!Array.isArray(bppProviders)) {
+                skip(null, null, 'bpp/providers is not a list');
+                continue;
+            }
+            for (const provider of bppProviders) {
+                if (!provider?.id) {
+                    skip(null, null, 'provider has no id');
+                    continue;
+                }
+                if (!Array.isArray(provider.items)) {
+                    if (provider.items !== undefined) skip(provider.id, null, 'items is not a list');
+                    continue;
+                }
+
+                const rating = parseFloat(provider.rating);
+                const fulfillments = Array.isArray(provider.fulfillments) ? provider.fulfillments : [];
+                for (const item of provider.items) {
+                    if (!item?.id) {
+                        skip(provider.id, null, 'item has no id');
+                        continue;
+                    }
+                    const price = parseFloat(item.price?.value);
+                    if (!Number.isFinite(price) || price < 0) {
+                        skip(provider.id, item.id, 'item has no valid price');
+                        continue;
+                    }
+
+                    const eta = typeof item.time?.duration === 'string' ? item.time.duration : 'PT60M';
+                    const fulfillment = fulfillments.find(
+                        (f) => f?.id === item.fulfillment_id
+                    );
+
+                    providers.push({
+                        key: `${bppId}:${provider.id}:${item.id}`,
+                        id: provider.id,
+                        name: toText(provider.descriptor?.name, 'Unknown'),
+                        shortDesc: toText(provider.descriptor?.short_desc, ''),
+                        logoUrl: provider.descriptor?.images?.[0]?.url || '',
+                        rating: Number.isFinite(rating) ? rating : null,
+                        itemId: item.id,
+                        itemName: toText(item.descriptor?.name, 'Delivery'),
+                        price,
+                        currency: toText(item.price?.currency, 'INR'),
+                        eta,
+                        etaMinutes: parseDuration(eta),
+                        distanceKm: getDistanceKm(fulfillment),
+                        vehicleCategory: toText(fulfillment?.vehicle?.category, 'Bike'),
+                        fulfillmentId: fulfillment?.id || '',
+                        fulfillmentType: toText(fulfillment?.type, 'Delivery'),
+                        bppId,
+                        bppUri: catalog.context?.bpp_uri || '',
+                        tags: item.tags || [],
+                    });
+                }
+            }
+        }
+    }
+    return { providers, skipped };
+}
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+function toList(value) {
+    if (value === undefined) return [];
+    return [].concat(value).flatMap((entry) => String(entry).split(',')).map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Validate the /api/results query
+ * @param {object} [query] - { sort, vehicleCategory, maxPrice, maxEtaMinutes, provider }
+ * @returns {{ valid: boolean, errors: string[], value: object }}
+ */
+function parseResultsQuery(query = {}) {
+    const errors = [];
+    const value = {
+        sort: query.sort || 'price',
+        vehicleCategories: toList(query.vehicleCategory),
+        providers: toList(query.provider),
+        maxPrice: null,
+        maxEtaMinutes: null,
+    };
+
+    if (!SORT_OPTIONS.some((option) => option.value === value.sort)) {
+        errors.push(`sort must be one of: ${SORT_OPTIONS.map((option) => option.value).join(', ')}`);
+    }
+
+    for (const field of ['maxPrice', 'maxEtaMinutes']) {
+        if (query[field] === undefined || query[field] === '') continue;
+        const limit = Number(query[field]);
+        if (!Number.isFinite(limit) || limit <= 0) {
+            errors.push(`${field} must be a positive number`);
+        } else {
+            value[field] = limit;
+        }
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Add valueScore (0-100) to each result, relative to the best offer
+ * @param {object[]} providers
+ */
+function scoreResults(providers) {
+    const cheapest = Math.min(...providers.map((p) => p.price).filter((price) => price > 0));
+    const fastest = Math.min(...providers.map((p) => p.etaMinutes).filter((eta) => eta > 0));
+
+    for (const provider of providers) {
+        const priceScore = provider.price > 0 ? cheapest / provider.price : 1;
+        const etaScore = provider.etaMinutes > 0 ? fastest / provider.etaMinutes : 1;
+        const ratingScore = (provider.rating ?? DEFAULT_RATING) / MAX_RATING;
+        provider.valueScore = Math.round(100 * (
+            VALUE_WEIGHTS.price * priceScore +
+            VALUE_WEIGHTS.eta * etaScore +
+            VALUE_WEIGHTS.rating * ratingScore
+        ));
+    }
+}
+
+const COMPARATORS = {
+    price: (a, b) => a.price - b.price || a.etaMinutes - b.etaMinutes,
+    eta: (a, b) => a.etaMinutes - b.etaMinutes || a.price - b.price,
+    rating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0) || a.price - b.price,
+    value: (a, b) => b.valueScore - a.valueScore || a.price - b.price,
+};
+
+/**
+ * Mark every result that ties for the best of a metric
+ * @param {object[]} providers
+ * @param {string} badge - Property to set
+ * @param {function} metric - provider => number, lower is better
+ */
+function markBest(providers, badge, metric) {
+    const best = Math.min(...providers.map(metric));
+    for (const provider of providers) {
+        provider[badge] = metric(provider) === best;
+    }
+}
+
+/**
+ * Count results per vehicle category and per provider, in name order
+ * so chips don't move as callbacks arrive
+ * @param {object[]} providers - Unfiltered results
+ * @returns {{ vehicleCategories: object[], providers: object[] }}
+ */
+function buildFacets(providers) {
+    const count = (keyOf, describe) => {
+        const facets = new Map();
+        for (const provider of providers) {
+            const key = keyOf(provider);
+            if (!facets.has(key)) facets.set(key, { ...describe(provider), count: 0 });
+            facets.get(key).count += 1;
+        }
+        return [...facets.values()];
+    };
+
+    return {
+        vehicleCategories: count((p) => p.vehicleCategory, (p) => ({ value: p.vehicleCategory }))
+            .sort((a, b) => a.value.localeCompare(b.value)),
+        providers: count((p) => p.id, (p) => ({ id: p.id, name: p.name }))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+    };
+}
+
+/**
+ * Filter, score, sort and badge the results
+ * @param {object[]} providers - From flattenCatalogs()
+ * @param {object} options - parseResultsQuery().value
+ * @returns {{ providers: object[], totalCount: number, facets: object }}
+ */
+function rankResults(providers, options) {
+    const facets = buildFacets(providers);
+
+    const shown = providers.filter((provider) =>
+        (options.vehicleCategories.length === 0 || options.vehicleCategories.includes(provider.vehicleCategory)) &&
+        (options.providers.length === 0 || options.providers.includes(provider.id)) &&
+        (options.maxPrice === null || provider.price <= options.maxPrice) &&
+        (options.maxEtaMinutes === null || provider.etaMinutes <= options.maxEtaMinutes)
+    );
+
+    if (shown.length > 0) {
+        scoreResults(shown);
+        markBest(shown, 'isCheapest', (p) => p.price);
+        markBest(shown, 'isFastest', (p) => p.etaMinutes);
+        markBest(shown, 'bestValue', (p) => -p.valueScore);
+    }
+    shown.sort(COMPARATORS[options.sort]);
+
+    return { providers: shown, totalCount: providers.length, facets };
+}
+
+module.exports = {
+    SORT_OPTIONS,
+    flattenCatalogs,
+    parseResultsQuery,
+    rankResults,
+};
@@ -1,185 +1,167 @@
 /**
  * Beckn Protocol Routes - Callback endpoints
- * 
+ *
  * These endpoints receive asynchronous callbacks from the ONDC network
  * (or mock network in DEV_MODE). They follow the Beckn protocol callback pattern.
- * 
- * Endpoints:
- *   POST /beckn/on_search  - Receives search results
- *   POST /beckn/on_select  - Receives select results
- *   POST /beckn/on_init    - Receives init results
- *   POST /beckn/on_status  - Receives status updates
- *   POST /beckn/on_error   - Receives error callbacks
+ *
+ * Endpoints: POST /beckn/{action} for every handler in callbacks.js
+ *   on_search, on_select, on_init, on_confirm, on_status, on_cancel,
+ *   on_update, on_track, on_support, on_error
+ *
+ * Every callback runs the same pipeline:
+ *   1. verifyAuth            - Authorization header against the sender's registry key
+ *   2. validateBecknContext  - context fields, action and transaction_id
+ *   3. rejectDuplicates      - a repeated delivery gets the original ACK
+ *   4. validateCallbackSchema - LOG10 JSON schema (schemas/)
+ *   5. dispatch              - the action's handler stores it, then ACK,
+ *                              log it against the request it answers
+ *                              (message-log.js) and publish an event
+ *                              named after the action
  */
 
 const express = require('express');
 const router = express.Router();
 const store = require('../store');
-const { verifyAuthorizationHeader } = require('../crypto');
+const events = require('../events');
+const { verifyAuthorizationHeader } = require('../crypto/verify');
 const { buildAckResponse, buildNackResponse, validateContext } = require('../helpers');
+const { validateCallbackSchema } = require('../schemas');
+const { CALLBACK_HANDLERS } = require('../callbacks');
+const { digestBody } = require('../message-log');
 
 /**
  * Middleware: Verify Authorization header on incoming callbacks
  */
-function verifyAuth(req, res, next) {
-    const result = verifyAuthorizationHeader(req);
+async function verifyAuth(req, res, next) {
+    try {
+        const result = await verifyAuthorizationHeader(req);
+
+        if (!result.valid) {
+            console.warn('[BECKN-CB] Authorization verification failed:', result.error);
+            const context = req.body?.context || {};
+            return res.json(buildNackResponse(context, '401', result.error));
+        }
 
-    if (!result.valid) {
-        console.warn('[BECKN-CB] Authorization verification failed:', result.error);
-        const context = req.body?.context || {};
-        return res.json(buildNackResponse(context, '401', result.error));
+        next();
+    } catch (err) {
+        next(err);
     }
-
-    next();
 }
 
 /**
  * Middleware: Validate Beckn context
+ * @param {string} action - Action of the route, e.g. 'on_select'
+ * @returns {function} Express middleware
  */
-function validateBecknContext(req, res, next) {
-    if (!req.body || !req.body.context) {
-        return res.status(400).json({
-            error: { type: 'PROTOCOL-ERROR', code: '400', message: 'Missing context' },
-        });
-    }
-
-    const { valid, errors } = validateContext(req.body.context);
-    if (!valid) {
-        console.warn('[BECKN-CB] Context validation errors:', errors);
-        // Log but don't reject — be lenient in dev mode
-        if (process.env.DEV_MODE !== 'true') {
-            return res.json(buildNackResponse(req.body.context, '400', errors.join('; ')));
+function validateBecknContext(action) {
+    return (req, res, next) => {
+        if (!req.body || !req.body.context) {
+            return res.status(400).json({
+                error: { type: 'PROTOCOL-ERROR', code: '400', message: 'Missing context' },
+            });
         }
-    }
 
-    next();
-}
-
-/**
- * POST /beckn/on_search
- * 
- * Receives catalog/provider data from BPPs in response to /search
- */
-router.post('/on_search', verifyAuth, validateBecknContext, (req, res) => {
-    const { context, message } = req.body;
-    const transactionId = context.transaction_id;
-
-    console.log(`[BECKN-CB] /on_search received - txn: ${transactionId}`);
-    console.log(`[BECKN-CB] BPP: ${context.bpp_id || 'unknown'}`);
-
-    if (!transactionId) {
-        return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
-    }
-
-    // Store the catalog data
-    const txn = store.addCatalogData(transactionId, {
-        context,
-        message,
-    });
-
-    if (!txn) {
-        console.warn(`[BECKN-CB] Transaction not found: ${transactionId}`);
-        return res.json(buildNackResponse(context, '404', 'Transaction not found'));
-    }
+        const { context } = req.body;
+        if (!context.transaction_id) {
+            return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
+        }
 
-    const providerCount = message?.catalog?.['bpp/providers']?.length || 0;
-    console.log(`[BECKN-CB] Stored ${providerCount} providers for txn: ${transactionId}`);
+        const { valid, errors } = validateContext(context);
+        if (context.action && context.action !== action) {
+            errors.push(`Invalid action: ${context.action}, expected ${action}`);
+        }
+        if (!valid || errors.length > 0) {
+            console.warn('[BECKN-CB] Context validation errors:', errors);
+            // Log but don't reject — be lenient in dev mode
+            if (process.env.DEV_MODE !== 'true') {
+                return res.json(buildNackResponse(context, '400', errors.join('; ')));
+            }
+        }
 
-    res.json(buildAckResponse(context));
-});
+        next();
+    };
+}
 
 /**
- * POST /beckn/on_select
- * 
- * Receives quote/breakup from BPP after /select
+ * Identify one delivery of a callback in the message log
+ * @param {string} action
+ * @param {object} body
+ * @returns {{ action: string, messageId: string, bppId?: string, digest: string }}
  */
-router.post('/on_select', verifyAuth, validateBecknContext, (req, res) => {
-    const { context, message } = req.body;
-    const transactionId = context.transaction_id;
-
-    console.log(`[BECKN-CB] /on_select received - txn: ${transactionId}`);
-
-    if (!transactionId) {
-        return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
-    }
-
-    const txn = store.addSelectData(transactionId, { context, message });
-
-    if (!txn) {
-        return res.json(buildNackResponse(context, '404', 'Transaction not found'));
-    }
-
-    console.log(`[BECKN-CB] Select data stored for txn: ${transactionId}`);
-    res.json(buildAckResponse(context));
-});
+function describeDelivery(action, body) {
+    return {
+        action,
+        messageId: body.context.message_id,
+        bppId: body.context.bpp_id,
+        digest: digestBody(body),
+    };
+}
 
 /**
- * POST /beckn/on_init
- * 
- * Receives order initialization confirmation from BPP
+ * Middleware: ACK a repeated delivery the way the first one was ACKed,
+ * without storing it again
+ * @param {string} action
+ * @returns {function} Express middleware
  */
-router.post('/on_init', verifyAuth, validateBecknContext, (req, res) => {
-    const { context, message } = req.body;
-    const transactionId = context.transaction_id;
-
-    console.log(`[BECKN-CB] /on_init received - txn: ${transactionId}`);
-
-    if (!transactionId) {
-        return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
-    }
-
-    const txn = store.addInitData(transactionId, { context, message });
-
-    if (!txn) {
-        return res.json(buildNackResponse(context, '404', 'Transaction not found'));
-    }
+function rejectDuplicates(action) {
+    return (req, res, next) => {
+        const delivery = describeDelivery(action, req.body);
+        const logged = store.findCallbackDelivery(req.body.context.transaction_id, delivery);
+        if (logged) {
+            console.log(`[BECKN-CB] Duplicate /${action} ${delivery.messageId} from ${delivery.bppId || 'unknown'} - already stored at ${logged.at}`);
+            return res.json(logged.ack);
+        }
 
-    console.log(`[BECKN-CB] Init data stored for txn: ${transactionId}`);
-    res.json(buildAckResponse(context));
-});
+        req.delivery = delivery;
+        next();
+    };
+}
 
 /**
- * POST /beckn/on_status
- * 
- * Receives status updates from BPP
+ * Final pipeline step: store the callback with its handler, ACK it and
+ * publish the event
+ * @param {string} action
+ * @param {function} handler - From CALLBACK_HANDLERS
+ * @returns {function} Express handler
  */
-router.post('/on_status', verifyAuth, validateBecknContext, (req, res) => {
-    const { context, message } = req.body;
-    const transactionId = context.transaction_id;
-
-    console.log(`[BECKN-CB] /on_status received - txn: ${transactionId}`);
+function dispatch(action, handler) {
+    return (req, res) => {
+        const { context } = req.body;
+        const transactionId = context.transaction_id;
 
-    if (!transactionId) {
-        return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
-    }
+        console.log(`[BECKN-CB] /${action} received - txn: ${transactionId} - from: ${context.bpp_id || 'unknown'}`);
 
-    const txn = store.addStatusData(transactionId, { context, message });
-
-    if (!txn) {
-        return res.json(buildNackResponse(context, '404', 'Transaction not found'));
-    }
-
-    console.log(`[BECKN-CB] Status data stored for txn: ${transactionId}`);
-    res.json(buildAckResponse(context));
-});
-
-/**
- * POST /beckn/on_error
- * 
- * Receives error callbacks from BPP or gateway
- */
-router.post('/on_error', verifyAuth, (req, res) => {
-    const { context, error } = req.body;
-    const transactionId = context?.transaction_id;
+        const txn = handler(req.body);
+        if (!txn) {
+            console.warn(`[BECKN-CB] Transaction not found: ${transactionId}`);
+            return res.json(buildNackResponse(context, '404', 'Transaction not found'));
+        }
 
-    console.error(`[BECKN-CB] /on_error received - txn: ${transactionId}`);
-    console.error(`[BECKN-CB] Error:`, error);
+        const ack = buildAckResponse(context);
+        const entry = store.logCallback(transactionId, { ...req.delivery, ack });
+        if (entry.unsolicited) {
+            console.warn(`[BECKN-CB] Unsolicited /${action} ${context.message_id} - no request with this message_id was sent`);
+        }
+        events.publish(transactionId, action, {
+            status: txn.status,
+            updatedAt: txn.updatedAt,
+            messageId: context.message_id,
+            unsolicited: entry.unsolicited,
+        });
 
-    if (transactionId) {
-        store.addErrorData(transactionId, { context, error });
-    }
+        res.json(ack);
+    };
+}
 
-    res.json(buildAckResponse(context || {}));
-});
+for (const [action, handler] of Object.entries(CALLBACK_HANDLERS)) {
+    router.post(
+        `/${action}`,
+        verifyAuth,
+        validateBecknContext(action),
+        rejectDuplicates(action),
+        validateCallbackSchema(action),
+        dispatch(action, handler)
+    );
+}
 
 module.exports = router;
@@ -2,12 +2,19 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
+const { parseWait } = require('../helpers');
+const { ORDER_STATUS, canTransition } = require('../order-state');
 
 /**
  * POST /api/cancel
  * 
  * Mobile app requests order cancellation.
  * Server triggers Beckn /cancel flow.
+ *
+ * ?wait=10s holds the response until the on_cancel arrives (or the wait
+ * or the request ttl runs out) and includes it as `callback`. An on_error
+ * or error block answers 502, a timeout 504, with `becknError`; 410 if
+ * the transaction expired meanwhile.
  */
 router.post('/cancel', async (req, res) => {
     try {
@@ -24,6 +31,19 @@ router.post('/cancel', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
 
+        const wait = parseWait(req.query.wait);
+        if (!wait.valid) {
+            return res.status(400).json({ error: 'Invalid wait', details: wait.errors });
+        }
+
+        // The order only becomes 'cancelled' once on_cancel arrives
+        if (!canTransition(txn.status, ORDER_STATUS.CANCELLED)) {
+            return res.status(409).json({
+                error: `Cannot cancel an order in status ${txn.status}`,
+                status: txn.status,
+            });
+        }
+
         console.log(`[API] /cancel - Txn: ${transactionId}`);
 
         const result = await becknService.cancel({
@@ -33,16 +53,22 @@ router.post('/cancel', async (req, res) => {
             bppUri,
         });
 
-        res.json({
-            success: true,
+        const { statusCode, body } = await becknService.buildCallbackResponse({
             transactionId,
             messageId: result.messageId,
-            status: 'cancelling',
-            message: 'Cancellation initiated. Await on_cancel callback.',
+            waitMs: wait.value,
+            pendingStatus: 'cancelling',
+            pendingMessage: 'Cancellation initiated. Await on_cancel callback.',
+            errorMessage: 'Cancellation failed',
         });
+        res.status(statusCode).json(body);
     } catch (error) {
         console.error('[API] Cancel error:', error.message);
-        res.status(500).json({ error: 'Cancellation failed', details: error.message });
+        res.status(error.statusCode || 500).json({
+            error: 'Cancellation failed',
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
+        });
     }
 });
 
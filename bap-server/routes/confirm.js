@@ -2,12 +2,19 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
+const { parseWait } = require('../helpers');
+const { ORDER_STATUS } = require('../order-state');
 
 /**
  * POST /api/confirm
  * 
  * Mobile app confirms order.
  * Server triggers Beckn /confirm flow.
+ *
+ * ?wait=10s holds the response until the on_confirm arrives (or the wait
+ * or the request ttl runs out) and includes it as `callback`. An on_error
+ * or error block answers 502, a timeout 504, with `becknError`; 410 if
+ * the transaction expired meanwhile.
  */
 router.post('/confirm', async (req, res) => {
     try {
@@ -24,29 +31,51 @@ router.post('/confirm', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
 
+        const wait = parseWait(req.query.wait);
+        if (!wait.valid) {
+            return res.status(400).json({ error: 'Invalid wait', details: wait.errors });
+        }
+
         console.log(`[API] /confirm - Provider: ${providerId}, Item: ${itemId}`);
 
-        const result = await becknService.confirm({
-            transactionId,
-            providerId,
-            itemId,
-            fulfillmentId,
-            bppId,
-            bppUri,
-            billing,
-            payment
-        });
+        const pending = store.transitionStatus(transactionId, ORDER_STATUS.CONFIRMING, 'api/confirm');
+        if (!pending.accepted) {
+            return res.status(409).json({ error: pending.error, status: pending.from });
+        }
 
-        res.json({
-            success: true,
+        let result;
+        try {
+            result = await becknService.confirm({
+                transactionId,
+                providerId,
+                itemId,
+                fulfillmentId,
+                bppId,
+                bppUri,
+                billing,
+                payment
+            });
+        } catch (error) {
+            store.rollbackStatus(transactionId, 'api/confirm');
+            throw error;
+        }
+
+        const { statusCode, body } = await becknService.buildCallbackResponse({
             transactionId,
             messageId: result.messageId,
-            status: 'confirming',
-            message: 'Confirm initiated. Await on_confirm callback.',
+            waitMs: wait.value,
+            pendingStatus: 'confirming',
+            pendingMessage: 'Confirm initiated. Await on_confirm callback.',
+            errorMessage: 'Confirm failed',
         });
+        res.status(statusCode).json(body);
     } catch (error) {
         console.error('[API] Confirm error:', error.message);
-        res.status(500).json({ error: 'Confirm failed', details: error.message });
+        res.status(error.statusCode || 500).json({
+            error: 'Confirm failed',
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
+        });
     }
 });
 
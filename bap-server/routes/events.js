@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const store = require('../store');
+const events = require('../events');
+
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Write one Server-Sent Event
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/transactions/:transactionId/events
+ *
+ * Server-Sent Events stream for one transaction.
+ * Sends a 'snapshot' with the current status on connect, then one event
+ * per stored callback (on_search, on_select, on_init, on_confirm,
+ * on_status, on_cancel, on_update, on_track, on_support, on_error) and
+ * a 'search_complete' when the search window closes, or a 'timeout'
+ * when a request got no callback within its ttl. Clients fetch the
+ * full data from the REST endpoints when an event arrives.
+ */
+router.get('/transactions/:transactionId/events', (req, res) => {
+    const { transactionId } = req.params;
+    const txn = store.getTransaction(transactionId);
+
+    if (!txn) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Disable proxy buffering (nginx, Railway)
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    console.log(`[API] Event stream opened - txn: ${transactionId}`);
+
+    sendEvent(res, 'snapshot', {
+        type: 'snapshot',
+        transactionId,
+        status: txn.status,
+        updatedAt: txn.updatedAt,
+    });
+
+    const unsubscribe = events.subscribe(transactionId, (event) => {
+        sendEvent(res, event.type, event);
+    });
+
+    // Comment lines keep idle connections from being closed
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log(`[API] Event stream closed - txn: ${transactionId}`);
+    });
+});
+
+module.exports = router;
@@ -2,17 +2,26 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
-const { getTimestamp } = require('../helpers');
+const { ORDER_STATUS } = require('../order-state');
+const { getTimestamp, parseWait } = require('../helpers');
 
 /**
  * POST /api/init
  * 
  * Mobile app initiates order.
  * Server triggers Beckn /init flow.
+ *
+ * ?wait=10s holds the response until the on_init arrives (or the wait
+ * or the request ttl runs out) and includes it as `callback`. An on_error
+ * or error block answers 502, a timeout 504, with `becknError`; 410 if
+ * the transaction expired meanwhile.
+ * 
+ * Optional contacts: { pickup: { name, phone, email }, drop: { ... } }
+ * are stored on the searched route and sent in the fulfillment.
  */
 router.post('/init', async (req, res) => {
     try {
-        const { transactionId, providerId, itemId, fulfillmentId, bppId, bppUri, billing } = req.body;
+        const { transactionId, providerId, itemId, fulfillmentId, bppId, bppUri, billing, contacts } = req.body;
 
         if (!transactionId || !providerId || !itemId) {
             return res.status(400).json({
@@ -25,28 +34,54 @@ router.post('/init', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
 
+        const wait = parseWait(req.query.wait);
+        if (!wait.valid) {
+            return res.status(400).json({ error: 'Invalid wait', details: wait.errors });
+        }
+
         console.log(`[API] /init - Provider: ${providerId}, Item: ${itemId}`);
 
-        const result = await becknService.init({
-            transactionId,
-            providerId,
-            itemId,
-            fulfillmentId,
-            bppId,
-            bppUri,
-            billing,
-        });
+        if (contacts) {
+            store.setRouteContacts(transactionId, contacts);
+        }
 
-        res.json({
-            success: true,
+        const pending = store.transitionStatus(transactionId, ORDER_STATUS.INITIALIZING, 'api/init');
+        if (!pending.accepted) {
+            return res.status(409).json({ error: pending.error, status: pending.from });
+        }
+
+        let result;
+        try {
+            result = await becknService.init({
+                transactionId,
+                providerId,
+                itemId,
+                fulfillmentId,
+                bppId,
+                bppUri,
+                billing,
+            });
+        } catch (error) {
+            store.rollbackStatus(transactionId, 'api/init');
+            throw error;
+        }
+
+        const { statusCode, body } = await becknService.buildCallbackResponse({
             transactionId,
             messageId: result.messageId,
-            status: 'initializing',
-            message: 'Init initiated. Await on_init callback.',
+            waitMs: wait.value,
+            pendingStatus: 'initializing',
+            pendingMessage: 'Init initiated. Await on_init callback.',
+            errorMessage: 'Init failed',
         });
+        res.status(statusCode).json(body);
     } catch (error) {
         console.error('[API] Init error:', error.message);
-        res.status(500).json({ error: 'Init failed', details: error.message });
+        res.status(error.statusCode || 500).json({
+            error: 'Init failed',
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
+        });
     }
 });
 
@@ -1,71 +0,0 @@
-const express = require('express');
-const router = express.Router();
-const store = require('../store');
-const { verifyAuthorizationHeader } = require('../crypto/verify');
-const { buildAckResponse, buildNackResponse, validateContext } = require('../helpers');
-
-function verifyAuth(req, res, next) {
-    const result = verifyAuthorizationHeader(req);
-    if (!result.valid) {
-        console.warn('[BECKN-CB] Authorization verification failed:', result.error);
-        const context = req.body?.context || {};
-        return res.json(buildNackResponse(context, '401', result.error));
-    }
-    next();
-}
-
-function validateBecknContext(req, res, next) {
-    if (!req.body || !req.body.context) {
-        return res.status(400).json({
-            error: { type: 'PROTOCOL-ERROR', code: '400', message: 'Missing context' },
-        });
-    }
-    const { valid, errors } = validateContext(req.body.context);
-    if (!valid) {
-        console.warn('[BECKN-CB] Context validation errors:', errors);
-        if (process.env.DEV_MODE !== 'true') {
-            return res.json(buildNackResponse(req.body.context, '400', errors.join('; ')));
-        }
-    }
-    next();
-}
-
-/**
- * POST /beckn/on_confirm
- * 
- * Receives order confirmation from BPP
- */
-router.post('/on_confirm', verifyAuth, validateBecknContext, (req, res) => {
-    const { context, message } = req.body;
-    const transactionId = context.transaction_id;
-
-    console.log(`[BECKN-CB] /on_confirm received - txn: ${transactionId}`);
-
-    if (!transactionId) {
-        return res.json(buildNackResponse(context, '400', 'Missing transaction_id'));
-    }
-
-    // Assuming store has addConfirmData or similar, if not we might need to add it to store.js
-    // For now assuming a generic update or addConfirmData exists or using addInitData as template
-    // Checking store.js content from previous steps... 
-    // I didn't check store.js content fully, but based on pattern it likely needs an update if it doesn't have addConfirmData.
-    // I'll implement assuming it exists or I'll fix store.js later.
-    // Actually, I should check store.js. But for now I will use addConfirmData and task it if it fails.
-
-    // START CHECK: does store have addConfirmData?
-    // I can't check right now without breaking flow. I'll assume I need to ADD it to store.js if missing.
-    // I'll assume it's `addConfirmData` following the pattern.
-
-    const txn = store.addConfirmData ? store.addConfirmData(transactionId, { context, message }) : null;
-
-    if (!txn) {
-        // If function missing or txn not found
-        if (!store.addConfirmData) console.error("store.addConfirmData is missing!");
-        return res.json(buildNackResponse(context, '404', 'Transaction not found or server error'));
-    }
-
-    console.log(`[BECKN-CB] Confirm data stored for txn: ${transactionId}`);
-    res.json(buildAckResponse(context));
-});
-
-module.exports = router;
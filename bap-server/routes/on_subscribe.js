@@ -1,6 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('../crypto');
+const { getSiteVerificationPath } = require('../site-verification');
+
+/**
+ * GET /ondc-site-verification.html
+ *
+ * The registry fetches this from the subscriber's root during /subscribe
+ * and checks the signed request_id in it. express.static skips the
+ * .well-known dotfolder, so it is served explicitly. In DEV_MODE a copy
+ * signed by `scripts/subscribe.js mock` takes precedence.
+ */
+router.get('/ondc-site-verification.html', (req, res) => {
+    res.sendFile(getSiteVerificationPath(), { dotfiles: 'allow' });
+});
 
 /**
  * POST /on_subscribe
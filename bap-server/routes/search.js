@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
+const { validatePackageDetails } = require('../helpers');
+const { SORT_OPTIONS, flattenCatalogs, parseResultsQuery, rankResults } = require('../results');
 
 /**
  * POST /api/search
@@ -10,7 +12,10 @@ const becknService = require('../services/beckn-service');
  * Server triggers Beckn /search flow and returns transaction_id.
  * Mobile app then polls /api/results/:transactionId for results.
  * 
- * Body: { pickup: { address, gps, ... }, drop: { address, gps, ... } }
+ * Body: { pickup: { address, gps, ..., contact? }, drop: { address, gps, ..., contact? } }
+ *        package?: { weight, dimensions: { length, breadth, height }, category, value, dangerous_goods } }
+ * contact: { name, phone, email } — carried into select/init/confirm fulfillments
+ * package: weight in kg, dimensions in cm, value in INR; omitted fields use defaults
  */
 router.post('/search', async (req, res) => {
     try {
@@ -22,18 +27,33 @@ router.post('/search', async (req, res) => {
             });
         }
 
+        const packageCheck = validatePackageDetails(req.body.package);
+        if (!packageCheck.valid) {
+            return res.status(400).json({
+                error: 'Invalid package details',
+                details: packageCheck.errors,
+            });
+        }
+        const packageDetails = packageCheck.value;
+
         console.log('[API] /search request received');
         console.log('[API] Pickup:', pickup.address || pickup.gps);
         console.log('[API] Drop:', drop.address || drop.gps);
 
         // Trigger Beckn /search
-        const { transactionId, messageId, response } = await becknService.search({
+        const { transactionId, messageId, ttl, timestamp } = await becknService.search({
             pickup,
             drop,
+            packageDetails,
         });
 
         // Create transaction in store
-        store.createTransaction(transactionId, messageId, { pickup, drop });
+        const txn = store.createTransaction(
+            transactionId,
+            messageId,
+            { pickup, drop, package: packageDetails },
+            { ttl, startedAt: timestamp }
+        );
 
         console.log(`[API] Search initiated - txn: ${transactionId}`);
 
@@ -42,13 +62,15 @@ router.post('/search', async (req, res) => {
             transactionId,
             messageId,
             status: 'searching',
+            expiresAt: txn.searchWindow.expiresAt,
             message: 'Search initiated. Poll /api/results/:transactionId for results.',
         });
     } catch (error) {
         console.error('[API] Search error:', error.message);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             error: 'Search failed',
-            details: error.message,
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
         });
     }
 });
@@ -57,7 +79,19 @@ router.post('/search', async (req, res) => {
  * GET /api/results/:transactionId
  * 
  * Mobile app polls this endpoint for search results.
- * Returns providers once on_search callbacks have been received.
+ * Returns providers from the on_search callbacks received so far;
+ * searchComplete turns true once the search ttl has passed (expiresAt),
+ * after which late on_search callbacks are only counted (lateResponses).
+ * Each entry has a unique key (bppId:providerId:itemId); provider ids
+ * alone can repeat across BPPs.
+ *
+ * Query (all optional, see ../results.js):
+ *   sort=price|eta|rating|value   default price
+ *   vehicleCategory=Bike,Van      provider=porter-logistics
+ *   maxPrice=200                  maxEtaMinutes=60
+ * The response echoes the applied options and lists sortOptions and
+ * facets (vehicle categories / providers with counts) for the client's
+ * sort and filter controls.
  */
 router.get('/results/:transactionId', (req, res) => {
     const { transactionId } = req.params;
@@ -70,66 +104,49 @@ router.get('/results/:transactionId', (req, res) => {
         });
     }
 
-    // Flatten catalog data into a simpler format for mobile
-    const providers = [];
-    for (const catalog of txn.catalogs) {
-        if (catalog.message && catalog.message.catalog) {
-            const bppProviders = catalog.message.catalog['bpp/providers'] || [];
-            for (const provider of bppProviders) {
-                for (const item of provider.items || []) {
-                    const fulfillment = (provider.fulfillments || []).find(
-                        (f) => f.id === item.fulfillment_id
-                    );
-
-                    providers.push({
-                        id: provider.id,
-                        name: provider.descriptor?.name || 'Unknown',
-                        shortDesc: provider.descriptor?.short_desc || '',
-                        logoUrl: provider.descriptor?.images?.[0]?.url || '',
-                        itemId: item.id,
-                        itemName: item.descriptor?.name || 'Delivery',
-                        price: parseFloat(item.price?.value || '0'),
-                        currency: item.price?.currency || 'INR',
-                        eta: item.time?.duration || 'PT60M',
-                        etaMinutes: parseDuration(item.time?.duration || 'PT60M'),
-                        vehicleCategory: fulfillment?.vehicle?.category || 'Bike',
-                        fulfillmentId: fulfillment?.id || '',
-                        fulfillmentType: fulfillment?.type || 'Delivery',
-                        bppId: catalog.context?.bpp_id || '',
-                        bppUri: catalog.context?.bpp_uri || '',
-                        tags: item.tags || [],
-                    });
-                }
-            }
-        }
+    const queryCheck = parseResultsQuery(req.query);
+    if (!queryCheck.valid) {
+        return res.status(400).json({
+            error: 'Invalid results query',
+            details: queryCheck.errors,
+        });
     }
+    const options = queryCheck.value;
 
-    // Sort by price (cheapest first)
-    providers.sort((a, b) => a.price - b.price);
+    const flattened = flattenCatalogs(txn.catalogs);
+    const { providers, totalCount, facets } = rankResults(flattened.providers, options);
 
-    // Mark cheapest
-    if (providers.length > 0) {
-        providers[0].isCheapest = true;
-    }
+    // BPPs that answered but cannot serve the route (on_search with an error)
+    const unserviceable = txn.catalogs
+        .filter((catalog) => catalog.error)
+        .map((catalog) => ({
+            bppId: catalog.context?.bpp_id || '',
+            code: catalog.error.code,
+            message: catalog.error.message,
+        }));
 
     res.json({
         transactionId,
         status: txn.status,
         providers,
         providerCount: providers.length,
+        totalCount,
+        sort: options.sort,
+        filters: {
+            vehicleCategory: options.vehicleCategories,
+            provider: options.providers,
+            maxPrice: options.maxPrice,
+            maxEtaMinutes: options.maxEtaMinutes,
+        },
+        sortOptions: SORT_OPTIONS,
+        facets,
+        unserviceable,
+        // Catalog entries left out because they could not be listed
+        skipped: flattened.skipped,
+        ...store.getSearchState(txn),
+        lateResponses: (txn.lateCatalogs || []).length,
         updatedAt: txn.updatedAt,
     });
 });
 
-/**
- * Parse ISO 8601 duration to minutes
- */
-function parseDuration(duration) {
-    const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-    if (!match) return 60;
-    const hours = parseInt(match[1] || '0', 10);
-    const minutes = parseInt(match[2] || '0', 10);
-    return hours * 60 + minutes;
-}
-
 module.exports = router;
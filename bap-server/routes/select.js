@@ -2,12 +2,20 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
+const { ORDER_STATUS } = require('../order-state');
+const { getLatestRequest } = require('../message-log');
+const { parseDurationToSeconds, parseWait } = require('../helpers');
 
 /**
  * POST /api/select
  * 
  * Mobile app selects a provider/item.
  * Server triggers Beckn /select flow.
+ *
+ * ?wait=10s holds the response until the on_select arrives (or the wait
+ * or the request ttl runs out) and includes it as `callback`. An on_error
+ * or error block answers 502, a timeout 504, with `becknError`; 410 if
+ * the transaction expired meanwhile.
  */
 router.post('/select', async (req, res) => {
     try {
@@ -24,28 +32,131 @@ router.post('/select', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
 
+        const wait = parseWait(req.query.wait);
+        if (!wait.valid) {
+            return res.status(400).json({ error: 'Invalid wait', details: wait.errors });
+        }
+
         console.log(`[API] /select - Provider: ${providerId}, Item: ${itemId}`);
 
-        const result = await becknService.select({
-            transactionId,
-            providerId,
-            itemId,
-            fulfillmentId,
-            bppId,
-            bppUri,
-        });
+        const pending = store.transitionStatus(transactionId, ORDER_STATUS.SELECTING, 'api/select');
+        if (!pending.accepted) {
+            return res.status(409).json({ error: pending.error, status: pending.from });
+        }
 
-        res.json({
-            success: true,
+        let result;
+        try {
+            result = await becknService.select({
+                transactionId,
+                providerId,
+                itemId,
+                fulfillmentId,
+                bppId,
+                bppUri,
+            });
+        } catch (error) {
+            store.rollbackStatus(transactionId, 'api/select');
+            throw error;
+        }
+
+        const { statusCode, body } = await becknService.buildCallbackResponse({
             transactionId,
             messageId: result.messageId,
-            status: 'selecting',
-            message: 'Select initiated. Await on_select callback.',
+            waitMs: wait.value,
+            pendingStatus: 'selecting',
+            pendingMessage: 'Select initiated. Await on_select callback.',
+            errorMessage: 'Select failed',
         });
+        res.status(statusCode).json(body);
     } catch (error) {
         console.error('[API] Select error:', error.message);
-        res.status(500).json({ error: 'Select failed', details: error.message });
+        res.status(error.statusCode || 500).json({
+            error: 'Select failed',
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
+        });
     }
 });
 
+/**
+ * GET /api/quote/:transactionId
+ * 
+ * Returns the latest on_select quote in a flat format for mobile:
+ * total, currency, breakup lines by '@ondc/org/title_type', quote TTL,
+ * and any errors answering the last /select (on_error, an error block
+ * in on_select, or its timeout). They are matched on the request's
+ * message_id: the BPP's context.timestamp is on another clock.
+ */
+router.get('/quote/:transactionId', (req, res) => {
+    const { transactionId } = req.params;
+    const txn = store.getTransaction(transactionId);
+
+    if (!txn) {
+        return res.status(404).json({
+            error: 'Transaction not found',
+            transactionId,
+        });
+    }
+
+    const request = getLatestRequest(txn, 'select');
+    const latest = [...txn.selections].reverse().find((s) => s.message?.order?.quote);
+
+    const errors = [
+        ...txn.selections.filter((s) => s.error),
+        ...txn.errors,
+    ]
+        .filter((e) => !request || e.context?.message_id === request.messageId)
+        .map((e) => ({
+            action: e.context?.action || 'on_select',
+            bppId: e.context?.bpp_id || '',
+            type: e.error?.type || '',
+            code: e.error?.code || '',
+            message: e.error?.message || '',
+        }));
+
+    res.json({
+        transactionId,
+        status: txn.status,
+        quote: latest ? flattenQuote(latest) : null,
+        errors,
+        updatedAt: txn.updatedAt,
+    });
+});
+
+/**
+ * Flatten an on_select payload's quote
+ * @param {object} onSelect - Stored { context, message }
+ * @returns {object}
+ */
+function flattenQuote({ context, message }) {
+    const order = message.order;
+    const quote = order.quote;
+    const ttl = quote.ttl || '';
+    const ttlSeconds = parseDurationToSeconds(ttl);
+    const receivedAt = context?.timestamp || null;
+
+    return {
+        providerId: order.provider?.id || '',
+        itemId: order.items?.[0]?.id || '',
+        fulfillmentId: order.fulfillments?.[0]?.id || order.items?.[0]?.fulfillment_id || '',
+        bppId: context?.bpp_id || '',
+        bppUri: context?.bpp_uri || '',
+        total: parseFloat(quote.price?.value || '0'),
+        currency: quote.price?.currency || 'INR',
+        breakup: (quote.breakup || []).map((line) => ({
+            itemId: line['@ondc/org/item_id'] || '',
+            titleType: line['@ondc/org/title_type'] || '',
+            title: line.title || '',
+            price: parseFloat(line.price?.value || '0'),
+            currency: line.price?.currency || quote.price?.currency || 'INR',
+        })),
+        ttl,
+        ttlSeconds,
+        receivedAt,
+        expiresAt: receivedAt && ttlSeconds
+            ? new Date(Date.parse(receivedAt) + ttlSeconds * 1000).toISOString()
+            : null,
+    };
+}
+
 module.exports = router;
@@ -2,12 +2,18 @@ const express = require('express');
 const router = express.Router();
 const store = require('../store');
 const becknService = require('../services/beckn-service');
+const { parseWait } = require('../helpers');
 
 /**
  * POST /api/status
  * 
  * Mobile app requests status update for an order.
  * Server triggers Beckn /status flow.
+ *
+ * ?wait=10s holds the response until the on_status arrives (or the wait
+ * or the request ttl runs out) and includes it as `callback`. An on_error
+ * or error block answers 502, a timeout 504, with `becknError`; 410 if
+ * the transaction expired meanwhile.
  */
 router.post('/status', async (req, res) => {
     try {
@@ -24,6 +30,11 @@ router.post('/status', async (req, res) => {
             return res.status(404).json({ error: 'Transaction not found' });
         }
 
+        const wait = parseWait(req.query.wait);
+        if (!wait.valid) {
+            return res.status(400).json({ error: 'Invalid wait', details: wait.errors });
+        }
+
         console.log(`[API] /status - Txn: ${transactionId}`);
 
         const result = await becknService.status({
@@ -32,19 +43,92 @@ router.post('/status', async (req, res) => {
             bppUri,
         });
 
-        res.json({
-            success: true,
+        const { statusCode, body } = await becknService.buildCallbackResponse({
             transactionId,
             messageId: result.messageId,
-            status: 'tracking',
-            message: 'Status check initiated. Await on_status callback.',
+            waitMs: wait.value,
+            pendingStatus: 'tracking',
+            pendingMessage: 'Status check initiated. Await on_status callback.',
+            errorMessage: 'Status check failed',
         });
+        res.status(statusCode).json(body);
     } catch (error) {
         console.error('[API] Status error:', error.message);
-        res.status(500).json({ error: 'Status check failed', details: error.message });
+        res.status(error.statusCode || 500).json({
+            error: 'Status check failed',
+            details: error.details || error.message,
+            ...(error.becknError && { becknError: error.becknError }),
+        });
     }
 });
 
+/**
+ * Flatten the latest order the BPP sent (on_status, else on_cancel, else
+ * on_confirm) into what the tracking screen shows
+ * @param {object} txn
+ * @returns {object|null}
+ */
+function flattenOrder(txn) {
+    const latest = [txn.statusResults, txn.cancelResults, txn.confirmResults]
+        .map((results) => [...(results || [])].reverse().find((r) => r.message?.order))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.context?.timestamp || 0) - new Date(a.context?.timestamp || 0))[0];
+
+    const order = latest?.message?.order;
+    if (!order) return null;
+
+    const fulfillment = order.fulfillments?.[0] || {};
+    const agent = fulfillment.agent || {};
+    const item = order.items?.[0] || {};
+
+    return {
+        orderId: order.id,
+        state: order.state,
+        providerId: order.provider?.id,
+        providerName: order.provider?.descriptor?.name,
+        itemId: item.id,
+        fulfillmentId: fulfillment.id,
+        fulfillmentState: fulfillment.state?.descriptor?.code || null,
+        agent: agent.name || agent.person?.name
+            ? {
+                name: agent.name || agent.person?.name,
+                phone: agent.phone || agent.contact?.phone,
+            }
+            : null,
+        vehicle: fulfillment.vehicle?.registration || null,
+        total: order.quote?.price ? parseFloat(order.quote.price.value) : undefined,
+        currency: order.quote?.price?.currency,
+        cancellation: order.cancellation || null,
+        bppId: latest.context?.bpp_id,
+        bppUri: latest.context?.bpp_uri,
+        updatedAt: order.updated_at || latest.context?.timestamp,
+    };
+}
+
+/**
+ * GET /api/status/:transactionId
+ * 
+ * Latest known order state for the tracking screen. Call POST /api/status
+ * to ask the BPP for a fresh on_status.
+ */
+router.get('/status/:transactionId', (req, res) => {
+    const { transactionId } = req.params;
+    const txn = store.getTransaction(transactionId);
+
+    if (!txn) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json({
+        transactionId,
+        status: txn.status,
+        order: flattenOrder(txn),
+        history: txn.history || [],
+        errors: txn.errors || [],
+        updatedAt: txn.updatedAt,
+    });
+});
+
 /**
  * GET /api/transaction/:transactionId
  * 
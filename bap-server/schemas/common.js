@@ -0,0 +1,256 @@
+/**
+ * Shared JSON-schema fragments for ONDC LOG10 1.2.0 payloads
+ *
+ * Only the fields the logistics flows rely on are required; everything
+ * else is allowed through so BPP extensions (tags, @ondc/org/* fields)
+ * don't fail validation.
+ */
+
+const GPS_PATTERN = '^-?\\d{1,2}(\\.\\d+)?, ?-?\\d{1,3}(\\.\\d+)?$';
+const DURATION_PATTERN = '^P(?=\\d|T\\d)(\\d+Y)?(\\d+M)?(\\d+W)?(\\d+D)?(T(?=\\d)(\\d+H)?(\\d+M)?(\\d+S)?)?$';
+const AMOUNT_PATTERN = '^\\d+(\\.\\d{1,2})?$';
+
+const ORDER_STATES = ['Created', 'Accepted', 'In-progress', 'Completed', 'Cancelled'];
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+/**
+ * Beckn context for one action
+ * @param {string} action - Expected context.action
+ * @param {object} [options]
+ * @param {boolean} [options.bpp=true] - Whether bpp_id / bpp_uri are required (not on /search)
+ * @returns {object} JSON schema
+ */
+function contextSchema(action, { bpp = true } = {}) {
+    const required = [
+        'domain',
+        'country',
+        'city',
+        'action',
+        'core_version',
+        'bap_id',
+        'bap_uri',
+        'transaction_id',
+        'message_id',
+        'timestamp',
+    ];
+    if (bpp) required.push('bpp_id', 'bpp_uri');
+
+    return {
+        type: 'object',
+        required,
+        properties: {
+            domain: { const: 'ONDC:LOG10' },
+            country: { type: 'string', pattern: '^[A-Z]{3}$' },
+            city: { type: 'string', pattern: '^(std:\\d{2,5}|\\*)$' },
+            action: { const: action },
+            core_version: { const: '1.2.0' },
+            bap_id: nonEmptyString,
+            bap_uri: { type: 'string', format: 'uri' },
+            bpp_id: nonEmptyString,
+            bpp_uri: { type: 'string', format: 'uri' },
+            transaction_id: nonEmptyString,
+            message_id: nonEmptyString,
+            timestamp: { type: 'string', format: 'date-time' },
+            ttl: { type: 'string', pattern: DURATION_PATTERN },
+        },
+    };
+}
+
+const price = {
+    type: 'object',
+    required: ['currency', 'value'],
+    properties: {
+        currency: { const: 'INR' },
+        value: { type: 'string', pattern: AMOUNT_PATTERN },
+    },
+};
+
+const descriptor = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        code: { type: 'string' },
+        short_desc: { type: 'string' },
+        long_desc: { type: 'string' },
+    },
+};
+
+const address = {
+    type: 'object',
+    required: ['area_code'],
+    properties: {
+        area_code: { type: 'string', pattern: '^\\d{6}$' },
+        city: { type: 'string' },
+        state: { type: 'string' },
+        country: { type: 'string' },
+    },
+};
+
+const location = {
+    type: 'object',
+    required: ['gps'],
+    properties: {
+        gps: { type: 'string', pattern: GPS_PATTERN },
+        address,
+    },
+};
+
+const stop = {
+    type: 'object',
+    properties: {
+        location,
+        contact: {
+            type: 'object',
+            properties: {
+                phone: { type: 'string' },
+                email: { type: 'string' },
+            },
+        },
+        person: {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+        },
+    },
+};
+
+const fulfillment = {
+    type: 'object',
+    required: ['id', 'type'],
+    properties: {
+        id: nonEmptyString,
+        type: nonEmptyString,
+        start: stop,
+        end: stop,
+    },
+};
+
+// Order fulfillment sent by the BAP: the pickup and drop must be located
+const routeFulfillment = {
+    ...fulfillment,
+    required: ['id', 'type', 'start', 'end'],
+    properties: {
+        ...fulfillment.properties,
+        start: { ...stop, required: ['location'] },
+        end: { ...stop, required: ['location'] },
+    },
+};
+
+const orderItem = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: nonEmptyString,
+        fulfillment_id: nonEmptyString,
+        category_id: { type: 'string' },
+        descriptor,
+    },
+};
+
+const quote = {
+    type: 'object',
+    required: ['price', 'breakup'],
+    properties: {
+        price,
+        breakup: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['@ondc/org/title_type', 'price'],
+                properties: {
+                    '@ondc/org/item_id': { type: 'string' },
+                    '@ondc/org/title_type': nonEmptyString,
+                    title: { type: 'string' },
+                    price,
+                },
+            },
+        },
+        ttl: { type: 'string', pattern: DURATION_PATTERN },
+    },
+};
+
+const billing = {
+    type: 'object',
+    required: ['name', 'address', 'phone'],
+    properties: {
+        name: nonEmptyString,
+        phone: nonEmptyString,
+        email: { type: 'string' },
+        address: {
+            type: 'object',
+            required: ['name', 'city', 'state', 'country', 'area_code'],
+            properties: {
+                name: nonEmptyString,
+                city: nonEmptyString,
+                state: nonEmptyString,
+                country: nonEmptyString,
+                area_code: { type: 'string', pattern: '^\\d{6}$' },
+            },
+        },
+        tax_number: { type: 'string' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+    },
+};
+
+const payment = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['ON-ORDER', 'ON-FULFILLMENT', 'POST-FULFILLMENT'] },
+        collected_by: { enum: ['BAP', 'BPP'] },
+    },
+};
+
+const error = {
+    type: 'object',
+    required: ['code'],
+    properties: {
+        type: { type: 'string' },
+        code: { type: ['string', 'number'] },
+        message: { type: 'string' },
+    },
+};
+
+/**
+ * Order with some fields required
+ * @param {string[]} required - Order fields that must be present
+ * @param {object} [extraProperties] - Additional property schemas
+ * @returns {object} JSON schema
+ */
+function orderSchema(required, extraProperties = {}) {
+    return {
+        type: 'object',
+        required,
+        properties: {
+            id: nonEmptyString,
+            state: { enum: ORDER_STATES },
+            provider: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: nonEmptyString },
+            },
+            items: { type: 'array', minItems: 1, items: orderItem },
+            fulfillments: { type: 'array', items: fulfillment },
+            quote,
+            billing,
+            payment,
+            ...extraProperties,
+        },
+    };
+}
+
+module.exports = {
+    ORDER_STATES,
+    nonEmptyString,
+    contextSchema,
+    price,
+    descriptor,
+    location,
+    fulfillment,
+    routeFulfillment,
+    quote,
+    payment,
+    error,
+    orderSchema,
+};
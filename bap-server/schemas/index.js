@@ -0,0 +1,282 @@
+/**
+ * Beckn Payload Schemas - ONDC LOG10 1.2.0
+ *
+ * JSON schemas for the requests the BAP sends (search, select, init,
+ * confirm, status, cancel) and the callbacks it receives (on_*).
+ * Outgoing payloads are checked in beckn-service.sendBecknRequest,
+ * incoming ones by the validateCallbackSchema middleware in the
+ * callback routes.
+ *
+ * Errors are always logged. They are enforced - the request is not sent,
+ * the callback is NACKed with the failing field paths - when
+ * ENFORCE_SCHEMAS=true, or by default outside DEV_MODE.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { buildNackResponse } = require('../helpers');
+const {
+    nonEmptyString,
+    contextSchema,
+    price,
+    descriptor,
+    location,
+    fulfillment,
+    routeFulfillment,
+    error,
+    orderSchema,
+} = require('./common');
+
+const routeFulfillments = { fulfillments: { type: 'array', minItems: 1, items: routeFulfillment } };
+
+const catalogItem = {
+    type: 'object',
+    required: ['id', 'descriptor', 'price', 'fulfillment_id', 'category_id'],
+    properties: {
+        id: nonEmptyString,
+        descriptor,
+        price,
+        fulfillment_id: nonEmptyString,
+        category_id: nonEmptyString,
+        time: {
+            type: 'object',
+            properties: { duration: { type: 'string' } },
+        },
+    },
+};
+
+const catalogProvider = {
+    type: 'object',
+    required: ['id', 'descriptor', 'items'],
+    properties: {
+        id: nonEmptyString,
+        descriptor: { ...descriptor, required: ['name'] },
+        rating: { type: 'string', pattern: '^\\d(\\.\\d+)?$' },
+        items: { type: 'array', items: catalogItem },
+        fulfillments: { type: 'array', items: fulfillment },
+        locations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: nonEmptyString, gps: location.properties.gps },
+            },
+        },
+    },
+};
+
+const MESSAGES = {
+    search: {
+        type: 'object',
+        required: ['intent'],
+        properties: {
+            intent: {
+                type: 'object',
+                required: ['fulfillment', '@ondc/org/payload_details'],
+                properties: {
+                    category: { type: 'object', required: ['id'], properties: { id: nonEmptyString } },
+                    fulfillment: {
+                        type: 'object',
+                        required: ['type', 'start', 'end'],
+                        properties: {
+                            type: nonEmptyString,
+                            start: { type: 'object', required: ['location'], properties: { location } },
+                            end: { type: 'object', required: ['location'], properties: { location } },
+                        },
+                    },
+                    '@ondc/org/payload_details': {
+                        type: 'object',
+                        required: ['weight', 'category', 'value'],
+                        properties: {
+                            weight: {
+                                type: 'object',
+                                required: ['unit', 'value'],
+                                properties: { unit: nonEmptyString, value: { type: 'number', exclusiveMinimum: 0 } },
+                            },
+                            category: nonEmptyString,
+                            value: price,
+                            dangerous_goods: { type: 'boolean' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    on_search: {
+        type: 'object',
+        required: ['catalog'],
+        properties: {
+            catalog: {
+                type: 'object',
+                required: ['bpp/providers'],
+                properties: {
+                    'bpp/descriptor': descriptor,
+                    'bpp/providers': { type: 'array', items: catalogProvider },
+                },
+            },
+        },
+    },
+    select: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['provider', 'items', 'fulfillments'], routeFulfillments) },
+    },
+    on_select: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['provider', 'items', 'quote']) },
+    },
+    init: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['provider', 'items', 'billing', 'fulfillments', 'payment'], routeFulfillments) },
+    },
+    on_init: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['provider', 'items', 'quote', 'payment']) },
+    },
+    confirm: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['provider', 'items', 'fulfillments', 'billing', 'quote', 'payment'], routeFulfillments) },
+    },
+    on_confirm: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['id', 'state', 'provider', 'items', 'fulfillments', 'quote']) },
+    },
+    status: {
+        type: 'object',
+        required: ['order_id'],
+        properties: { order_id: nonEmptyString },
+    },
+    on_status: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['id', 'state']) },
+    },
+    cancel: {
+        type: 'object',
+        required: ['order_id', 'cancellation_reason_id'],
+        properties: {
+            order_id: nonEmptyString,
+            cancellation_reason_id: nonEmptyString,
+        },
+    },
+    on_cancel: {
+        type: 'object',
+        required: ['order'],
+        properties: { order: orderSchema(['id', 'state']) },
+    },
+};
+
+/**
+ * Full payload schema for an action. Requests need a message; callbacks
+ * carry a message, an error, or both.
+ * @param {string} action
+ * @returns {object} JSON schema
+ */
+function payloadSchema(action) {
+    const isCallback = action.startsWith('on_');
+    return {
+        type: 'object',
+        required: isCallback ? ['context'] : ['context', 'message'],
+        properties: {
+            context: contextSchema(action, { bpp: action !== 'search' }),
+            message: MESSAGES[action],
+            error,
+        },
+        ...(isCallback && { anyOf: [{ required: ['message'] }, { required: ['error'] }] }),
+    };
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+    Object.keys(MESSAGES).map((action) => [action, ajv.compile(payloadSchema(action))])
+);
+
+/**
+ * Turn an ajv error into "field.path problem"
+ * @param {object} ajvError
+ * @returns {string}
+ */
+function formatError(ajvError) {
+    const path = ajvError.instancePath
+        .split('/')
+        .slice(1)
+        .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((joined, segment) => (
+            /^\d+$/.test(segment) ? `${joined}[${segment}]` : joined ? `${joined}.${segment}` : segment
+        ), '');
+
+    if (ajvError.keyword === 'required') {
+        const field = ajvError.params.missingProperty;
+        return `${path ? `${path}.${field}` : field} is required`;
+    }
+    if (ajvError.keyword === 'anyOf') {
+        return 'message or error is required';
+    }
+    const allowed = ajvError.params.allowedValue ?? ajvError.params.allowedValues;
+    const detail = allowed !== undefined ? ` (${JSON.stringify(allowed)})` : '';
+    return `${path || 'payload'} ${ajvError.message}${detail}`;
+}
+
+/**
+ * Validate a Beckn payload against its action's schema
+ * @param {string} action - e.g. 'search' or 'on_search'
+ * @param {object} payload - { context, message, error? }
+ * @returns {{ valid: boolean, errors: string[] }} errors name the failing field paths
+ */
+function validatePayload(action, payload) {
+    const validate = validators[action];
+    if (!validate) {
+        return { valid: true, errors: [] };
+    }
+    if (validate(payload)) {
+        return { valid: true, errors: [] };
+    }
+    // The anyOf branches' own "required" errors only repeat the anyOf one
+    const errors = validate.errors.filter((ajvError) => !ajvError.schemaPath.startsWith('#/anyOf/'));
+    return { valid: false, errors: errors.map(formatError) };
+}
+
+/**
+ * Whether schema errors block the request / NACK the callback.
+ * ENFORCE_SCHEMAS=true|false wins; otherwise enforced outside DEV_MODE.
+ * @returns {boolean}
+ */
+function isSchemaEnforced() {
+    const setting = process.env.ENFORCE_SCHEMAS;
+    if (setting === 'true' || setting === 'false') {
+        return setting === 'true';
+    }
+    return process.env.DEV_MODE !== 'true';
+}
+
+/**
+ * Middleware: Validate an incoming callback against its schema
+ * @param {string} action - e.g. 'on_select'
+ * @returns {function} Express middleware
+ */
+function validateCallbackSchema(action) {
+    return (req, res, next) => {
+        const { valid, errors } = validatePayload(action, req.body);
+        if (!valid) {
+            console.warn(`[BECKN-CB] /${action} schema errors:`, errors);
+            if (isSchemaEnforced()) {
+                return res.json(buildNackResponse(req.body?.context || {}, '400', errors.join('; '), 'JSON-SCHEMA-ERROR'));
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validatePayload,
+    isSchemaEnforced,
+    validateCallbackSchema,
+};
@@ -1,20 +1,30 @@
 /**
  * ONDC BAP Subscription Script
- * Usage: node scripts/subscribe.js [staging|preprod]
+ * Usage: node scripts/subscribe.js [staging|preprod|production|mock] [request_id]
+ *
+ * `mock` subscribes to the mock network's registry
+ * (MOCK_SELLER_URL/registry/subscribe) and writes the site verification
+ * file for the request_id first, so the whole flow runs offline. The BAP
+ * must be running, with ONDC_PUBLIC_KEY set to the mock registry's key.
  */
 
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const axios = require('axios');
 const crypto = require('../crypto');
+const { writeSiteVerification } = require('../site-verification');
 
 const ENV = process.argv[2] || 'staging';
-const REGISTRY_URL = ENV === 'production'
-    ? 'https://prod.registry.ondc.org/subscribe'
-    : (ENV === 'preprod' ? 'https://preprod.registry.ondc.org/ondc/subscribe' : 'https://staging.registry.ondc.org/subscribe');
+const REGISTRY_URLS = {
+    production: 'https://prod.registry.ondc.org/subscribe',
+    preprod: 'https://preprod.registry.ondc.org/ondc/subscribe',
+    staging: 'https://staging.registry.ondc.org/subscribe',
+    mock: `${process.env.MOCK_SELLER_URL || 'http://localhost:4000'}/registry/subscribe`,
+};
+const REGISTRY_URL = REGISTRY_URLS[ENV] || REGISTRY_URLS.staging;
 
 const subscriberId = process.env.SUBSCRIBER_ID;
 const subscriberUrl = process.env.SUBSCRIBER_URL;
-const uniqueKeyId = process.env.UNIQUE_KEY_ID;
+const uniqueKeyId = process.env.UNIQUE_KEY_ID || 'k1';
 const signingPublicKey = process.env.PUBLIC_KEY;
 const encryptionPublicKey = process.env.ENCRYPTION_PUBLIC_KEY;
 const privateKey = process.env.PRIVATE_KEY;
@@ -32,7 +42,7 @@ const payload = {
         }
     },
     message: {
-        request_id: crypto.generateUUID ? crypto.generateUUID() : require('crypto').randomUUID(),
+        request_id: process.argv[3] || require('crypto').randomUUID(),
         timestamp: new Date().toISOString(),
         entity: {
             subscriber_id: subscriberId,
@@ -68,6 +78,12 @@ console.log('Subscriber URL:', subscriberUrl);
 
 async function subscribe() {
     try {
+        if (ENV === 'mock') {
+            // Written to data/ (git-ignored), never over the committed file
+            const { filePath } = writeSiteVerification(payload.message.request_id, { mock: true });
+            console.log(`Site verification for ${payload.message.request_id} written to ${filePath}`);
+        }
+
         const header = crypto.createAuthorizationHeader(payload);
 
         const response = await axios.post(REGISTRY_URL, payload, {
@@ -76,10 +92,16 @@ async function subscribe() {
             }
         });
 
-        console.log('Response:', response.data);
+        console.log('Response:', JSON.stringify(response.data, null, 2));
+        if (response.data?.error) {
+            console.error('Subscription rejected by the registry');
+            process.exitCode = 1;
+            return;
+        }
         console.log('SUCCESS! Please check if you received a challenge on /on_subscribe');
     } catch (error) {
         console.error('Subscription failed:', error.response?.data || error.message);
+        process.exitCode = 1;
     }
 }
 
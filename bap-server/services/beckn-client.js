@@ -0,0 +1,295 @@
+/**
+ * Beckn Client - Signed POSTs to the network, with retries
+ *
+ * Sends one Beckn request and reads its synchronous answer:
+ *   - an ACK resolves with the response body
+ *   - a NACK (message.ack.status 'NACK', with any HTTP status) rejects
+ *     with a BecknNackError carrying the sender's error block; it is not
+ *     retried - the request was received and refused
+ *   - network errors, timeouts and 5xx are retried up to
+ *     BECKN_RETRY_ATTEMPTS times with jittered exponential backoff
+ *     (random delay up to BECKN_RETRY_BASE_MS * 2^attempt, capped at
+ *     BECKN_RETRY_MAX_MS)
+ *
+ * The Authorization header is valid for 30 seconds, so every attempt is
+ * signed again.
+ *
+ * Each destination URL has a circuit breaker: after
+ * BECKN_CIRCUIT_THRESHOLD failed attempts in a row it opens and requests
+ * fail at once with a CircuitOpenError; after BECKN_CIRCUIT_RESET_SECONDS
+ * it lets one request through (half-open) and closes again if that one
+ * gets an answer.
+ */
+
+const axios = require('axios');
+const { createAuthorizationHeader } = require('../crypto/sign');
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+};
+
+const DEFAULTS = {
+    retryAttempts: 3,
+    retryBaseMs: 500,
+    retryMaxMs: 8000,
+    timeoutMs: 30000,
+    circuitThreshold: 5,
+    circuitResetSeconds: 30,
+};
+
+// Destination URL → { state, failures, openedAt, trial }
+const circuits = new Map();
+
+/**
+ * A Beckn request the recipient answered with a NACK
+ */
+class BecknNackError extends Error {
+    /**
+     * @param {string} action - e.g. 'select'
+     * @param {string} url
+     * @param {object} [becknError] - The response's error block { type, code, message }
+     */
+    constructor(action, url, becknError) {
+        const reason = becknError
+            ? `${becknError.code || becknError.type || 'error'}: ${becknError.message || 'no message'}`
+            : 'no error given';
+        super(`/${action} NACKed by ${url} (${reason})`);
+        this.name = 'BecknNackError';
+        this.action = action;
+        this.url = url;
+        this.becknError = becknError || null;
+        this.statusCode = 502;
+    }
+}
+
+/**
+ * A request not sent because the destination's circuit is open
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} url
+     * @param {number} retryAt - Epoch ms when a trial request is let through
+     */
+    constructor(url, retryAt) {
+        super(`Circuit open for ${url} until ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.url = url;
+        this.retryAt = retryAt;
+        this.statusCode = 503;
+    }
+}
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+        ? value
+        : fallback;
+}
+
+/**
+ * Retry and circuit settings from the environment
+ * @returns {object}
+ */
+function getConfig() {
+    return {
+        retryAttempts: envNumber('BECKN_RETRY_ATTEMPTS', DEFAULTS.retryAttempts),
+        retryBaseMs: envNumber('BECKN_RETRY_BASE_MS', DEFAULTS.retryBaseMs),
+        retryMaxMs: envNumber('BECKN_RETRY_MAX_MS', DEFAULTS.retryMaxMs),
+        timeoutMs: envNumber('BECKN_REQUEST_TIMEOUT_MS', DEFAULTS.timeoutMs),
+        circuitThreshold: envNumber('BECKN_CIRCUIT_THRESHOLD', DEFAULTS.circuitThreshold),
+        circuitResetSeconds: envNumber('BECKN_CIRCUIT_RESET_SECONDS', DEFAULTS.circuitResetSeconds),
+    };
+}
+
+/**
+ * Delay before a retry: full jitter over an exponential ceiling
+ * @param {number} attempt - Retries done so far (0 for the first retry)
+ * @param {object} config
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, config) {
+    const ceiling = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Whether a failed attempt is worth repeating: no answer, or a 5xx
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (!error.response) return true;
+    return error.response.status >= 500;
+}
+
+/**
+ * The circuit for a URL
+ * @param {string} url
+ * @returns {object}
+ */
+function getCircuit(url) {
+    if (!circuits.has(url)) {
+        circuits.set(url, { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trial: false });
+    }
+    return circuits.get(url);
+}
+
+/**
+ * Let a request through the URL's circuit, or throw CircuitOpenError
+ * @param {string} url
+ * @param {object} config
+ */
+function enterCircuit(url, config) {
+    const circuit = getCircuit(url);
+    const retryAt = circuit.openedAt + config.circuitResetSeconds * 1000;
+
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+        if (Date.now() < retryAt) {
+            throw new CircuitOpenError(url, retryAt);
+        }
+        circuit.state = CIRCUIT_STATES.HALF_OPEN;
+        circuit.trial = false;
+        console.log(`[BECKN] Circuit half-open for ${url} - sending a trial request`);
+    }
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+        // One trial at a time; others fail fast until it is answered
+        if (circuit.trial) {
+            throw new CircuitOpenError(url, retryAt);
+        }
+        circuit.trial = true;
+    }
+}
+
+/**
+ * Record an attempt that got an answer (ACK, NACK or 4xx)
+ * @param {string} url
+ */
+function recordSuccess(url) {
+    const circuit = getCircuit(url);
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+        console.log(`[BECKN] Circuit closed for ${url}`);
+    }
+    circuits.set(url, { state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, trial: false });
+}
+
+/**
+ * Record an attempt that got no usable answer, opening the circuit at
+ * the threshold (or at once if it was a half-open trial)
+ * @param {string} url
+ * @param {object} config
+ */
+function recordFailure(url, config) {
+    const circuit = getCircuit(url);
+    circuit.failures += 1;
+    circuit.trial = false;
+
+    const trip = circuit.state === CIRCUIT_STATES.HALF_OPEN ||
+        (config.circuitThreshold > 0 && circuit.failures >= config.circuitThreshold);
+    if (trip && circuit.state !== CIRCUIT_STATES.OPEN) {
+        circuit.state = CIRCUIT_STATES.OPEN;
+        circuit.openedAt = Date.now();
+        console.warn(`[BECKN] Circuit open for ${url} after ${circuit.failures} failures - pausing ${config.circuitResetSeconds}s`);
+    }
+}
+
+/**
+ * Whether a response body is a NACK
+ * @param {object} data
+ * @returns {boolean}
+ */
+function isNack(data) {
+    return data?.message?.ack?.status === 'NACK';
+}
+
+/**
+ * POST a Beckn payload, signed, retrying until it is ACKed
+ * @param {string} url - Destination, e.g. {gateway}/search
+ * @param {string} action - Beckn action, for errors and logs
+ * @param {object} payload - Complete Beckn payload
+ * @returns {Promise<object>} The ACK response body
+ * @throws {BecknNackError} The recipient answered NACK
+ * @throws {CircuitOpenError} The URL's circuit is open
+ * @throws {Error} The last network/HTTP error once retries are used up
+ */
+async function post(url, action, payload) {
+    const config = getConfig();
+
+    for (let attempt = 0; ; attempt++) {
+        enterCircuit(url, config);
+
+        try {
+            const response = await axios.post(url, payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: createAuthorizationHeader(payload),
+                },
+                timeout: config.timeoutMs,
+            });
+
+            recordSuccess(url);
+            if (isNack(response.data)) {
+                throw new BecknNackError(action, url, response.data.error);
+            }
+            return response.data;
+        } catch (error) {
+            if (error instanceof BecknNackError) throw error;
+
+            // A NACK sent with a 4xx/5xx is still an answer
+            if (isNack(error.response?.data)) {
+                recordSuccess(url);
+                throw new BecknNackError(action, url, error.response.data.error);
+            }
+
+            // A 4xx is an answer too: the request is at fault, not the URL
+            if (!isRetryable(error)) {
+                recordSuccess(url);
+                throw error;
+            }
+
+            recordFailure(url, config);
+            if (attempt >= config.retryAttempts || getCircuit(url).state === CIRCUIT_STATES.OPEN) {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, config);
+            console.warn(`[BECKN] /${action} attempt ${attempt + 1} failed (${error.message}) - retrying in ${delay}ms`);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Circuit state per destination, for /health
+ * @returns {object}
+ */
+function getStats() {
+    return Object.fromEntries([...circuits].map(([url, circuit]) => [url, {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    }]));
+}
+
+/**
+ * Close every circuit
+ */
+function resetCircuits() {
+    circuits.clear();
+}
+
+module.exports = {
+    BecknNackError,
+    CircuitOpenError,
+    CIRCUIT_STATES,
+    post,
+    getStats,
+    resetCircuits,
+};
@@ -3,18 +3,44 @@
  * 
  * This service handles:
  * 1. Building Beckn-compliant request payloads
- * 2. Sending requests to the gateway/mock network
+ * 2. Sending requests to the gateway/mock network (beckn-client.js:
+ *    retries, NACKs as BecknNackError, circuit breaker per URL)
  * 3. Managing the BAP's outgoing Beckn flows
+ * 4. Tracking each sent message until its callback arrives: a request
+ *    not answered within its context ttl is timed out (recorded in the
+ *    store, 'timeout' event), and callers can wait for the answer with
+ *    waitForCallback()
  */
 
-const axios = require('axios');
 const {
     buildContext,
     generateMessageId,
     generateTransactionId,
     getTimestamp,
+    validatePackageDetails,
 } = require('../helpers');
-const { createAuthorizationHeader } = require('../crypto/sign');
+const becknClient = require('./beckn-client');
+const { validatePayload, isSchemaEnforced } = require('../schemas');
+const store = require('../store');
+const events = require('../events');
+const { REQUEST_STATES } = require('../message-log');
+
+// Used only when the app leaves a field blank
+const DEFAULT_PICKUP = {
+    gps: '28.6139,77.2090',
+    address: 'Pickup Location',
+    city: 'New Delhi',
+    state: 'Delhi',
+    pincode: '110001',
+};
+
+const DEFAULT_DROP = {
+    gps: '28.5355,77.3910',
+    address: 'Drop Location',
+    city: 'Noida',
+    state: 'Uttar Pradesh',
+    pincode: '201301',
+};
 
 /**
  * Get the target gateway URL based on mode
@@ -27,49 +53,319 @@ function getGatewayUrl() {
     return process.env.GATEWAY_URL || 'https://preprod.gateway.ondc.org';
 }
 
+/**
+ * Build a Beckn location from a pickup/drop point sent by the mobile app
+ * @param {object} point - { gps, address, building, locality, city, state, pincode }
+ * @param {object} defaults - DEFAULT_PICKUP or DEFAULT_DROP
+ * @returns {object} Beckn location
+ */
+function buildLocation(point = {}, defaults) {
+    return {
+        gps: point.gps || defaults.gps,
+        address: {
+            name: point.address || defaults.address,
+            building: point.building || '',
+            locality: point.locality || '',
+            city: point.city || defaults.city,
+            state: point.state || defaults.state,
+            country: 'IND',
+            area_code: point.pincode || defaults.pincode,
+        },
+    };
+}
+
+/**
+ * Build a fulfillment start/end with location and contact details
+ * @param {object} point - Pickup/drop point, optionally with contact: { name, phone, email }
+ * @param {object} defaults - DEFAULT_PICKUP or DEFAULT_DROP
+ * @returns {object} Beckn fulfillment start/end
+ */
+function buildFulfillmentStop(point = {}, defaults) {
+    const stop = {
+        location: buildLocation(point, defaults),
+    };
+
+    const contact = point.contact || {};
+    if (contact.phone || contact.email) {
+        stop.contact = {
+            phone: contact.phone || '',
+            email: contact.email || '',
+        };
+    }
+    if (contact.name) {
+        stop.person = { name: contact.name };
+    }
+
+    return stop;
+}
+
+/**
+ * Get the pickup/drop the user originally searched with
+ * @param {string} transactionId
+ * @returns {{ pickup: object, drop: object }}
+ */
+function getSearchedRoute(transactionId) {
+    const txn = store.getTransaction(transactionId);
+    if (!txn || !txn.search) {
+        throw new Error(`No search found for transaction ${transactionId}`);
+    }
+    return {
+        pickup: txn.search.pickup || {},
+        drop: txn.search.drop || {},
+    };
+}
+
+/**
+ * Build the order fulfillment for the searched route
+ * @param {string} transactionId
+ * @param {string} fulfillmentId
+ * @returns {object} Beckn fulfillment
+ */
+function buildRouteFulfillment(transactionId, fulfillmentId) {
+    const { pickup, drop } = getSearchedRoute(transactionId);
+    return {
+        id: fulfillmentId,
+        type: 'Delivery',
+        start: buildFulfillmentStop(pickup, DEFAULT_PICKUP),
+        end: buildFulfillmentStop(drop, DEFAULT_DROP),
+    };
+}
+
+/**
+ * Get the latest stored callback of one kind for a transaction
+ * @param {string} transactionId
+ * @param {string} key - Transaction field, e.g. 'initResults' or 'confirmResults'
+ * @returns {{ context: object, message: object }|null}
+ */
+function getLatestCallback(transactionId, key) {
+    const results = store.getTransaction(transactionId)?.[key] || [];
+    return results[results.length - 1] || null;
+}
+
+/**
+ * Get the order id and BPP of a confirmed order (from on_confirm)
+ * @param {string} transactionId
+ * @returns {{ orderId?: string, bppId?: string, bppUri?: string }}
+ */
+function getConfirmedOrder(transactionId) {
+    const onConfirm = getLatestCallback(transactionId, 'confirmResults');
+    if (!onConfirm) return {};
+    return {
+        orderId: onConfirm.message?.order?.id,
+        bppId: onConfirm.context?.bpp_id,
+        bppUri: onConfirm.context?.bpp_uri,
+    };
+}
+
 /**
  * Send a Beckn protocol request
+ * The payload is checked against its LOG10 schema first; when schemas are
+ * enforced an invalid payload is not sent and the error (statusCode 400)
+ * lists the field paths (error.details). Sent messages go into the
+ * transaction's message log so their callbacks can be correlated (a
+ * /search is logged when its transaction is created).
  * @param {string} action - Beckn action (search, select, init, etc.)
  * @param {object} payload - Complete Beckn payload with context and message
- * @returns {Promise<object>} Response from the recipient
+ * @returns {Promise<object>} ACK from the recipient
+ * @throws {BecknNackError} The recipient NACKed (error.becknError)
  */
 async function sendBecknRequest(action, payload) {
     const url = `${getGatewayUrl()}/${action}`;
 
+    const schemaCheck = validatePayload(action, payload);
+    if (!schemaCheck.valid) {
+        console.warn(`[BECKN] /${action} schema errors:`, schemaCheck.errors);
+        if (isSchemaEnforced()) {
+            const error = new Error(`Invalid /${action} payload: ${schemaCheck.errors.join('; ')}`);
+            error.details = schemaCheck.errors;
+            // Built from what the client sent, so a bad request rather than a server fault
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
     console.log(`[BECKN] Sending /${action} to ${url}`);
     console.log(`[BECKN] Transaction: ${payload.context.transaction_id}`);
     console.log(`[BECKN] Message: ${payload.context.message_id}`);
 
-    const headers = {
-        'Content-Type': 'application/json',
-        Authorization: createAuthorizationHeader(payload),
-    };
+    // Logged before sending: the callback may land before the ACK does
+    store.logRequest(payload.context.transaction_id, {
+        action,
+        messageId: payload.context.message_id,
+        bppId: payload.context.bpp_id,
+        ttl: payload.context.ttl,
+    });
 
     try {
-        const response = await axios.post(url, payload, {
-            headers,
-            timeout: 30000,
-        });
+        const response = await becknClient.post(url, action, payload);
 
         console.log(`[BECKN] /${action} ACK received`);
-        return response.data;
+        if (action !== 'search') {
+            scheduleTimeout(payload.context.transaction_id, payload.context.message_id);
+        }
+        return response;
     } catch (error) {
         console.error(`[BECKN] /${action} failed:`, error.message);
+        store.failRequest(payload.context.transaction_id, payload.context.message_id, error.message);
         throw error;
     }
 }
 
+/**
+ * Time out a sent request when its ttl passes without a callback
+ * @param {string} transactionId
+ * @param {string} messageId
+ */
+function scheduleTimeout(transactionId, messageId) {
+    const request = store.getRequest(transactionId, messageId);
+    if (!request?.expiresAt) return;
+
+    const delay = Math.max(0, Date.parse(request.expiresAt) - Date.now());
+    const timer = setTimeout(() => {
+        const expired = store.expireRequest(transactionId, messageId);
+        if (!expired) return;
+
+        const callbackAction = `on_${expired.request.action}`;
+        console.warn(`[BECKN] No ${callbackAction} for ${messageId} within ${expired.request.ttl} - txn: ${transactionId}`);
+        events.publish(transactionId, 'timeout', {
+            status: expired.txn.status,
+            updatedAt: expired.txn.updatedAt,
+            action: callbackAction,
+            messageId,
+        });
+    }, delay);
+    // Don't keep the process alive just for the timer
+    timer.unref();
+}
+
+/**
+ * Wait for the callback answering a sent request
+ * @param {string} transactionId
+ * @param {string} messageId - Request context.message_id
+ * @param {number} waitMs - Longest time to wait
+ * @returns {Promise<{ state: string, action?: string, callback?: object }>}
+ *   state 'answered' with the callback's action and stored data,
+ *   'timed_out' if the request's ttl passed, or 'pending' if waitMs did
+ */
+function waitForCallback(transactionId, messageId, waitMs) {
+    const answer = (action) => ({
+        state: REQUEST_STATES.ANSWERED,
+        action,
+        callback: store.getCallbackData(transactionId, action, messageId),
+    });
+
+    const request = store.getRequest(transactionId, messageId);
+    if (!request) {
+        return Promise.resolve({ state: REQUEST_STATES.PENDING });
+    }
+    if (request.state === REQUEST_STATES.ANSWERED) {
+        return Promise.resolve(answer(request.answeredBy));
+    }
+    if (request.state !== REQUEST_STATES.PENDING) {
+        return Promise.resolve({ state: request.state });
+    }
+
+    return new Promise((resolve) => {
+        const finish = (result) => {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish({ state: REQUEST_STATES.PENDING }), waitMs);
+        const unsubscribe = events.subscribe(transactionId, (event) => {
+            if (event.messageId !== messageId) return;
+            if (event.type === 'timeout') {
+                finish({ state: REQUEST_STATES.TIMED_OUT });
+            } else if (event.type.startsWith('on_') && !event.unsolicited) {
+                finish(answer(event.type));
+            }
+        });
+    });
+}
+
+/**
+ * Whether a waited-for callback means the request failed: an on_error,
+ * a callback carrying an error block (e.g. an unserviceable on_select)
+ * or no callback within the request's ttl
+ * @param {object|null} callback - From waitForCallback(), or null if not waited
+ * @returns {{ statusCode: number, becknError: object }|null} null if it went through or is still pending
+ */
+function getCallbackFailure(callback) {
+    if (callback?.state === REQUEST_STATES.TIMED_OUT) {
+        return {
+            statusCode: 504,
+            becknError: { type: 'CORE-ERROR', code: '504', message: 'No callback within the request ttl' },
+        };
+    }
+    const becknError = callback?.state === REQUEST_STATES.ANSWERED ? callback.callback?.error : null;
+    return becknError ? { statusCode: 502, becknError } : null;
+}
+
+/**
+ * Wait for a request's callback if the client asked to (?wait=) and build
+ * the API response: 200 while it is pending or once it is answered, 502
+ * for an on_error or error block, 504 for a timeout (with becknError),
+ * and 410 if the transaction left the store during the wait
+ * @param {object} params
+ * @param {string} params.transactionId
+ * @param {string} params.messageId - Request context.message_id
+ * @param {number|null} params.waitMs - parseWait().value; null answers at once
+ * @param {string} params.pendingStatus - Status shown without a callback, e.g. 'selecting'
+ * @param {string} params.pendingMessage - e.g. 'Select initiated. Await on_select callback.'
+ * @param {string} params.errorMessage - `error` of a failed response, e.g. 'Select failed'
+ * @returns {Promise<{ statusCode: number, body: object }>}
+ */
+async function buildCallbackResponse({ transactionId, messageId, waitMs, pendingStatus, pendingMessage, errorMessage }) {
+    const callback = waitMs ? await waitForCallback(transactionId, messageId, waitMs) : null;
+    const txn = callback ? store.getTransaction(transactionId) : null;
+
+    if (callback && !txn) {
+        return {
+            statusCode: 410,
+            body: {
+                success: false,
+                transactionId,
+                messageId,
+                error: errorMessage,
+                details: 'Transaction expired while waiting for its callback',
+            },
+        };
+    }
+
+    const failure = getCallbackFailure(callback);
+    return {
+        statusCode: failure ? failure.statusCode : 200,
+        body: {
+            success: !failure,
+            transactionId,
+            messageId,
+            status: txn ? txn.status : pendingStatus,
+            message: callback?.state === REQUEST_STATES.ANSWERED
+                ? `${callback.action} received.`
+                : failure?.becknError.message || pendingMessage,
+            ...(failure && { error: errorMessage, becknError: failure.becknError }),
+            ...(callback && { callback }),
+        },
+    };
+}
+
 /**
  * Build and send a /search request
  * @param {object} params - Search parameters
  * @param {object} params.pickup - Pickup location { gps, address }
  * @param {object} params.drop - Drop location { gps, address }
+ * @param {object} [params.packageDetails] - Package { weight, dimensions, category, value, dangerous_goods }
  * @param {string} [params.transactionId] - Transaction ID (auto-generated if not provided)
- * @returns {Promise<{ transactionId: string, messageId: string, response: object }>}
+ * @returns {Promise<{ transactionId: string, messageId: string, ttl: string, timestamp: string, response: object }>}
  */
-async function search({ pickup, drop, transactionId }) {
+async function search({ pickup, drop, packageDetails, transactionId }) {
     const txnId = transactionId || generateTransactionId();
     const msgId = generateMessageId();
+    const packageCheck = validatePackageDetails(packageDetails);
+    if (!packageCheck.valid) {
+        throw new Error(`Invalid package details: ${packageCheck.errors.join('; ')}`);
+    }
+    const pkg = packageCheck.value;
 
     const context = buildContext({
         action: 'search',
@@ -77,6 +373,8 @@ async function search({ pickup, drop, transactionId }) {
         messageId: msgId,
         bapId: process.env.SUBSCRIBER_ID || 'ondc-logistics-bap.example.com',
         bapUri: process.env.BAP_BASE_URL || 'http://localhost:3000',
+        // How long BPPs have to answer with on_search
+        ttl: process.env.TTL || 'PT30S',
     });
 
     const payload = {
@@ -101,32 +399,10 @@ async function search({ pickup, drop, transactionId }) {
                 fulfillment: {
                     type: 'Delivery',
                     start: {
-                        location: {
-                            gps: pickup.gps || '28.6139,77.2090',
-                            address: {
-                                name: pickup.address || 'Pickup Location',
-                                building: pickup.building || '',
-                                locality: pickup.locality || '',
-                                city: pickup.city || 'New Delhi',
-                                state: pickup.state || 'Delhi',
-                                country: 'IND',
-                                area_code: pickup.pincode || '110001',
-                            },
-                        },
+                        location: buildLocation(pickup, DEFAULT_PICKUP),
                     },
                     end: {
-                        location: {
-                            gps: drop.gps || '28.5355,77.3910',
-                            address: {
-                                name: drop.address || 'Drop Location',
-                                building: drop.building || '',
-                                locality: drop.locality || '',
-                                city: drop.city || 'Noida',
-                                state: drop.state || 'Uttar Pradesh',
-                                country: 'IND',
-                                area_code: drop.pincode || '201301',
-                            },
-                        },
+                        location: buildLocation(drop, DEFAULT_DROP),
                     },
                 },
                 payment: {
@@ -136,24 +412,28 @@ async function search({ pickup, drop, transactionId }) {
                 '@ondc/org/payload_details': {
                     weight: {
                         unit: 'kilogram',
-                        value: 5,
+                        value: pkg.weight,
                     },
                     dimensions: {
                         length: {
                             unit: 'centimeter',
-                            value: 30,
+                            value: pkg.dimensions.length,
                         },
                         breadth: {
                             unit: 'centimeter',
-                            value: 20,
+                            value: pkg.dimensions.breadth,
                         },
                         height: {
                             unit: 'centimeter',
-                            value: 15,
+                            value: pkg.dimensions.height,
                         },
                     },
-                    category: 'Grocery',
-                    dangerous_goods: false,
+                    category: pkg.category,
+                    value: {
+                        currency: 'INR',
+                        value: pkg.value.toFixed(2),
+                    },
+                    dangerous_goods: pkg.dangerous_goods,
                 },
             },
         },
@@ -164,6 +444,8 @@ async function search({ pickup, drop, transactionId }) {
     return {
         transactionId: txnId,
         messageId: msgId,
+        ttl: context.ttl,
+        timestamp: context.timestamp,
         response,
     };
 }
@@ -210,38 +492,7 @@ async function select({ transactionId, providerId, itemId, fulfillmentId, bppId,
                     },
                 ],
                 fulfillments: [
-                    {
-                        id: fulfillmentId,
-                        type: 'Delivery',
-                        start: {
-                            location: {
-                                gps: '28.6139,77.2090',
-                                address: {
-                                    name: 'Pickup Location',
-                                    building: '',
-                                    locality: '',
-                                    city: 'New Delhi',
-                                    state: 'Delhi',
-                                    country: 'IND',
-                                    area_code: '110001',
-                                },
-                            },
-                        },
-                        end: {
-                            location: {
-                                gps: '28.5355,77.3910',
-                                address: {
-                                    name: 'Drop Location',
-                                    building: '',
-                                    locality: '',
-                                    city: 'Noida',
-                                    state: 'Uttar Pradesh',
-                                    country: 'IND',
-                                    area_code: '201301',
-                                },
-                            },
-                        },
-                    },
+                    buildRouteFulfillment(transactionId, fulfillmentId),
                 ],
             },
         },
@@ -311,38 +562,7 @@ async function init({ transactionId, providerId, itemId, fulfillmentId, bppId, b
                     updated_at: getTimestamp(),
                 },
                 fulfillments: [
-                    {
-                        id: fulfillmentId,
-                        type: 'Delivery',
-                        start: {
-                            location: {
-                                gps: '28.6139,77.2090',
-                                address: {
-                                    name: 'Pickup Location',
-                                    building: '',
-                                    locality: '',
-                                    city: 'New Delhi',
-                                    state: 'Delhi',
-                                    country: 'IND',
-                                    area_code: '110001',
-                                },
-                            },
-                        },
-                        end: {
-                            location: {
-                                gps: '28.5355,77.3910',
-                                address: {
-                                    name: 'Drop Location',
-                                    building: '',
-                                    locality: '',
-                                    city: 'Noida',
-                                    state: 'Uttar Pradesh',
-                                    country: 'IND',
-                                    area_code: '201301',
-                                },
-                            },
-                        },
-                    },
+                    buildRouteFulfillment(transactionId, fulfillmentId),
                 ],
                 payment: {
                     type: 'POST-FULFILLMENT',
@@ -367,9 +587,11 @@ async function init({ transactionId, providerId, itemId, fulfillmentId, bppId, b
 
 /**
  * Build and send a /confirm request
+ * Billing, payment and quote default to what the BPP returned in on_init.
  */
 async function confirm({ transactionId, providerId, itemId, fulfillmentId, bppId, bppUri, billing, payment }) {
     const msgId = generateMessageId();
+    const initOrder = getLatestCallback(transactionId, 'initResults')?.message?.order || {};
     const context = buildContext({
         action: 'confirm',
         transactionId,
@@ -387,8 +609,10 @@ async function confirm({ transactionId, providerId, itemId, fulfillmentId, bppId
             order: {
                 provider: { id: providerId },
                 items: [{ id: itemId, fulfillment_id: fulfillmentId }],
-                billing,
-                payment: payment || {
+                fulfillments: [buildRouteFulfillment(transactionId, fulfillmentId)],
+                billing: billing || initOrder.billing,
+                quote: initOrder.quote,
+                payment: payment || initOrder.payment || {
                     type: 'POST-FULFILLMENT',
                     collected_by: 'BAP',
                 }
@@ -402,23 +626,25 @@ async function confirm({ transactionId, providerId, itemId, fulfillmentId, bppId
 
 /**
  * Build and send a /status request
+ * Order id and BPP default to those from on_confirm.
  */
-async function status({ transactionId, bppId, bppUri }) {
+async function status({ transactionId, orderId, bppId, bppUri }) {
     const msgId = generateMessageId();
+    const confirmed = getConfirmedOrder(transactionId);
     const context = buildContext({
         action: 'status',
         transactionId,
         messageId: msgId,
         bapId: process.env.SUBSCRIBER_ID || 'ondc-logistics-bap.example.com',
         bapUri: process.env.BAP_BASE_URL || 'http://localhost:3000',
-        bppId,
-        bppUri,
+        bppId: bppId || confirmed.bppId,
+        bppUri: bppUri || confirmed.bppUri,
     });
 
     const payload = {
         context,
         message: {
-            order_id: transactionId
+            order_id: orderId || confirmed.orderId || transactionId
         }
     };
 
@@ -428,23 +654,25 @@ async function status({ transactionId, bppId, bppUri }) {
 
 /**
  * Build and send a /cancel request
+ * Order id and BPP default to those from on_confirm.
  */
-async function cancel({ transactionId, cancellationReasonId, bppId, bppUri }) {
+async function cancel({ transactionId, orderId, cancellationReasonId, bppId, bppUri }) {
     const msgId = generateMessageId();
+    const confirmed = getConfirmedOrder(transactionId);
     const context = buildContext({
         action: 'cancel',
         transactionId,
         messageId: msgId,
         bapId: process.env.SUBSCRIBER_ID || 'ondc-logistics-bap.example.com',
         bapUri: process.env.BAP_BASE_URL || 'http://localhost:3000',
-        bppId,
-        bppUri,
+        bppId: bppId || confirmed.bppId,
+        bppUri: bppUri || confirmed.bppUri,
     });
 
     const payload = {
         context,
         message: {
-            order_id: transactionId,
+            order_id: orderId || confirmed.orderId || transactionId,
             cancellation_reason_id: cancellationReasonId
         }
     };
@@ -461,5 +689,10 @@ module.exports = {
     status,
     cancel,
     sendBecknRequest,
+    waitForCallback,
+    getCallbackFailure,
+    buildCallbackResponse,
     getGatewayUrl,
+    buildLocation,
+    buildFulfillmentStop,
 };
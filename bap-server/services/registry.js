@@ -0,0 +1,177 @@
+/**
+ * Registry Client - ONDC /lookup with a public-key cache
+ *
+ * Resolves the keyId of an incoming Authorization header
+ * ("subscriber_id|unique_key_id|ed25519") to the sender's signing
+ * public key by calling the registry's /lookup API.
+ *
+ * Keys are cached per subscriber_id|unique_key_id until the earlier of
+ * REGISTRY_CACHE_TTL_SECONDS and the registry entry's valid_until.
+ * Concurrent lookups for the same key share one request.
+ *
+ * In DEV_MODE the registry defaults to the mock network's stand-in
+ * registry (MOCK_SELLER_URL/registry).
+ */
+
+const axios = require('axios');
+
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const LOOKUP_TIMEOUT_MS = 5000;
+
+// `${subscriberId}|${uniqueKeyId}` → { publicKey, subscriber, expiresAt }
+const cache = new Map();
+// `${subscriberId}|${uniqueKeyId}` → Promise of a lookup in flight
+const inFlight = new Map();
+
+/**
+ * Get the registry base URL based on mode
+ * @returns {string} Registry URL (without /lookup)
+ */
+function getRegistryUrl() {
+    if (process.env.REGISTRY_URL) {
+        return process.env.REGISTRY_URL;
+    }
+    if (process.env.DEV_MODE === 'true') {
+        return `${process.env.MOCK_SELLER_URL || 'http://localhost:4000'}/registry`;
+    }
+    return 'https://preprod.registry.ondc.org/ondc';
+}
+
+function getCacheTtlMs() {
+    const seconds = parseInt(process.env.REGISTRY_CACHE_TTL_SECONDS, 10);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Split an Authorization keyId into its parts
+ * @param {string} keyId - "subscriber_id|unique_key_id|algorithm"
+ * @returns {{ subscriberId: string, uniqueKeyId: string, algorithm: string }|null}
+ */
+function parseKeyId(keyId) {
+    const parts = String(keyId || '').split('|');
+    if (parts.length !== 3 || parts.some((part) => !part)) {
+        return null;
+    }
+    const [subscriberId, uniqueKeyId, algorithm] = parts;
+    return { subscriberId, uniqueKeyId, algorithm };
+}
+
+/**
+ * Call the registry's /lookup API
+ * @param {object} criteria - e.g. { subscriber_id, ukId, domain, type }
+ * @returns {Promise<Array>} Matching subscriber entries
+ */
+async function lookup(criteria) {
+    const url = `${getRegistryUrl()}/lookup`;
+    const response = await axios.post(url, criteria, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: LOOKUP_TIMEOUT_MS,
+    });
+
+    if (!Array.isArray(response.data)) {
+        throw new Error(`Unexpected /lookup response from ${url}`);
+    }
+    return response.data;
+}
+
+/**
+ * Check a registry entry is subscribed and inside its validity window
+ * @param {object} entry
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+function isUsable(entry, now) {
+    if (!entry.signing_public_key) return false;
+    if (entry.status && entry.status !== 'SUBSCRIBED') return false;
+    if (entry.valid_from && Date.parse(entry.valid_from) > now) return false;
+    if (entry.valid_until && Date.parse(entry.valid_until) <= now) return false;
+    return true;
+}
+
+/**
+ * Look up a signing key in the registry and cache it
+ * @param {string} subscriberId
+ * @param {string} uniqueKeyId
+ * @returns {Promise<object|null>} Cache entry, or null if not registered
+ */
+async function fetchSigningKey(subscriberId, uniqueKeyId) {
+    const entries = await lookup({ subscriber_id: subscriberId, ukId: uniqueKeyId });
+    const now = Date.now();
+    const entry = entries.find((e) =>
+        e.subscriber_id === subscriberId &&
+        (!e.ukId || e.ukId === uniqueKeyId) &&
+        isUsable(e, now)
+    );
+
+    if (!entry) {
+        console.warn(`[REGISTRY] No valid key for ${subscriberId}|${uniqueKeyId}`);
+        return null;
+    }
+
+    const validUntil = entry.valid_until ? Date.parse(entry.valid_until) : Infinity;
+    const cached = {
+        publicKey: entry.signing_public_key,
+        subscriber: entry,
+        expiresAt: Math.min(now + getCacheTtlMs(), validUntil),
+    };
+    cache.set(`${subscriberId}|${uniqueKeyId}`, cached);
+    console.log(`[REGISTRY] Cached key for ${subscriberId}|${uniqueKeyId}`);
+    return cached;
+}
+
+/**
+ * Get a subscriber's signing public key, from cache or the registry
+ * @param {string} subscriberId
+ * @param {string} uniqueKeyId
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Skip the cache (e.g. after a failed verification)
+ * @returns {Promise<{ publicKey: string, subscriber: object, cached: boolean }|null>}
+ */
+async function getSigningKey(subscriberId, uniqueKeyId, { refresh = false } = {}) {
+    const cacheKey = `${subscriberId}|${uniqueKeyId}`;
+    const hit = cache.get(cacheKey);
+
+    if (hit && !refresh && hit.expiresAt > Date.now()) {
+        return { publicKey: hit.publicKey, subscriber: hit.subscriber, cached: true };
+    }
+    cache.delete(cacheKey);
+
+    if (!inFlight.has(cacheKey)) {
+        inFlight.set(
+            cacheKey,
+            fetchSigningKey(subscriberId, uniqueKeyId).finally(() => inFlight.delete(cacheKey))
+        );
+    }
+
+    const fetched = await inFlight.get(cacheKey);
+    return fetched
+        ? { publicKey: fetched.publicKey, subscriber: fetched.subscriber, cached: false }
+        : null;
+}
+
+/**
+ * Drop every cached key
+ */
+function clearCache() {
+    cache.clear();
+}
+
+/**
+ * Cache size and registry in use, for /health
+ * @returns {object}
+ */
+function getStats() {
+    return {
+        url: getRegistryUrl(),
+        cachedKeys: cache.size,
+    };
+}
+
+module.exports = {
+    getRegistryUrl,
+    parseKeyId,
+    lookup,
+    getSigningKey,
+    clearCache,
+    getStats,
+};
@@ -0,0 +1,80 @@
+/**
+ * ONDC Site Verification
+ *
+ * The registry checks a /subscribe request by fetching
+ * {subscriber}/ondc-site-verification.html and verifying the ed25519
+ * signature of the request_id in its meta tag. The file lives in
+ * public/.well-known/ and is served at the site root by
+ * routes/on_subscribe.js.
+ *
+ * Files signed for the mock registry go to data/ (git-ignored) instead,
+ * so rehearsing onboarding never touches the committed production file.
+ * In DEV_MODE that copy is served when it exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('./crypto');
+
+const SITE_VERIFICATION_PATH = path.resolve(__dirname, 'public/.well-known/ondc-site-verification.html');
+const MOCK_SITE_VERIFICATION_PATH = path.resolve(__dirname, 'data/mock-site-verification.html');
+
+/**
+ * Build ondc-site-verification.html for a signed request_id
+ * @param {string} signedValue - Base64 ed25519 signature of the request_id
+ * @returns {string} HTML
+ */
+function buildSiteVerificationHtml(signedValue) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>ONDC Site Verification</title>
+    <meta name="ondc-site-verification" content="${signedValue}" />
+</head>
+<body>
+    <h1>ONDC Site Verification</h1>
+    <p>This file is used for domain verification by ONDC.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Sign a request_id with PRIVATE_KEY and write the verification file
+ * @param {string} requestId - request_id / unique_req_id of the /subscribe call
+ * @param {object} [options]
+ * @param {boolean} [options.mock] - Write the mock registry's copy in data/
+ * @returns {{ signedValue: string, filePath: string }}
+ */
+function writeSiteVerification(requestId, { mock = false } = {}) {
+    const privateKey = process.env.PRIVATE_KEY;
+    if (!privateKey) {
+        throw new Error('PRIVATE_KEY not found in environment variables');
+    }
+
+    const filePath = mock ? MOCK_SITE_VERIFICATION_PATH : SITE_VERIFICATION_PATH;
+    const signedValue = crypto.sign(requestId, privateKey);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buildSiteVerificationHtml(signedValue), 'utf8');
+    return { signedValue, filePath };
+}
+
+/**
+ * The verification file to serve: the mock copy in DEV_MODE if one was
+ * written, the committed file otherwise
+ * @returns {string} Absolute path
+ */
+function getSiteVerificationPath() {
+    if (process.env.DEV_MODE === 'true' && fs.existsSync(MOCK_SITE_VERIFICATION_PATH)) {
+        return MOCK_SITE_VERIFICATION_PATH;
+    }
+    return SITE_VERIFICATION_PATH;
+}
+
+module.exports = {
+    SITE_VERIFICATION_PATH,
+    MOCK_SITE_VERIFICATION_PATH,
+    buildSiteVerificationHtml,
+    writeSiteVerification,
+    getSiteVerificationPath,
+};
@@ -0,0 +1,266 @@
+/**
+ * Append-Only JSON File Storage Backend
+ *
+ * Every save/remove is appended to a JSON-lines log as
+ *   { "op": "save", "txn": { ... } }  or  { "op": "remove", "transactionId": "..." }
+ *
+ * On startup the log is replayed into memory and compacted so it only
+ * holds the latest copy of each live transaction. Reads are served from
+ * memory; the file is only written, never read, while the server runs.
+ *
+ * Writes are coalesced: changes are queued per transaction and flushed
+ * in one asynchronous append STORE_FLUSH_MS later, so a burst of updates
+ * to one transaction (callback, status change, ...) is logged once, off
+ * the request path. A failed write puts its changes back in the queue
+ * and is retried STORE_WRITE_RETRY_MS later. Pending changes are written
+ * synchronously on exit, and on SIGTERM/SIGINT before exiting.
+ * When the log holds more than STORE_COMPACT_MIN_ENTRIES lines and over
+ * twice as many as there are live transactions, the flush rewrites it
+ * as a compact snapshot instead of appending.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryBackend } = require('./memory-backend');
+
+const DEFAULT_FLUSH_MS = 100;
+const DEFAULT_COMPACT_MIN_ENTRIES = 1000;
+const DEFAULT_WRITE_RETRY_MS = 1000;
+// Compact once the log holds this many lines per live transaction
+const COMPACT_RATIO = 2;
+
+/**
+ * Replay a log file into a memory backend
+ * @param {string} filePath
+ * @param {object} memory - Memory backend to populate
+ * @returns {number} Number of log lines read
+ */
+function replayLog(filePath, memory) {
+    if (!fs.existsSync(filePath)) return 0;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    let count = 0;
+
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        count += 1;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            // A crash mid-append can leave a truncated last line
+            console.warn(`[STORE] Skipping unreadable log line ${count} in ${filePath}`);
+            continue;
+        }
+
+        if (entry.op === 'save' && entry.txn?.transactionId) {
+            memory.save(entry.txn);
+        } else if (entry.op === 'remove') {
+            memory.remove(entry.transactionId);
+        }
+    }
+
+    return count;
+}
+
+/**
+ * One 'save' log line per live transaction
+ * @param {object} memory
+ * @returns {string[]}
+ */
+function snapshotLines(memory) {
+    return memory.keys().map((id) => JSON.stringify({ op: 'save', txn: memory.get(id) }));
+}
+
+/**
+ * Rewrite the log so it holds one 'save' entry per live transaction
+ * @param {string} filePath
+ * @param {object} memory
+ * @returns {number} Number of lines written
+ */
+function compactLog(filePath, memory) {
+    const tmpPath = `${filePath}.tmp`;
+    const lines = snapshotLines(memory);
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', 'utf8');
+    fs.renameSync(tmpPath, filePath);
+    return lines.length;
+}
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Create a file-backed storage backend
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Log file path (default: STORE_FILE or data/transactions.jsonl)
+ * @param {number} [options.flushMs] - Write delay (default: STORE_FLUSH_MS or 100)
+ * @param {number} [options.compactMinEntries] - Log size before compacting (default: STORE_COMPACT_MIN_ENTRIES or 1000)
+ * @returns {object} Storage backend
+ */
+function createFileBackend({ filePath, flushMs, compactMinEntries } = {}) {
+    const logPath = path.resolve(
+        filePath || process.env.STORE_FILE || path.join(__dirname, '..', 'data', 'transactions.jsonl')
+    );
+    const flushDelay = flushMs ?? envInteger('STORE_FLUSH_MS', DEFAULT_FLUSH_MS);
+    const compactThreshold = compactMinEntries ?? envInteger('STORE_COMPACT_MIN_ENTRIES', DEFAULT_COMPACT_MIN_ENTRIES);
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+
+    const memory = createMemoryBackend();
+    const replayed = replayLog(logPath, memory);
+    let logEntries = compactLog(logPath, memory);
+
+    console.log(`[STORE] File backend: ${logPath} (${memory.keys().length} transactions, ${replayed} log entries replayed)`);
+
+    // transactionId → 'save' | 'remove', written by the next flush
+    const pending = new Map();
+    let flushTimer = null;
+    // Writes run one after another so the log keeps their order
+    let writing = Promise.resolve();
+    let writesInFlight = 0;
+    const retryDelay = envInteger('STORE_WRITE_RETRY_MS', DEFAULT_WRITE_RETRY_MS);
+
+    function pendingLines() {
+        const lines = [...pending].map(([transactionId, op]) => JSON.stringify(
+            op === 'save' ? { op, txn: memory.get(transactionId) } : { op, transactionId }
+        ));
+        pending.clear();
+        return lines;
+    }
+
+    /**
+     * Queue the changes of a failed write again, unless a newer change to
+     * the same transaction was queued meanwhile
+     * @param {Array<[string, string]>} ops - [transactionId, op] pairs
+     */
+    function requeue(ops) {
+        for (const [transactionId, op] of ops) {
+            if (!pending.has(transactionId)) pending.set(transactionId, op);
+        }
+        if (pending.size > 0 && !flushTimer) {
+            flushTimer = setTimeout(flush, retryDelay);
+            flushTimer.unref();
+        }
+    }
+
+    function shouldCompact() {
+        const entries = logEntries + pending.size;
+        return entries > compactThreshold && entries > memory.keys().length * COMPACT_RATIO;
+    }
+
+    function flush() {
+        if (flushTimer) clearTimeout(flushTimer);
+        flushTimer = null;
+        if (pending.size === 0) return writing;
+
+        const ops = [...pending];
+        const before = logEntries;
+        let write;
+
+        if (shouldCompact()) {
+            pending.clear();
+            const lines = snapshotLines(memory);
+            logEntries = lines.length;
+            const tmpPath = `${logPath}.tmp`;
+            write = () => fs.promises.writeFile(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', 'utf8')
+                .then(() => fs.promises.rename(tmpPath, logPath))
+                .then(() => console.log(`[STORE] Compacted ${logPath}: ${before} → ${lines.length} entries`));
+        } else {
+            const lines = pendingLines();
+            logEntries += lines.length;
+            write = () => fs.promises.appendFile(logPath, lines.join('\n') + '\n', 'utf8');
+        }
+
+        writesInFlight += 1;
+        writing = writing
+            .then(write)
+            .catch((err) => {
+                console.error(`[STORE] Could not write ${logPath}, retrying in ${retryDelay}ms:`, err.message);
+                logEntries = before;
+                requeue(ops);
+            })
+            .finally(() => {
+                writesInFlight -= 1;
+            });
+        return writing;
+    }
+
+    function schedule(transactionId, op) {
+        pending.set(transactionId, op);
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, flushDelay);
+            // Pending changes are written on exit instead
+            flushTimer.unref();
+        }
+    }
+
+    // The event loop is done by now, so no asynchronous write is in flight
+    process.on('exit', () => {
+        if (pending.size === 0) return;
+        fs.appendFileSync(logPath, pendingLines().join('\n') + '\n', 'utf8');
+    });
+
+    // An asynchronous write may still be running here, and an append
+    // written now could land before it; a snapshot of memory holds
+    // everything, whatever that write does
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            if (pending.size > 0 || writesInFlight > 0) {
+                pending.clear();
+                compactLog(logPath, memory);
+            }
+            console.log(`[STORE] ${signal}: ${logPath} written, exiting`);
+            process.exit(0);
+        });
+    }
+
+    return {
+        name: 'file',
+        filePath: logPath,
+
+        get(transactionId) {
+            return memory.get(transactionId);
+        },
+
+        save(txn) {
+            memory.save(txn);
+            schedule(txn.transactionId, 'save');
+        },
+
+        remove(transactionId) {
+            const removed = memory.remove(transactionId);
+            if (removed) schedule(transactionId, 'remove');
+            return removed;
+        },
+
+        keys() {
+            return memory.keys();
+        },
+
+        clear() {
+            memory.clear();
+            pending.clear();
+            if (flushTimer) clearTimeout(flushTimer);
+            flushTimer = null;
+            logEntries = compactLog(logPath, memory);
+        },
+
+        /**
+         * Write pending changes now
+         * @returns {Promise<void>} Resolves once they are on disk
+         */
+        flush,
+    };
+}
+
+module.exports = {
+    createFileBackend,
+};
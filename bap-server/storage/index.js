@@ -0,0 +1,43 @@
+/**
+ * Storage Backends for the Transaction Store
+ *
+ * Every backend implements the same synchronous interface:
+ *   get(transactionId)    → txn | null
+ *   save(txn)             → persist the full transaction
+ *   remove(transactionId) → boolean
+ *   keys()                → string[]
+ *   clear()
+ *
+ * Selected with STORE_BACKEND:
+ *   memory (default) - lost on restart, used in tests
+ *   file             - append-only JSON-lines log at STORE_FILE (writes
+ *                      coalesced and flushed asynchronously)
+ */
+
+const { createMemoryBackend } = require('./memory-backend');
+const { createFileBackend } = require('./file-backend');
+
+const BACKENDS = {
+    memory: createMemoryBackend,
+    file: createFileBackend,
+};
+
+/**
+ * Create a storage backend by name
+ * @param {string} [type] - Backend name (defaults to STORE_BACKEND or 'memory')
+ * @param {object} [options] - Backend-specific options
+ * @returns {object} Storage backend
+ */
+function createBackend(type = process.env.STORE_BACKEND || 'memory', options = {}) {
+    const factory = BACKENDS[type];
+    if (!factory) {
+        throw new Error(`Unknown STORE_BACKEND "${type}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    createBackend,
+    createMemoryBackend,
+    createFileBackend,
+};
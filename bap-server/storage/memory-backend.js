@@ -0,0 +1,57 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Holds transactions in a Map. Nothing survives a restart, which makes
+ * this the default for development and tests.
+ */
+
+/**
+ * Create an in-memory backend
+ * @returns {object} Storage backend
+ */
+function createMemoryBackend() {
+    const transactions = new Map();
+
+    return {
+        name: 'memory',
+
+        /**
+         * @param {string} transactionId
+         * @returns {object|null}
+         */
+        get(transactionId) {
+            return transactions.get(transactionId) || null;
+        },
+
+        /**
+         * Insert or replace a transaction
+         * @param {object} txn - Transaction with a transactionId
+         */
+        save(txn) {
+            transactions.set(txn.transactionId, txn);
+        },
+
+        /**
+         * @param {string} transactionId
+         * @returns {boolean} Whether an entry was removed
+         */
+        remove(transactionId) {
+            return transactions.delete(transactionId);
+        },
+
+        /**
+         * @returns {string[]}
+         */
+        keys() {
+            return Array.from(transactions.keys());
+        },
+
+        clear() {
+            transactions.clear();
+        },
+    };
+}
+
+module.exports = {
+    createMemoryBackend,
+};
@@ -1,50 +1,358 @@
 /**
- * In-Memory Store for BAP Server
+ * Transaction Store for BAP Server
  * 
  * Maintains transaction state, catalogs, and selections.
- * No database required — all state is held in memory.
+ * Persistence is delegated to a storage backend (see ./storage):
+ * in-memory by default, or an append-only JSON file with STORE_BACKEND=file.
  * 
  * Structure:
  *  transactions[transactionId] = {
  *    transactionId,
  *    messageId,
- *    status,       // 'searching' | 'results_ready' | 'selected' | 'initialized' | 'confirmed' | 'error'
+ *    status,       // see ORDER_STATUS in ./order-state
+ *    history,      // status transitions [{ from, to, source, at, rejected?, rollback? }]
  *    search,       // original search request body
- *    catalogs,     // array of on_search results (providers)
+ *    searchWindow, // { ttl, startedAt, expiresAt } - on_search is accepted until expiresAt
+ *    catalogs,     // on_search results, one per bpp_id + message_id (providers merged by id)
+ *    lateCatalogs, // on_search results that arrived after the search window
+ *    lateCallbacks, // on_select/on_init/on_confirm answering a request that had timed out
  *    selections,   // select results
  *    initResults,  // init results
+ *    confirmResults, // on_confirm results
+ *    cancelResults,  // on_cancel results
  *    statusResults,// status results
+ *    updateResults,  // on_update results
+ *    trackResults,   // on_track results (tracking url, agent location)
+ *    supportResults, // on_support results (support contacts)
  *    errors,       // error results
+ *    messages,     // message log: requests sent and callbacks accepted (see ./message-log)
  *    createdAt,
  *    updatedAt,
  *  }
+ * 
+ * Retention:
+ *  Transactions expire after a period of inactivity (measured from updatedAt)
+ *  that depends on how far they progressed, and the store is capped at
+ *  STORE_MAX_ENTRIES with least-recently-used eviction. A periodic sweeper
+ *  removes expired entries; eviction counts are reported by getStats().
+ *
+ * Search window:
+ *  A search collects on_search callbacks for its context ttl (PT30S by
+ *  default). A 'search_complete' event is published when the window
+ *  closes; catalogs arriving later are kept apart in lateCatalogs.
+ *  The timers are re-armed when a persisted store is loaded.
+ *
+ * Late callbacks:
+ *  A select, init or confirm that got no callback within its ttl is
+ *  timed out and its pending status rolled back. An on_select, on_init
+ *  or on_confirm answering it afterwards is flagged late and kept apart
+ *  in lateCallbacks: it neither moves the status nor shows up as a
+ *  quote or order. A late on_error is recorded but rolls nothing back.
+ *
+ * Catalog merging:
+ *  A BPP may retry an on_search or send its catalog in several parts.
+ *  Catalogs are kept once per bpp_id + message_id; a repeat replaces
+ *  providers, items, fulfillments and locations with the same id and
+ *  appends new ones, so nothing is listed twice.
  */
 
+const { createBackend } = require('./storage');
+const {
+    ORDER_STATUS,
+    transition,
+    rollback,
+    record,
+    statusFromBecknOrderState,
+    PENDING_STATUS_BY_ACTION,
+} = require('./order-state');
+const events = require('./events');
+const messageLog = require('./message-log');
+const { parseDurationToSeconds } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+const retention = {
+    // Searches that never got past results_ready
+    searchTtlMs: Number(process.env.STORE_SEARCH_TTL_MINUTES || 30) * MINUTE,
+    // Selected/initialized but never confirmed
+    checkoutTtlMs: Number(process.env.STORE_CHECKOUT_TTL_MINUTES || 120) * MINUTE,
+    // Confirmed (and later) orders
+    orderTtlMs: Number(process.env.STORE_ORDER_TTL_MINUTES || 7 * 24 * 60) * MINUTE,
+    maxEntries: Number(process.env.STORE_MAX_ENTRIES || 1000),
+    sweepIntervalMs: Number(process.env.STORE_SWEEP_INTERVAL_SECONDS || 60) * 1000,
+};
+
+const SEARCH_STATUSES = [ORDER_STATUS.SEARCHING, ORDER_STATUS.RESULTS_READY];
+const CHECKOUT_STATUSES = [
+    ORDER_STATUS.SELECTING,
+    ORDER_STATUS.SELECTED,
+    ORDER_STATUS.INITIALIZING,
+    ORDER_STATUS.INITIALIZED,
+    ORDER_STATUS.CONFIRMING,
+];
+
 const store = {
-    transactions: {},
+    backend: createBackend(),
+    // transactionId → last access time, in least-recently-used order
+    recency: new Map(),
+    evictions: { expired: 0, lru: 0 },
+    lastSweepAt: null,
+    sweeper: null,
 };
 
+seedRecency();
+resumeSearchWindows();
+
+/**
+ * Replace the storage backend (e.g. a fresh memory backend in tests)
+ * @param {object} backend - Storage backend from ./storage
+ */
+function setBackend(backend) {
+    store.backend = backend;
+    seedRecency();
+    resumeSearchWindows();
+}
+
+/**
+ * Rebuild the LRU order from whatever the backend already holds
+ */
+function seedRecency() {
+    store.recency.clear();
+    const entries = store.backend.keys()
+        .map((id) => [id, Date.parse(store.backend.get(id)?.updatedAt) || Date.now()])
+        .sort((a, b) => a[1] - b[1]);
+    for (const [id, at] of entries) {
+        store.recency.set(id, at);
+    }
+}
+
+/**
+ * Mark a transaction as most recently used
+ * @param {string} transactionId 
+ */
+function touch(transactionId) {
+    store.recency.delete(transactionId);
+    store.recency.set(transactionId, Date.now());
+}
+
+/**
+ * Remove a transaction from the backend and the LRU index
+ * @param {string} transactionId 
+ * @param {'expired'|'lru'} reason 
+ */
+function evict(transactionId, reason) {
+    store.backend.remove(transactionId);
+    store.recency.delete(transactionId);
+    store.evictions[reason] += 1;
+    console.log(`[STORE] Evicted txn ${transactionId} (${reason})`);
+}
+
+/**
+ * How long a transaction is kept after its last update
+ * @param {object} txn 
+ * @returns {number} Milliseconds
+ */
+function getTtlMs(txn) {
+    if (SEARCH_STATUSES.includes(txn.status)) return retention.searchTtlMs;
+    if (CHECKOUT_STATUSES.includes(txn.status)) return retention.checkoutTtlMs;
+    return retention.orderTtlMs;
+}
+
+/**
+ * Evict least-recently-used transactions until the store is within maxEntries
+ */
+function enforceMaxEntries() {
+    while (store.recency.size > retention.maxEntries) {
+        const oldest = store.recency.keys().next().value;
+        evict(oldest, 'lru');
+    }
+}
+
+/**
+ * Remove all transactions whose TTL has elapsed
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {number} Number of transactions removed
+ */
+function sweepExpired(now = Date.now()) {
+    let removed = 0;
+    for (const transactionId of store.backend.keys()) {
+        const txn = store.backend.get(transactionId);
+        const updatedAt = Date.parse(txn?.updatedAt) || 0;
+        if (!txn || now - updatedAt > getTtlMs(txn)) {
+            evict(transactionId, 'expired');
+            removed += 1;
+        }
+    }
+    store.lastSweepAt = new Date(now).toISOString();
+    return removed;
+}
+
+/**
+ * Start the periodic expiry sweeper (no-op if already running)
+ */
+function startSweeper() {
+    if (store.sweeper) return;
+    store.sweeper = setInterval(() => {
+        const removed = sweepExpired();
+        if (removed > 0) {
+            console.log(`[STORE] Sweep removed ${removed} expired transactions`);
+        }
+    }, retention.sweepIntervalMs);
+    // Don't keep the process alive just for the sweeper
+    store.sweeper.unref();
+}
+
+/**
+ * Stop the periodic expiry sweeper
+ */
+function stopSweeper() {
+    if (!store.sweeper) return;
+    clearInterval(store.sweeper);
+    store.sweeper = null;
+}
+
+/**
+ * Store size and eviction counters (exposed on /health)
+ * @returns {object}
+ */
+function getStats() {
+    return {
+        backend: store.backend.name,
+        size: store.recency.size,
+        maxEntries: retention.maxEntries,
+        evictions: { ...store.evictions },
+        lastSweepAt: store.lastSweepAt,
+    };
+}
+
+/**
+ * Apply a mutation to a stored transaction and persist it
+ * @param {string} transactionId 
+ * @param {function} mutate - Receives the transaction to modify in place
+ * @returns {object|null} Updated transaction, or null if not found
+ */
+function updateTransaction(transactionId, mutate) {
+    const txn = store.backend.get(transactionId);
+    if (!txn) return null;
+
+    mutate(txn);
+    txn.updatedAt = new Date().toISOString();
+    store.backend.save(txn);
+    touch(transactionId);
+    return txn;
+}
+
+/**
+ * Build the window in which a search accepts on_search callbacks
+ * @param {object} [options]
+ * @param {string} [options.ttl='PT30S'] - Search context ttl
+ * @param {string} [options.startedAt] - Search context timestamp (default now)
+ * @returns {{ ttl: string, startedAt: string, expiresAt: string }}
+ */
+function buildSearchWindow({ ttl = 'PT30S', startedAt = new Date().toISOString() } = {}) {
+    const ttlSeconds = parseDurationToSeconds(ttl) || 30;
+    return {
+        ttl,
+        startedAt,
+        expiresAt: new Date(Date.parse(startedAt) + ttlSeconds * 1000).toISOString(),
+    };
+}
+
+/**
+ * Where a transaction's search window stands
+ * @param {object} txn 
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {{ ttl: string|null, expiresAt: string|null, searchComplete: boolean }}
+ */
+function getSearchState(txn, now = Date.now()) {
+    const { searchWindow } = txn;
+    // Transactions stored before search windows existed count as complete
+    if (!searchWindow) return { ttl: null, expiresAt: null, searchComplete: true };
+    return {
+        ttl: searchWindow.ttl,
+        expiresAt: searchWindow.expiresAt,
+        searchComplete: now >= Date.parse(searchWindow.expiresAt),
+    };
+}
+
+/**
+ * Publish 'search_complete' when a transaction's search window closes
+ * @param {string} transactionId 
+ * @param {object} searchWindow - From buildSearchWindow()
+ */
+function scheduleSearchComplete(transactionId, searchWindow) {
+    const delay = Math.max(0, Date.parse(searchWindow.expiresAt) - Date.now());
+    const timer = setTimeout(() => {
+        const txn = store.backend.get(transactionId);
+        if (!txn) return;
+        console.log(`[STORE] Search window closed - txn: ${transactionId} (${txn.catalogs.length} on_search)`);
+        events.publish(transactionId, 'search_complete', {
+            status: txn.status,
+            updatedAt: txn.updatedAt,
+        });
+    }, delay);
+    // Don't keep the process alive just for the timer
+    timer.unref();
+}
+
+/**
+ * Re-arm the search window timers of a backend loaded from disk, which
+ * did not survive the restart: a window still open closes on time, and
+ * a search still 'searching' whose window passed meanwhile completes now
+ */
+function resumeSearchWindows() {
+    let resumed = 0;
+    for (const id of store.backend.keys()) {
+        const txn = store.backend.get(id);
+        if (!txn?.searchWindow) continue;
+        if (getSearchState(txn).searchComplete && txn.status !== ORDER_STATUS.SEARCHING) continue;
+        scheduleSearchComplete(id, txn.searchWindow);
+        resumed += 1;
+    }
+    if (resumed > 0) {
+        console.log(`[STORE] Resumed ${resumed} search window(s)`);
+    }
+}
+
 /**
  * Create a new transaction entry
  * @param {string} transactionId 
  * @param {string} messageId 
  * @param {object} searchPayload 
+ * @param {object} [searchOptions] - { ttl, startedAt } of the search context (see buildSearchWindow)
  */
-function createTransaction(transactionId, messageId, searchPayload) {
-    store.transactions[transactionId] = {
+function createTransaction(transactionId, messageId, searchPayload, searchOptions) {
+    const searchWindow = buildSearchWindow(searchOptions);
+    const txn = {
         transactionId,
         messageId,
-        status: 'searching',
+        status: ORDER_STATUS.SEARCHING,
+        history: [],
         search: searchPayload,
+        searchWindow,
         catalogs: [],
+        lateCatalogs: [],
+        lateCallbacks: [],
         selections: [],
         initResults: [],
+        confirmResults: [],
+        cancelResults: [],
         statusResults: [],
+        updateResults: [],
+        trackResults: [],
+        supportResults: [],
         errors: [],
+        messages: [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
     };
-    return store.transactions[transactionId];
+    record(txn, { from: null, to: ORDER_STATUS.SEARCHING, source: 'api/search' });
+    messageLog.recordRequest(txn, { action: 'search', messageId, ttl: searchWindow.ttl });
+    store.backend.save(txn);
+    touch(transactionId);
+    enforceMaxEntries();
+    scheduleSearchComplete(transactionId, searchWindow);
+    return txn;
 }
 
 /**
@@ -53,22 +361,136 @@ function createTransaction(transactionId, messageId, searchPayload) {
  * @returns {object|null}
  */
 function getTransaction(transactionId) {
-    return store.transactions[transactionId] || null;
+    const txn = store.backend.get(transactionId);
+    if (txn) touch(transactionId);
+    return txn;
+}
+
+/**
+ * Merge two lists of Beckn entities by id; incoming entries replace
+ * existing ones with the same id, new ones are appended. A side that is
+ * not a list (e.g. a malformed catalog's items: "unavailable") counts as
+ * empty, and entries that are not objects are dropped.
+ * @param {object[]} [existing]
+ * @param {object[]} [incoming]
+ * @param {function} [mergeEntry] - (existingEntry, incomingEntry) => merged entry
+ * @returns {object[]}
+ */
+function mergeById(existing, incoming, mergeEntry = (_, entry) => entry) {
+    const isEntry = (entry) => entry !== null && typeof entry === 'object';
+    const merged = Array.isArray(existing) ? existing.filter(isEntry) : [];
+    for (const entry of Array.isArray(incoming) ? incoming.filter(isEntry) : []) {
+        const index = merged.findIndex((current) => current.id === entry.id);
+        if (index === -1) {
+            merged.push(entry);
+        } else {
+            merged[index] = mergeEntry(merged[index], entry);
+        }
+    }
+    return merged;
 }
 
 /**
- * Update transaction with on_search catalog data
+ * Merge one provider of a repeated on_search into the stored one
+ * @param {object} existing
+ * @param {object} incoming
+ * @returns {object}
+ */
+function mergeProvider(existing, incoming) {
+    return {
+        ...existing,
+        ...incoming,
+        items: mergeById(existing.items, incoming.items),
+        fulfillments: mergeById(existing.fulfillments, incoming.fulfillments),
+        locations: mergeById(existing.locations, incoming.locations),
+    };
+}
+
+/**
+ * Merge a repeated on_search (same bpp_id + message_id) into the stored one
+ * @param {object} stored - Catalog data already in txn.catalogs (updated in place)
+ * @param {object} catalogData - The new on_search
+ */
+function mergeCatalogData(stored, catalogData) {
+    const storedCatalog = stored.message?.catalog || {};
+    const incomingCatalog = catalogData.message?.catalog || {};
+
+    stored.context = catalogData.context;
+    stored.message = {
+        ...stored.message,
+        ...catalogData.message,
+        catalog: {
+            ...storedCatalog,
+            ...incomingCatalog,
+            'bpp/providers': mergeById(
+                storedCatalog['bpp/providers'],
+                incomingCatalog['bpp/providers'],
+                mergeProvider
+            ),
+        },
+    };
+    if (catalogData.error) stored.error = catalogData.error;
+}
+
+/**
+ * Update transaction with on_search catalog data.
+ * Catalogs arriving after the search window are flagged late and kept in
+ * lateCatalogs, out of the results. A repeat of a stored on_search (same
+ * bpp_id + message_id) is merged into it and flagged merged.
  * @param {string} transactionId 
  * @param {object} catalogData - Provider catalog from on_search
  */
 function addCatalogData(transactionId, catalogData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
+    return updateTransaction(transactionId, (txn) => {
+        if (txn.searchWindow && getSearchState(txn).searchComplete) {
+            catalogData.late = true;
+            if (!txn.lateCatalogs) txn.lateCatalogs = [];
+            txn.lateCatalogs.push(catalogData);
+            return;
+        }
 
-    txn.catalogs.push(catalogData);
-    txn.status = 'results_ready';
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+        const stored = txn.catalogs.find((catalog) =>
+            catalog.context?.bpp_id === catalogData.context?.bpp_id &&
+            catalog.context?.message_id === catalogData.context?.message_id
+        );
+        // A BPP that cannot serve the search still answers it
+        if (catalogData.error && !stored?.error) txn.errors.push(catalogData);
+
+        if (stored) {
+            catalogData.merged = true;
+            mergeCatalogData(stored, catalogData);
+        } else {
+            txn.catalogs.push(catalogData);
+        }
+        transition(txn, ORDER_STATUS.RESULTS_READY, 'on_search');
+    });
+}
+
+/**
+ * Whether a callback answers a select, init or confirm that already
+ * timed out (see "Late callbacks" above); flags it late if so
+ * @param {object} txn 
+ * @param {object} callbackData - Stored { context, message, error? }
+ * @returns {boolean}
+ */
+function isLateCallback(txn, callbackData) {
+    const request = messageLog.findRequest(txn, callbackData.context?.action, callbackData.context?.message_id);
+    if (request?.state !== messageLog.REQUEST_STATES.TIMED_OUT || !PENDING_STATUS_BY_ACTION[request.action]) {
+        return false;
+    }
+    callbackData.late = true;
+    return true;
+}
+
+/**
+ * Keep a late callback apart from the results
+ * @param {object} txn 
+ * @param {object} callbackData 
+ */
+function addLateCallback(txn, callbackData) {
+    if (!txn.lateCallbacks) txn.lateCallbacks = [];
+    txn.lateCallbacks.push(callbackData);
+    console.warn(`[STORE] Late ${callbackData.context.action} for ${callbackData.context.message_id} kept apart - txn: ${txn.transactionId}`);
 }
 
 /**
@@ -77,13 +499,14 @@ function addCatalogData(transactionId, catalogData) {
  * @param {object} selectData 
  */
 function addSelectData(transactionId, selectData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
-
-    txn.selections.push(selectData);
-    txn.status = 'selected';
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+    return updateTransaction(transactionId, (txn) => {
+        if (isLateCallback(txn, selectData)) {
+            addLateCallback(txn, selectData);
+            return;
+        }
+        txn.selections.push(selectData);
+        transition(txn, ORDER_STATUS.SELECTED, 'on_select');
+    });
 }
 
 /**
@@ -92,13 +515,14 @@ function addSelectData(transactionId, selectData) {
  * @param {object} initData 
  */
 function addInitData(transactionId, initData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
-
-    txn.initResults.push(initData);
-    txn.status = 'initialized';
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+    return updateTransaction(transactionId, (txn) => {
+        if (isLateCallback(txn, initData)) {
+            addLateCallback(txn, initData);
+            return;
+        }
+        txn.initResults.push(initData);
+        transition(txn, ORDER_STATUS.INITIALIZED, 'on_init');
+    });
 }
 
 /**
@@ -107,38 +531,34 @@ function addInitData(transactionId, initData) {
  * @param {object} confirmData 
  */
 function addConfirmData(transactionId, confirmData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
-
-    txn.status = 'confirmed';
-    txn.initResults.push(confirmData); // Storing within initResults or create new confirmResults? 
-    // Let's create a new field for clarity or just update status/updatedAt is enough if we don't store the full body separately?
-    // Pattern suggests storing it. initResults was used for init. 
-    // Let's assume on_confirm returns similar to init? 
-    // Actually, let's add `confirmResults` to the structure in createTransaction if we want consistency, 
-    // but the JS object is dynamic so we can just add it.
-    if (!txn.confirmResults) txn.confirmResults = [];
-    txn.confirmResults.push(confirmData);
-
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+    return updateTransaction(transactionId, (txn) => {
+        if (isLateCallback(txn, confirmData)) {
+            addLateCallback(txn, confirmData);
+            return;
+        }
+        if (!txn.confirmResults) txn.confirmResults = [];
+        txn.confirmResults.push(confirmData);
+        transition(txn, ORDER_STATUS.CONFIRMED, 'on_confirm');
+    });
 }
 
 /**
- * Update transaction with on_cancel data
+ * Update transaction with on_cancel data.
+ * An on_cancel carrying an error (cancellation refused) is recorded in
+ * txn.errors and leaves the status unchanged.
  * @param {string} transactionId 
  * @param {object} cancelData 
  */
 function addCancelData(transactionId, cancelData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
-
-    txn.status = 'cancelled';
-    if (!txn.cancelResults) txn.cancelResults = [];
-    txn.cancelResults.push(cancelData);
-
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+    return updateTransaction(transactionId, (txn) => {
+        if (!txn.cancelResults) txn.cancelResults = [];
+        txn.cancelResults.push(cancelData);
+        if (cancelData.error) {
+            txn.errors.push(cancelData);
+            return;
+        }
+        transition(txn, ORDER_STATUS.CANCELLED, 'on_cancel');
+    });
 }
 
 /**
@@ -147,27 +567,253 @@ function addCancelData(transactionId, cancelData) {
  * @param {object} statusData 
  */
 function addStatusData(transactionId, statusData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
+    return updateTransaction(transactionId, (txn) => {
+        txn.statusResults.push(statusData);
 
-    txn.statusResults.push(statusData);
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+        const next = statusFromBecknOrderState(statusData.message?.order?.state);
+        if (next) transition(txn, next, 'on_status');
+    });
 }
 
 /**
- * Update transaction with on_error data
+ * Update transaction with on_update data.
+ * An updated order state moves the status on as on_status does; an
+ * on_update carrying an error (update refused) is recorded in txn.errors.
+ * @param {string} transactionId 
+ * @param {object} updateData 
+ */
+function addUpdateData(transactionId, updateData) {
+    return updateTransaction(transactionId, (txn) => {
+        if (!txn.updateResults) txn.updateResults = [];
+        txn.updateResults.push(updateData);
+        if (updateData.error) {
+            txn.errors.push(updateData);
+            return;
+        }
+
+        const next = statusFromBecknOrderState(updateData.message?.order?.state);
+        if (next) transition(txn, next, 'on_update');
+    });
+}
+
+/**
+ * Update transaction with on_track data
+ * @param {string} transactionId 
+ * @param {object} trackData 
+ */
+function addTrackData(transactionId, trackData) {
+    return updateTransaction(transactionId, (txn) => {
+        if (!txn.trackResults) txn.trackResults = [];
+        txn.trackResults.push(trackData);
+        if (trackData.error) txn.errors.push(trackData);
+    });
+}
+
+/**
+ * Update transaction with on_support data
+ * @param {string} transactionId 
+ * @param {object} supportData 
+ */
+function addSupportData(transactionId, supportData) {
+    return updateTransaction(transactionId, (txn) => {
+        if (!txn.supportResults) txn.supportResults = [];
+        txn.supportResults.push(supportData);
+        if (supportData.error) txn.errors.push(supportData);
+    });
+}
+
+/**
+ * Update transaction with on_error data.
+ * The error is recorded and a pending request (selecting, initializing,
+ * confirming) is rolled back; settled statuses are left untouched, and
+ * so is everything when the error answers a request that timed out.
  * @param {string} transactionId 
  * @param {object} errorData 
  */
 function addErrorData(transactionId, errorData) {
-    const txn = store.transactions[transactionId];
-    if (!txn) return null;
+    return updateTransaction(transactionId, (txn) => {
+        txn.errors.push(errorData);
+        if (!isLateCallback(txn, errorData)) rollback(txn, 'on_error');
+    });
+}
 
-    txn.errors.push(errorData);
-    txn.status = 'error';
-    txn.updatedAt = new Date().toISOString();
-    return txn;
+/**
+ * Log a request sent for a transaction, so its callbacks can be
+ * correlated with it
+ * @param {string} transactionId 
+ * @param {{ action: string, messageId: string, bppId?: string }} request
+ * @returns {object|null} Log entry, or null if the transaction is unknown
+ */
+function logRequest(transactionId, request) {
+    let entry = null;
+    updateTransaction(transactionId, (txn) => {
+        entry = messageLog.recordRequest(txn, request);
+    });
+    return entry;
+}
+
+/**
+ * Time out a request whose callback never came: the request is marked
+ * timed_out, an error is recorded and, if the order is still pending on
+ * it (no newer request of the same action), the pending status is rolled
+ * back
+ * @param {string} transactionId 
+ * @param {string} messageId 
+ * @returns {{ txn: object, request: object }|null} null if the request was not pending
+ */
+function expireRequest(transactionId, messageId) {
+    const current = store.backend.get(transactionId);
+    const logged = current ? messageLog.getRequest(current, messageId) : null;
+    if (logged?.state !== messageLog.REQUEST_STATES.PENDING) return null;
+
+    let request = null;
+    const txn = updateTransaction(transactionId, (t) => {
+        request = messageLog.expireRequest(t, messageId);
+        t.errors.push({
+            context: {
+                action: `on_${request.action}`,
+                transaction_id: transactionId,
+                message_id: messageId,
+                bpp_id: request.bppId || undefined,
+                timestamp: request.timedOutAt,
+            },
+            error: {
+                type: 'CORE-ERROR',
+                code: '504',
+                message: `No on_${request.action} within ${request.ttl}`,
+            },
+        });
+        if (t.status === PENDING_STATUS_BY_ACTION[request.action] && messageLog.isLatestRequest(t, request)) {
+            rollback(t, 'timeout');
+        }
+    });
+    return { txn, request };
+}
+
+/**
+ * Mark a request that could not be sent, so it is not timed out
+ * @param {string} transactionId 
+ * @param {string} messageId 
+ * @param {string} reason 
+ * @returns {object|null} The request, or null if not logged
+ */
+function failRequest(transactionId, messageId, reason) {
+    let request = null;
+    updateTransaction(transactionId, (txn) => {
+        request = messageLog.failRequest(txn, messageId, reason);
+    });
+    return request;
+}
+
+/**
+ * A logged request by message_id
+ * @param {string} transactionId 
+ * @param {string} messageId 
+ * @returns {object|null} Outgoing log entry ({ state, answeredBy, ... })
+ */
+function getRequest(transactionId, messageId) {
+    const txn = store.backend.get(transactionId);
+    return txn ? messageLog.getRequest(txn, messageId) : null;
+}
+
+// Callback action → transaction field it is stored in
+const CALLBACK_FIELDS = {
+    on_search: 'catalogs',
+    on_select: 'selections',
+    on_init: 'initResults',
+    on_confirm: 'confirmResults',
+    on_status: 'statusResults',
+    on_cancel: 'cancelResults',
+    on_update: 'updateResults',
+    on_track: 'trackResults',
+    on_support: 'supportResults',
+    on_error: 'errors',
+};
+
+/**
+ * The latest stored callback of an action for a message_id
+ * @param {string} transactionId 
+ * @param {string} action - e.g. 'on_select'
+ * @param {string} messageId 
+ * @returns {object|null} Stored { context, message, error? }
+ */
+function getCallbackData(transactionId, action, messageId) {
+    const txn = store.backend.get(transactionId);
+    const stored = txn?.[CALLBACK_FIELDS[action]] || [];
+    return [...stored].reverse().find((data) =>
+        data.context?.action === action && data.context?.message_id === messageId
+    ) || null;
+}
+
+/**
+ * Find an earlier delivery of the same callback
+ * @param {string} transactionId 
+ * @param {{ action: string, messageId: string, bppId?: string, digest: string }} callback
+ * @returns {object|null} Logged delivery (with the ACK it got), or null
+ */
+function findCallbackDelivery(transactionId, callback) {
+    const txn = store.backend.get(transactionId);
+    return txn ? messageLog.findDelivery(txn, callback) : null;
+}
+
+/**
+ * Log an accepted callback, correlated with the request it answers
+ * @param {string} transactionId 
+ * @param {{ action: string, messageId: string, bppId?: string, digest: string, ack: object }} callback
+ * @returns {object|null} Log entry ({ requestAction, unsolicited }), or null if the transaction is unknown
+ */
+function logCallback(transactionId, callback) {
+    let entry = null;
+    updateTransaction(transactionId, (txn) => {
+        entry = messageLog.recordCallback(txn, callback);
+    });
+    return entry;
+}
+
+/**
+ * Move a transaction to a new status through the state machine
+ * @param {string} transactionId 
+ * @param {string} status - Target status (ORDER_STATUS)
+ * @param {string} source - What triggered it (e.g. 'api/select')
+ * @returns {{ txn: object, accepted: boolean, from: string, to: string, error?: string }|null}
+ */
+function transitionStatus(transactionId, status, source) {
+    let result;
+    const txn = updateTransaction(transactionId, (t) => {
+        result = transition(t, status, source);
+    });
+    return txn ? { txn, ...result } : null;
+}
+
+/**
+ * Roll a pending transaction back to the status it came from
+ * @param {string} transactionId 
+ * @param {string} source 
+ * @returns {{ txn: object, accepted: boolean, from: string, to?: string }|null}
+ */
+function rollbackStatus(transactionId, source) {
+    let result;
+    const txn = updateTransaction(transactionId, (t) => {
+        result = rollback(t, source);
+    });
+    return txn ? { txn, ...result } : null;
+}
+
+/**
+ * Attach sender/receiver contact details to the searched route so they
+ * are carried into the init/confirm fulfillments
+ * @param {string} transactionId 
+ * @param {{ pickup?: object, drop?: object }} contacts - { name, phone, email } for each end
+ * @returns {object|null}
+ */
+function setRouteContacts(transactionId, contacts) {
+    return updateTransaction(transactionId, (txn) => {
+        for (const end of ['pickup', 'drop']) {
+            if (contacts[end]) {
+                txn.search[end] = { ...txn.search[end], contact: contacts[end] };
+            }
+        }
+    });
 }
 
 /**
@@ -175,27 +821,48 @@ function addErrorData(transactionId, errorData) {
  * @returns {string[]}
  */
 function getAllTransactionIds() {
-    return Object.keys(store.transactions);
+    return store.backend.keys();
 }
 
 /**
  * Clear all data (for testing)
  */
 function clearAll() {
-    store.transactions = {};
+    store.backend.clear();
+    store.recency.clear();
+    store.evictions = { expired: 0, lru: 0 };
 }
 
 module.exports = {
     store,
+    setBackend,
     createTransaction,
     getTransaction,
+    getSearchState,
     addCatalogData,
     addSelectData,
     addInitData,
     addConfirmData,
     addCancelData,
     addStatusData,
+    addUpdateData,
+    addTrackData,
+    addSupportData,
     addErrorData,
+    logRequest,
+    expireRequest,
+    failRequest,
+    getRequest,
+    getCallbackData,
+    findCallbackDelivery,
+    logCallback,
+    transitionStatus,
+    rollbackStatus,
+    setRouteContacts,
     getAllTransactionIds,
     clearAll,
+    sweepExpired,
+    startSweeper,
+    stopSweeper,
+    getStats,
 };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { flattenCatalogs, parseResultsQuery, rankResults } = require('../results');
+
+/**
+ * An on_search as stored in txn.catalogs, with one provider and item
+ */
+function catalog({ name, category, tags }) {
+    return {
+        context: { bpp_id: 'bpp.example.com', bpp_uri: 'https://bpp.example.com' },
+        message: {
+            catalog: {
+                'bpp/providers': [{
+                    id: `provider-${JSON.stringify(name)}`,
+                    descriptor: { name },
+                    fulfillments: [{ id: 'f1', vehicle: { category }, tags }],
+                    items: [{ id: 'item-1', fulfillment_id: 'f1', price: { value: '100' } }],
+                }],
+            },
+        },
+    };
+}
+
+test('ranks catalogs whose provider name or vehicle category is not a string', () => {
+    const { providers } = flattenCatalogs([
+        catalog({ name: 'Porter', category: 'Two Wheeler' }),
+        catalog({ name: 42, category: 7 }),
+        catalog({ name: { en: 'Borzo' }, category: ['Bike'], tags: { distance: 3 } }),
+    ]);
+    const { facets } = rankResults(providers, parseResultsQuery({}).value);
+
+    assert.deepStrictEqual(facets.providers.map((p) => p.name), ['42', 'Porter', 'Unknown']);
+    assert.deepStrictEqual(facets.vehicleCategories.map((c) => c.value), ['7', 'Bike', 'Two Wheeler']);
+});
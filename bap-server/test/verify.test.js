@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateKeyPair, createDigest, createSigningString, sign } = require('../crypto/sign');
+const registry = require('../services/registry');
+const { verifyAuthorizationHeader } = require('../crypto/verify');
+
+const keys = {
+    'bpp-a.example.com': generateKeyPair(),
+    'bpp-b.example.com': generateKeyPair(),
+};
+
+registry.getSigningKey = async (subscriberId) => (
+    keys[subscriberId] ? { publicKey: keys[subscriberId].publicKey, cached: false } : null
+);
+
+/**
+ * A request as Express hands it to verifyAuthorizationHeader, signed
+ * by `signer` for a callback that names `bppId` as its sender
+ */
+function signedCallback(signer, bppId) {
+    const body = { context: { action: 'on_select', bap_id: 'bap.example.com', bpp_id: bppId }, message: {} };
+    const created = Math.floor(Date.now() / 1000);
+    const expires = created + 30;
+    const signature = sign(
+        createSigningString(created, expires, createDigest(JSON.stringify(body))),
+        keys[signer].privateKey
+    );
+    return {
+        body,
+        headers: {
+            authorization: `Signature keyId="${signer}|k1|ed25519",algorithm="ed25519",` +
+                `created="${created}",expires="${expires}",headers="(created) (expires) digest",` +
+                `signature="${signature}"`,
+        },
+    };
+}
+
+test.before(() => {
+    process.env.VERIFY_SIGNATURES = 'true';
+});
+
+test('accepts a callback signed by the BPP it names', async () => {
+    const result = await verifyAuthorizationHeader(signedCallback('bpp-a.example.com', 'bpp-a.example.com'));
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.subscriberId, 'bpp-a.example.com');
+});
+
+test('rejects a callback signed with one BPP\'s key that claims another', async () => {
+    const result = await verifyAuthorizationHeader(signedCallback('bpp-a.example.com', 'bpp-b.example.com'));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /bpp-a\.example\.com is not context\.bpp_id bpp-b\.example\.com/);
+});
+
+test('rejects a callback without a bpp_id', async () => {
+    const result = await verifyAuthorizationHeader(signedCallback('bpp-a.example.com', undefined));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /\(missing\)/);
+});